@@ -1,25 +1,180 @@
 import * as React from 'react'
 import * as Immutable from 'immutable'
-import { ListViewProps, VirtualizedListProps } from 'react-native';
+import {
+  Animated, LayoutAnimationConfig, ListViewProps, VirtualizedListProps, SectionListProps, SectionListData,
+  StyleProp, ViewStyle,
+} from 'react-native';
 
 type Omit<T, K extends keyof T> = Pick<T, Exclude<keyof T, K>>
 
-// Heuristic check if data is Immutable
+// Heuristic check if data is Immutable: any collection, or a Record
 type ImmutableData = {
   slice: (begin?: number, end?: number) => any;
   keySeq: () => any
+} | {
+  toSeq: () => any;
+  get: (key: any) => any
 }
 
-export type ImmutableListViewProps = Omit<ListViewProps, 'dataSource'> & {
+// A key path into each row, or a function returning the row's key
+export type RowKey = Array<string | number> | ((rowData: any, key: any) => any)
+
+// The keys of the rows that changed between two versions of the data
+export type RowDiff = {
+  inserted: any[],
+  removed: any[],
+  moved: any[],
+  updated: any[],
+}
+
+export type SectionDiff = { [sectionKey: string]: RowDiff }
+
+export type RowAnimationStatus = 'entering' | 'present' | 'exiting'
+
+export type RowAnimation = {
+  duration?: number,
+  delay?: number,
+  easing?: (value: number) => number,
+  useNativeDriver?: boolean,
+  style?: (progress: Animated.Value) => any,
+}
+
+type DerivationProps = {
+  filter?: (rowData: any, key: any) => boolean,
+  searchQuery?: string,
+  searchKeys?: Array<string | number | Array<string | number>>,
+  sortBy?: Array<string | number> | ((rowData: any, key: any) => any),
+  comparator?: (a: any, b: any) => number,
+}
+
+type GroupingProps = {
+  groupBy?: Array<string | number> | ((rowData: any, key: any) => any),
+  sectionOrder?: (a: any, b: any) => number,
+}
+
+// Passed to `renderEmpty` and `renderEmptyInList` along with the list's props
+export type EmptyInfo = { isFiltered: boolean }
+
+type LoadingAndErrorProps<P> = {
+  isLoading?: boolean,
+  error?: any,
+  renderLoading?: string | ((props: P) => React.ReactElement | null),
+  renderLoadingInList?: string | ((props: P) => React.ReactElement | null),
+  renderError?: string | ((props: P, error: any) => React.ReactElement | null),
+  renderErrorInList?: string | ((props: P, error: any) => React.ReactElement | null),
+}
+
+// Passed to each row's renderer when the list is `selectable`
+export type SelectionInfo = {
+  isSelected: boolean,
+  toggleSelected: () => void,
+}
+
+type SelectionProps = {
+  selectable?: boolean,
+  selectionMode?: 'single' | 'multiple',
+  selectedKeys?: Immutable.Set<any>,
+  onSelectionChange?: (selectedKeys: Immutable.Set<any>) => void,
+}
+
+// Passed to each row's renderer: its position in the data, see `utils.getRowContexts`
+export type RowContext = {
+  index: number,
+  key: any,
+  sectionKey: any,
+  sectionIndex: number,
+  indexInSection: number,
+  isFirst: boolean,
+  isLast: boolean,
+  isFirstInSection: boolean,
+  isLastInSection: boolean,
+  rowCount: number,
+  sectionCount: number,
+  sectionRowCount: number,
+}
+
+// Passed to `onRenderStats`: how the rows were rendered since the last call, and how long preparing them took
+export type RenderStats = {
+  mountedRows: number,
+  renderedRows: number,
+  skippedRows: number,
+  deriveTime: number,
+  rowCount: number,
+  deferredRows: number,
+  interactionTime: number | null,
+}
+
+// Options for `scrollToKey` and `scrollToSection`, as for `scrollToIndex`
+export type ScrollToKeyOptions = {
+  animated?: boolean,
+  viewOffset?: number,
+  viewPosition?: number,
+}
+
+// Passed to each row's renderer when the list has a `childrenKeyPath`
+export type TreeRowInfo = {
+  depth: number,
+  keyPath: Immutable.List<any>,
+  hasChildren: boolean,
+  isExpanded: boolean,
+  toggleExpanded: () => void,
+}
+
+type TreeProps = {
+  childrenKeyPath?: Array<string | number>,
+  expandedKeyPaths?: Immutable.Set<Immutable.List<any>>,
+  onToggleExpanded?: (keyPath: Immutable.List<any>, expandedKeyPaths: Immutable.Set<Immutable.List<any>>) => void,
+}
+
+// How rows or section headers are compared: see `utils.getHasChanged`
+export type ComparisonStrategy = 'identity' | 'deep' | Array<string | number>
+  | ((prevValue: any, nextValue: any) => boolean)
+
+type ItemHeightProps = {
+  itemHeight?: number | ((item: any, key: any) => number),
+  separatorHeight?: number,
+  headerHeight?: number,
+  measureItems?: boolean,
+}
+
+type SectionHeightProps = ItemHeightProps & {
+  sectionHeaderHeight?: number,
+  sectionFooterHeight?: number,
+}
+
+type CollapsibleSectionProps = {
+  collapsedSections?: Immutable.Set<any>,
+  onToggleSection?: (sectionKey: any, collapsedSections: Immutable.Set<any>) => void,
+}
+
+type AnimationProps = {
+  animateChanges?: boolean,
+  rowAnimation?: RowAnimation | null
+    | ((row: { item: any, key: any, status: RowAnimationStatus }) => RowAnimation | null),
+  layoutAnimation?: LayoutAnimationConfig | null,
+}
+
+export type ImmutableListViewProps = Omit<ListViewProps, 'dataSource'> & AnimationProps & DerivationProps
+  & GroupingProps & SelectionProps & CollapsibleSectionProps & SectionHeightProps
+  & LoadingAndErrorProps<ImmutableListViewProps> & {
   immutableData: ImmutableData,
+  rowKey?: RowKey,
+  onDataChange?: (diff: SectionDiff) => void,
+  onRenderStats?: (stats: RenderStats) => void,
   dataSource?: never,
-  sectionHeaderHasChanged?: (prevSectionData:any, nextSectionData:any) => boolean,
+  rowHasChanged?: ComparisonStrategy,
+  sectionHeaderHasChanged?: ComparisonStrategy,
+  withRowContext?: boolean,
   rowsDuringInteraction?: number,
-  renderEmpty?: string | React.FC<ImmutableListViewProps>,
-  renderEmptyInList?: string | React.FC<ImmutableListViewProps>,
+  rowsPerBatch?: number,
+  renderEmpty?: string | ((props: ImmutableListViewProps, info: EmptyInfo) => React.ReactElement | null),
+  renderEmptyInList?: string | ((props: ImmutableListViewProps, info: EmptyInfo) => React.ReactElement | null),
 }
 
-export declare class ImmutableListView extends React.Component<ImmutableListViewProps> {}
+export declare class ImmutableListView extends React.Component<ImmutableListViewProps> {
+  scrollToKey(key: any, options?: ScrollToKeyOptions & { sectionKey?: any }): Promise<void>;
+  scrollToSection(sectionKey: any, options?: ScrollToKeyOptions): Promise<void>;
+}
 
 export declare class EmptyListView extends React.Component<Omit<ListViewProps, 'dataSource'> & {
   dataSource?: never,
@@ -27,15 +182,107 @@ export declare class EmptyListView extends React.Component<Omit<ListViewProps, '
   emptyText?: string,
 }> {}
 
-export type ImmutableVirtualizedListProps<T> = VirtualizedListProps<T> & {
+export type ImmutableVirtualizedListProps<T> = VirtualizedListProps<T> & AnimationProps & DerivationProps
+  & SelectionProps & TreeProps & ItemHeightProps & LoadingAndErrorProps<ImmutableVirtualizedListProps<T>> & {
   immutableData: ImmutableData,
-  renderEmpty?: string | React.FC<ImmutableVirtualizedListProps<T>>,
-  renderEmptyInList?: string | React.FC<ImmutableVirtualizedListProps<T>>,
+  rowKey?: RowKey,
+  itemHasChanged?: (prevItem: any, nextItem: any) => boolean,
+  getItemProps?: (item: any, key: any, index: number) => { [propName: string]: any },
+  withRowContext?: boolean,
+  onDataChange?: (diff: RowDiff) => void,
+  onRenderStats?: (stats: RenderStats) => void,
+  rowsDuringInteraction?: number,
+  rowsPerBatch?: number,
+  lazyBatchSize?: number,
+  loadMore?: () => Promise<any>,
+  hasMore?: boolean,
+  renderLoadingFooter?: () => React.ReactElement | null,
+  renderErrorFooter?: (info: { error: any, retry: () => void }) => React.ReactElement | null,
+  renderEndFooter?: () => React.ReactElement | null,
+  renderEmpty?: string | ((props: ImmutableVirtualizedListProps<T>, info: EmptyInfo) => React.ReactElement | null),
+  renderEmptyInList?: string
+    | ((props: ImmutableVirtualizedListProps<T>, info: EmptyInfo) => React.ReactElement | null),
 }
 
-export declare class ImmutableVirtualizedList<T = any> extends React.Component<ImmutableVirtualizedListProps<T>> {}
+export declare class ImmutableVirtualizedList<T = any> extends React.Component<ImmutableVirtualizedListProps<T>> {
+  scrollToKey(key: any, options?: ScrollToKeyOptions): Promise<void>;
+}
 
 export declare class EmptyVirtualizedList<T> extends React.Component<VirtualizedListProps<T> & {
   renderItem: React.FC<any>,
   emptyText: string
 }> {}
+
+export type ImmutableSectionListSection<T> = SectionListData<T> & {
+  key: string,
+  sectionKey: any,
+  sectionIndex: number,
+  sectionData: ImmutableData,
+  rowKeys: any[],
+  isCollapsed?: boolean,
+}
+
+export type ImmutableSectionListProps<T> = Omit<SectionListProps<T>, 'sections'> & AnimationProps & GroupingProps
+  & CollapsibleSectionProps & SectionHeightProps & LoadingAndErrorProps<ImmutableSectionListProps<T>> & {
+  immutableData: ImmutableData,
+  rowKey?: RowKey,
+  onDataChange?: (diff: SectionDiff) => void,
+  withRowContext?: boolean,
+  sections?: never,
+  renderEmpty?: string | ((props: ImmutableSectionListProps<T>, info: EmptyInfo) => React.ReactElement | null),
+  renderEmptyInList?: string
+    | ((props: ImmutableSectionListProps<T>, info: EmptyInfo) => React.ReactElement | null),
+}
+
+export declare class ImmutableSectionList<T = any> extends React.Component<ImmutableSectionListProps<T>> {
+  scrollToKey(key: any, options?: ScrollToKeyOptions & { sectionKey?: any }): Promise<void>;
+  scrollToSection(sectionKey: any, options?: ScrollToKeyOptions): Promise<void>;
+}
+
+export declare class EmptySectionList<T> extends React.Component<Omit<SectionListProps<T>, 'sections'> & {
+  sections?: never,
+  renderItem?: React.FC<any>,
+  emptyText?: string,
+}> {}
+
+export declare class RenderStatsOverlay extends React.Component<{
+  stats?: RenderStats | null,
+  style?: StyleProp<ViewStyle>,
+}> {}
+
+export type ImmutableListDataOptions = DerivationProps & GroupingProps & {
+  rowKey?: RowKey,
+  sectioned?: boolean,
+}
+
+export type ImmutableListData<T = any> = {
+  data: ImmutableData,
+  getItem?: (data: any, index: number) => T,
+  getItemCount?: (data: any) => number,
+  keyExtractor?: (item: T, index: number) => string,
+  items?: T[],
+  sections?: Array<ImmutableSectionListSection<T> & { keyExtractor: (item: T, index: number) => string }>,
+}
+
+export declare function mergePage<D extends ImmutableData>(
+  immutableData: D | null | undefined,
+  page: D | null | undefined,
+  rowKey?: RowKey,
+): D;
+
+export declare function getRowDiff(
+  prevImmutableData: ImmutableData | null | undefined,
+  nextImmutableData: ImmutableData | null | undefined,
+  rowKey?: RowKey,
+): RowDiff;
+
+export declare function getSectionDiff(
+  prevImmutableSectionData: ImmutableData | null | undefined,
+  nextImmutableSectionData: ImmutableData | null | undefined,
+  rowKey?: RowKey,
+): SectionDiff;
+
+export declare function useImmutableListData<T = any>(
+  immutableData: ImmutableData,
+  options?: ImmutableListDataOptions,
+): ImmutableListData<T>;
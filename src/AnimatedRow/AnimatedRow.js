@@ -0,0 +1,150 @@
+import PropTypes from 'prop-types';
+import React, { PureComponent } from 'react';
+import { Animated, Easing, LayoutAnimation } from 'react-native';
+
+/**
+ * The animation used for rows entering and exiting the list, unless overridden by the `rowAnimation` prop.
+ * `style` is given the progress of the animation, from 0 (hidden) to 1 (fully shown).
+ */
+const DEFAULT_ROW_ANIMATION = {
+  duration: 250,
+  delay: 0,
+  easing: Easing.inOut(Easing.ease),
+  useNativeDriver: true,
+  style: (progress) => ({
+    opacity: progress,
+    transform: [{ scale: progress.interpolate({ inputRange: [0, 1], outputRange: [0.9, 1] }) }],
+  }),
+};
+
+/** The layout animation used for the other rows when rows enter, exit, or move. */
+const DEFAULT_LAYOUT_ANIMATION = LayoutAnimation.Presets.easeInEaseOut;
+
+/**
+ * Wraps a row of a list, animating it in when it's entering and out when it's exiting.
+ */
+class AnimatedRow extends PureComponent {
+  static propTypes = {
+    status: PropTypes.oneOf(['entering', 'present', 'exiting']).isRequired,
+
+    // eslint-disable-next-line react/forbid-prop-types
+    item: PropTypes.any,
+
+    // eslint-disable-next-line react/forbid-prop-types
+    itemKey: PropTypes.any,
+
+    sectionKey: PropTypes.string,
+
+    /**
+     * An object overriding any of the options in `DEFAULT_ROW_ANIMATION`, or a function taking
+     * `{ item, key, status }` and returning such an object. Returning null means the row won't be animated.
+     */
+    rowAnimation: PropTypes.oneOfType([PropTypes.object, PropTypes.func]),
+
+    /**
+     * Each of these is called with (itemKey, sectionKey), or (status, itemKey, sectionKey) for `onAnimationEnd`.
+     */
+    onAnimationEnd: PropTypes.func,
+    onMount: PropTypes.func,
+    onUnmount: PropTypes.func,
+
+    children: PropTypes.node,
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.progress = new Animated.Value(props.status === 'entering' ? 0 : 1);
+  }
+
+  componentDidMount() {
+    const {
+      status, itemKey, sectionKey, onMount,
+    } = this.props;
+
+    if (onMount) onMount(itemKey, sectionKey);
+
+    if (status === 'entering') {
+      this.animate(status);
+    } else if (status === 'exiting') {
+      // The row wasn't shown when it was removed, so there's nothing to animate.
+      this.finishAnimation(status);
+    }
+  }
+
+  componentDidUpdate(prevProps) {
+    const { status } = this.props;
+
+    if (status !== prevProps.status && status !== 'present') {
+      this.animate(status);
+    }
+  }
+
+  componentWillUnmount() {
+    const {
+      status, itemKey, sectionKey, onUnmount,
+    } = this.props;
+
+    if (onUnmount) onUnmount(itemKey, sectionKey);
+
+    // Rows that are scrolled out of view can't finish animating, so they're done.
+    if (this.animation) {
+      this.animation.stop();
+      this.finishAnimation(status);
+    }
+  }
+
+  getAnimation() {
+    const {
+      item, itemKey, status, rowAnimation,
+    } = this.props;
+
+    const animation = typeof rowAnimation === 'function'
+      ? rowAnimation({ item, key: itemKey, status })
+      : rowAnimation;
+
+    return animation === null ? null : { ...DEFAULT_ROW_ANIMATION, ...animation };
+  }
+
+  animate(status) {
+    const animation = this.getAnimation();
+    const toValue = status === 'entering' ? 1 : 0;
+
+    if (this.animation) this.animation.stop();
+
+    if (!animation) {
+      this.progress.setValue(toValue);
+      this.finishAnimation(status);
+      return;
+    }
+
+    const { style, ...timingConfig } = animation;
+    this.animation = Animated.timing(this.progress, { ...timingConfig, toValue });
+    this.animation.start(({ finished }) => {
+      if (finished) this.finishAnimation(status);
+    });
+  }
+
+  finishAnimation(status) {
+    const { itemKey, sectionKey, onAnimationEnd } = this.props;
+
+    this.animation = null;
+    if (onAnimationEnd) onAnimationEnd(status, itemKey, sectionKey);
+  }
+
+  render() {
+    const { children } = this.props;
+
+    const animation = this.getAnimation();
+
+    return (
+      <Animated.View style={animation && animation.style(this.progress)}>
+        {children}
+      </Animated.View>
+    );
+  }
+}
+
+export { DEFAULT_ROW_ANIMATION, DEFAULT_LAYOUT_ANIMATION };
+
+export default AnimatedRow;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Text } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import AnimatedRow from '../AnimatedRow';
+
+jest.mock('NativeAnimatedHelper');
+
+describe('AnimatedRow', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('renders its children', () => {
+    const tree = renderer.create(
+      <AnimatedRow status="present"><Text>row</Text></AnimatedRow>,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('calls onAnimationEnd once it has animated in', () => {
+    const onAnimationEnd = jest.fn();
+    renderer.create(
+      <AnimatedRow status="entering" itemKey="a" onAnimationEnd={onAnimationEnd}><Text>row</Text></AnimatedRow>,
+    );
+    expect(onAnimationEnd).not.toHaveBeenCalled();
+
+    jest.runAllTimers();
+    expect(onAnimationEnd).toHaveBeenCalledWith('entering', 'a', undefined);
+  });
+
+  it('calls onAnimationEnd once it has animated out', () => {
+    const onAnimationEnd = jest.fn();
+    const tree = renderer.create(
+      <AnimatedRow status="present" itemKey="a" sectionKey="s1" onAnimationEnd={onAnimationEnd}>
+        <Text>row</Text>
+      </AnimatedRow>,
+    );
+    tree.update(
+      <AnimatedRow status="exiting" itemKey="a" sectionKey="s1" onAnimationEnd={onAnimationEnd}>
+        <Text>row</Text>
+      </AnimatedRow>,
+    );
+    expect(onAnimationEnd).not.toHaveBeenCalled();
+
+    jest.runAllTimers();
+    expect(onAnimationEnd).toHaveBeenCalledWith('exiting', 'a', 's1');
+  });
+
+  it('finishes right away without an animation', () => {
+    const onAnimationEnd = jest.fn();
+    renderer.create(
+      <AnimatedRow status="entering" rowAnimation={() => null} onAnimationEnd={onAnimationEnd}>
+        <Text>row</Text>
+      </AnimatedRow>,
+    );
+    expect(onAnimationEnd).toHaveBeenCalledWith('entering', undefined, undefined);
+  });
+
+  it('finishes right away when it was already exiting before being shown', () => {
+    const onAnimationEnd = jest.fn();
+    renderer.create(
+      <AnimatedRow status="exiting" onAnimationEnd={onAnimationEnd}><Text>row</Text></AnimatedRow>,
+    );
+    expect(onAnimationEnd).toHaveBeenCalledWith('exiting', undefined, undefined);
+  });
+
+  it('finishes when it is unmounted while animating', () => {
+    const onAnimationEnd = jest.fn();
+    const tree = renderer.create(
+      <AnimatedRow status="entering" onAnimationEnd={onAnimationEnd}><Text>row</Text></AnimatedRow>,
+    );
+    tree.unmount();
+    expect(onAnimationEnd).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,4 @@
+import AnimatedRow from './AnimatedRow';
+
+export { AnimatedRow };
+export * from './AnimatedRow';
@@ -2,7 +2,6 @@ import Immutable from 'immutable';
 import PropTypes from 'prop-types';
 import React, { PureComponent } from 'react';
 import { Text } from 'react-native';
-import { ListView } from 'deprecated-react-native-listview';
 
 // ListView renders EmptyListView which renders an empty ListView. Cycle is okay here.
 // eslint-disable-next-line import/no-cycle
@@ -24,31 +23,18 @@ class EmptyListView extends PureComponent {
   };
 
   static defaultProps = {
-    emptyText: 'No data.'
+    emptyText: 'No data.',
   };
 
+  static getDerivedStateFromProps(props, state) {
+    const listData = state.listData.set(0, utils.getEmptyItem(props));
+    return Immutable.is(listData, state.listData) ? null : { listData };
+  }
+
   state = {
     listData: utils.UNITARY_LIST,
   };
 
-  componentWillMount() {
-    this.setListDataFromProps(this.props);
-  }
-
-  componentWillReceiveProps(nextProps) {
-    this.setListDataFromProps(nextProps);
-  }
-
-  setListDataFromProps(props) {
-    const { listData } = this.state;
-    const { renderEmpty, renderEmptyInList, emptyText } = props;
-
-    // Update the data to make sure the list re-renders if any of the relevant props have changed.
-    this.setState({
-      listData: listData.set(0, Immutable.fromJS([renderEmpty, renderEmptyInList, emptyText])),
-    });
-  }
-
   /**
    * Returns a simple text element showing the `emptyText` string.
    * This method can be overridden by passing in your own `renderRow` prop instead.
@@ -1,20 +1,73 @@
 import Immutable from 'immutable';
 import PropTypes from 'prop-types';
 import React, { PureComponent } from 'react';
-import { Text, InteractionManager } from 'react-native';
-import { ListView } from 'deprecated-react-native-listview';
-
+import { Text, View, InteractionManager } from 'react-native';
 
 import styles from '../styles';
 import utils from '../utils';
+import StaticRenderer from '../StaticRenderer';
+
+import { ImmutableVirtualizedList } from '../ImmutableVirtualizedList';
+import { ImmutableSectionList } from '../ImmutableSectionList';
 
 // ListView renders EmptyListView which renders an empty ListView. Cycle is okay here.
 // eslint-disable-next-line import/no-cycle
 import { EmptyListView } from './EmptyListView';
 
+/** The section ID that ListView uses when the data has no sections. */
+const DEFAULT_SECTION_ID = 's1';
+
+/**
+ * Return the context of each row of the data (see `utils.getRowContexts`) by its section ID and then its row ID,
+ * the same IDs that `renderRow` is called with.
+ *
+ * @param {Immutable.Iterable} [immutableData]
+ * @param {Boolean} isSectioned
+ * @param {Array|Function} [rowKey]
+ * @returns {Map<*, Map<*, Object>>}
+ */
+function getRowContextsByID(immutableData, isSectioned, rowKey) {
+  if (!immutableData) return new Map();
+
+  const rowContexts = utils.getRowContexts(immutableData, isSectioned);
+  const sectionIDs = isSectioned ? utils.getKeys(immutableData) : [DEFAULT_SECTION_ID];
+  const rowIdentities = (isSectioned
+    ? utils.getRowIdentities(immutableData, rowKey)
+    : [utils.getRowKeys(immutableData, rowKey)]);
+
+  return new Map(sectionIDs.map((sectionID, sectionIndex) => [
+    sectionID,
+    new Map(rowIdentities[sectionIndex].map((rowID, index) => [rowID, rowContexts[sectionIndex][index]])),
+  ]));
+}
+
+/**
+ * Return the rows in the format of ListView's `onChangeVisibleRows`: `{ sectionID: { rowID: value } }`.
+ *
+ * @param {Array<Object>} rows The `sectionID` and `rowID` of each row.
+ * @param {Function} getValue Takes a row and returns its value.
+ * @returns {Object}
+ */
+function getRowMap(rows, getValue) {
+  return rows.reduce((rowMap, row) => ({
+    ...rowMap,
+    [row.sectionID]: { ...rowMap[row.sectionID], [row.rowID]: getValue(row) },
+  }), {});
+}
+
+/** How rows and section headers can be compared: see `utils.getHasChanged`. */
+const COMPARISON_STRATEGY = PropTypes.oneOfType([
+  PropTypes.oneOf(['identity', 'deep']),
+  PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+  PropTypes.func,
+]);
+
 /**
  * A ListView capable of displaying {@link https://facebook.github.io/immutable-js/ Immutable} data
  * out of the box.
+ *
+ * It accepts the same props as React Native's deprecated `ListView`, but renders using a `VirtualizedList`
+ * (or a `SectionList` when `renderSectionHeader` is provided), so it doesn't depend on `ListView` at all.
  */
 class ImmutableListView extends PureComponent {
   static propTypes = {
@@ -23,18 +76,191 @@ class ImmutableListView extends PureComponent {
      */
     // eslint-disable-next-line consistent-return
     immutableData: (props, propName, componentName) => {
-      // Note: It's not enough to simply validate PropTypes.instanceOf(Immutable.Iterable),
-      // because different imports of Immutable.js across files have different class prototypes.
       if (!utils.isImmutableIterable(props[propName])) {
-        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Must be instance of Immutable.Iterable.`);
+        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Must be an Immutable collection or Record.`);
       }
     },
 
     /**
-     * A function taking (prevSectionData, nextSectionData)
-     * and returning true if the section header will change.
+     * Takes (rowData, sectionID, rowID, highlightRow) and returns a renderable element.
+     * If `selectable`, it also takes `{ isSelected, toggleSelected }` as a fifth argument.
+     * If `withRowContext`, it also takes the row's position in the data as a sixth argument.
+     */
+    renderRow: PropTypes.func.isRequired,
+
+    /**
+     * If true, `renderRow` is also passed the row's position in the data as a sixth argument,
+     * e.g. `{ index, isFirst, isLast, rowCount }`; see `utils.getRowContexts`. This counts every row,
+     * including those not rendered yet because of `rowsDuringInteraction`. Since a row is re-rendered
+     * whenever its context changes, e.g. inserting a row re-renders every rendered row, it's off by default.
      */
-    sectionHeaderHasChanged: PropTypes.func,
+    withRowContext: PropTypes.bool,
+
+    /**
+     * A key path into each row such as `['id']`, or a function taking (rowData, key) and returning the row's key.
+     * If provided, it's used as the `rowID` of each row instead of its position, so rows keep their state
+     * and aren't re-rendered when other rows are inserted or removed before them.
+     *
+     * In dev mode, rows with a missing or duplicate key will cause a warning.
+     */
+    rowKey: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+      PropTypes.func,
+    ]),
+
+    /**
+     * A function taking (rowData, rowID) and returning true if the row should be rendered.
+     * With `renderSectionHeader`, rows are filtered within each section.
+     */
+    filter: PropTypes.func,
+
+    /**
+     * Only rows with a value containing this text (ignoring case) are rendered. See `searchKeys`.
+     */
+    searchQuery: PropTypes.string,
+
+    /**
+     * The keys or key paths of the values to search for `searchQuery`, such as `['name', ['address', 'city']]`.
+     * By default, the row itself is searched if it's a plain value, or else each of its values.
+     */
+    searchKeys: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.array])),
+
+    /**
+     * A key path into each row such as `['name']`, or a function taking (rowData, rowID),
+     * giving the value to sort the rows by. With `renderSectionHeader`, rows are sorted within each section.
+     */
+    sortBy: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+      PropTypes.func,
+    ]),
+
+    /**
+     * A function taking two rows (or their `sortBy` values) and returning a number, like `Array.prototype.sort`.
+     */
+    comparator: PropTypes.func,
+
+    /**
+     * Along with `renderSectionHeader`, groups the rows of flat data (e.g. a List) into sections:
+     * a key path into each row such as `['status']`, or a function taking (rowData, rowID),
+     * giving the key of the section the row belongs to. Sections are in the order of their first row.
+     */
+    groupBy: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+      PropTypes.func,
+    ]),
+
+    /**
+     * A function taking two section keys made by `groupBy` and returning a number, like `Array.prototype.sort`.
+     */
+    sectionOrder: PropTypes.func,
+
+    /**
+     * Called with the changes whenever `immutableData` changes: for each section that changed
+     * (or `s1` when there are no section headers), the IDs of the rows that were inserted, removed, moved,
+     * and updated. See `utils.getSectionDiff` for details.
+     */
+    onDataChange: PropTypes.func,
+
+    /**
+     * Called with stats about how the rows were rendered once the list mounts, whenever `immutableData` changes,
+     * and as the rows held back by `rowsDuringInteraction` are rendered: how many rows were mounted, re-rendered,
+     * and skipped since the last call, how long preparing the data took, and how many rows are still deferred.
+     * See `RenderStatsOverlay` for a way to display them.
+     */
+    onRenderStats: PropTypes.func,
+
+    /**
+     * If true, rows that are inserted are animated in, rows that are removed are kept around until they've
+     * been animated out, and the other rows are animated into their new positions.
+     * Use `rowAnimation` and `layoutAnimation` to customize the animations; see `ImmutableVirtualizedList`.
+     */
+    animateChanges: PropTypes.bool,
+
+    /**
+     * Takes (sectionData, sectionID, { isCollapsed, toggleCollapsed }) and returns a renderable element.
+     * If provided, each item in `immutableData` is rendered as a section instead of as a row.
+     */
+    renderSectionHeader: PropTypes.func,
+
+    /**
+     * The IDs of the sections whose rows are hidden, leaving just their headers,
+     * to control which sections are collapsed instead of leaving it to the list.
+     */
+    // eslint-disable-next-line consistent-return
+    collapsedSections: (props, propName, componentName) => {
+      const collapsedSections = props[propName];
+      const isImmutableSet = utils.isImmutableIterable(collapsedSections) && !!collapsedSections.add;
+      if (collapsedSections !== undefined && !isImmutableSet) {
+        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Must be an Immutable Set.`);
+      }
+    },
+
+    /**
+     * Called with (sectionID, collapsedSections) whenever a section is collapsed or expanded,
+     * where `collapsedSections` is the new `Immutable.Set` of collapsed section IDs.
+     */
+    onToggleSection: PropTypes.func,
+
+    /**
+     * Takes (sectionID, rowID, adjacentRowHighlighted) and returns a renderable element
+     * to be rendered below each row, except the last row of each section unless it's the last section.
+     */
+    renderSeparator: PropTypes.func,
+
+    /**
+     * Functions returning an element to be rendered at the very beginning or end of the list.
+     */
+    renderHeader: PropTypes.func,
+    renderFooter: PropTypes.func,
+
+    /**
+     * How many rows to render initially, and how many to render per batch after that.
+     */
+    initialListSize: PropTypes.number,
+    pageSize: PropTypes.number,
+
+    /**
+     * How close to the end of the content, in pixels, to call `onEndReached`,
+     * and how far ahead of the visible area to render rows, in pixels.
+     * VirtualizedList measures these in multiples of the list's visible length instead,
+     * so they're converted once the list has been laid out.
+     */
+    onEndReachedThreshold: PropTypes.number,
+    scrollRenderAheadDistance: PropTypes.number,
+
+    /**
+     * Called with (visibleRows, changedRows) when the set of visible rows changes,
+     * each in the form `{ sectionID: { rowID: true } }`.
+     */
+    onChangeVisibleRows: PropTypes.func,
+
+    /**
+     * Whether to render the headers of sections that have no rows.
+     */
+    enableEmptySections: PropTypes.bool,
+
+    /**
+     * VirtualizedList props that ImmutableListView also relies on itself, to keep track of the visible rows
+     * and the length of the content for `getMetrics`. The callbacks are still called as usual.
+     */
+    horizontal: PropTypes.bool,
+    onContentSizeChange: PropTypes.func,
+    onViewableItemsChanged: PropTypes.func,
+    onLayout: PropTypes.func,
+
+    /**
+     * How to tell whether a row's data has changed, so that only the rows that changed are re-rendered:
+     * "identity" to compare rows by reference, "deep" to compare them with `Immutable.is`,
+     * a key path such as `['version']` to only compare the values there, or a function taking
+     * (prevRowData, nextRowData) and returning true if the row has changed. See `utils.getHasChanged`.
+     */
+    rowHasChanged: COMPARISON_STRATEGY,
+
+    /**
+     * A function taking (prevSectionData, nextSectionData) and returning true if the section header will change,
+     * or a strategy to compare them with like `rowHasChanged`. The rows of a changed section are re-rendered too.
+     */
+    sectionHeaderHasChanged: COMPARISON_STRATEGY,
 
     /**
      * How many rows of data to display while waiting for interactions to finish (e.g. Navigation animations).
@@ -44,6 +270,46 @@ class ImmutableListView extends PureComponent {
      */
     rowsDuringInteraction: PropTypes.number,
 
+    /**
+     * If set along with `rowsDuringInteraction`, the rest of the rows are rendered this many at a time,
+     * one batch per frame, once interactions have finished, rather than all at once.
+     */
+    rowsPerBatch: PropTypes.number,
+
+    /**
+     * If true, rows can be selected: `renderRow` is also passed whether the row is selected,
+     * and a function to select or deselect it. Rows are only re-rendered when their selection changes
+     * (or their data, according to `rowHasChanged`), so selecting a row doesn't re-render every other row.
+     */
+    selectable: PropTypes.bool,
+
+    /**
+     * Either "single", where selecting a row deselects the others, or "multiple".
+     */
+    selectionMode: PropTypes.oneOf(['single', 'multiple']),
+
+    /**
+     * The IDs of the selected rows (see `rowKey`), to control the selection instead of leaving it to the list.
+     * With sections, the IDs of the rows in every section should be unique. Without `rowKey`,
+     * the rows of List sections are selected by `Immutable.List([sectionID, rowID])` instead,
+     * since their IDs are their indexes; see `utils.getSelectionKey`.
+     * IDs that are no longer in `immutableData` are pruned by calling `onSelectionChange`.
+     */
+    // eslint-disable-next-line consistent-return
+    selectedKeys: (props, propName, componentName) => {
+      const selectedKeys = props[propName];
+      const isImmutableSet = utils.isImmutableIterable(selectedKeys) && !!selectedKeys.add;
+      if (selectedKeys !== undefined && !isImmutableSet) {
+        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Must be an Immutable Set.`);
+      }
+    },
+
+    /**
+     * Called with the new `Immutable.Set` of selected row IDs whenever the selection changes,
+     * including when selected rows are removed from `immutableData`.
+     */
+    onSelectionChange: PropTypes.func,
+
     /**
      * A plain string, or a function that returns some {@link PropTypes.element}
      * to be rendered in place of a `ListView` when there are no items in the list.
@@ -64,9 +330,46 @@ class ImmutableListView extends PureComponent {
      * It will be passed all the original props of the ImmutableListView.
      */
     renderEmptyInList: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * True while the data is being loaded. If there are no items in the list yet, the loading renderers
+     * are rendered instead of the empty renderers.
+     */
+    isLoading: PropTypes.bool,
+
+    /**
+     * The error from loading the data, if it failed. If there are no items in the list,
+     * the error renderers are rendered instead of the empty renderers (but not while `isLoading`).
+     */
+    // eslint-disable-next-line react/forbid-prop-types
+    error: PropTypes.any,
+
+    /**
+     * Like `renderEmpty`, but rendered while `isLoading` and there are no items in the list.
+     */
+    renderLoading: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * Like `renderEmptyInList`, but rendered while `isLoading` and there are no items in the list.
+     */
+    renderLoadingInList: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * Like `renderEmpty`, but rendered when there's an `error` and there are no items in the list.
+     * A function is passed the `error` as its second argument.
+     */
+    renderError: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * Like `renderEmptyInList`, but rendered when there's an `error` and there are no items in the list.
+     * A function is passed the `error` as its second argument.
+     */
+    renderErrorInList: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
   };
 
   static defaultProps = {
+    rowHasChanged: 'deep',
+
     // The data contained in the section generally doesn't affect the header text, so return false.
     // eslint-disable-next-line no-unused-vars
     sectionHeaderHasChanged: (prevSectionData, nextSectionData) => false,
@@ -74,135 +377,623 @@ class ImmutableListView extends PureComponent {
     // Note: enableEmptySections is being used to mimic the default behavior of the upcoming version.
     enableEmptySections: true,
 
+    selectionMode: 'multiple',
+
+    withRowContext: false,
+
     // Note: removeClippedSubviews is disabled to work around a long-standing bug:
     //   https://github.com/facebook/react-native/issues/1831
     removeClippedSubviews: false,
 
     renderEmptyInList: 'No data.',
+
+    renderLoadingInList: 'Loading...',
+
+    renderErrorInList: 'Couldn\'t load data.',
   };
 
+  static getDerivedStateFromProps(props, state) {
+    const { renderSectionHeader, enableEmptySections, rowKey } = props;
+    const startTime = utils.now();
+    const { rowLimit } = state;
+    const isSectioned = !!renderSectionHeader;
+    const collapsedSections = (props.collapsedSections !== undefined
+      ? props.collapsedSections
+      : state.collapsedSections);
+
+    const shouldDerive = !state.derivationProps || isSectioned !== state.isSectioned
+      || !utils.isSameDerivation(state.derivationProps, props);
+    const derivationProps = shouldDerive ? utils.getDerivationProps(props) : state.derivationProps;
+    const immutableData = shouldDerive ? utils.getListData(derivationProps, isSectioned) : state.immutableData;
+
+    if (!shouldDerive && rowLimit === state.listDataRowLimit && enableEmptySections === state.enableEmptySections
+      && collapsedSections === state.listCollapsedSections && utils.isSameRowKey(rowKey, state.rowKey)) {
+      return null;
+    }
+
+    // Like ListView, skip sections without any rows unless they should be rendered anyway.
+    let fullListData = immutableData;
+    if (!shouldDerive && enableEmptySections === state.enableEmptySections) {
+      fullListData = state.fullListData;
+    } else if (isSectioned && !enableEmptySections && immutableData) {
+      fullListData = utils.toCollection(immutableData).filter((sectionData) => (
+        sectionData && !utils.toCollection(sectionData).isEmpty()
+      ));
+    }
+
+    const listData = (rowLimit !== null && fullListData
+      ? utils.toCollection(fullListData).slice(0, rowLimit)
+      : fullListData);
+
+    // The rows of collapsed sections aren't rendered, so they're left out of the row identities.
+    const sectionIDs = isSectioned ? utils.getKeys(listData) : null;
+    const rowIdentities = (isSectioned
+      ? utils.getRowIdentities(listData, rowKey).map((rowIDs, sectionIndex) => (
+        collapsedSections.has(sectionIDs[sectionIndex]) ? [] : rowIDs
+      ))
+      : [utils.getRowKeys(listData, rowKey)]);
+
+    return {
+      derivationProps,
+      isSectioned,
+      immutableData,
+      fullListData,
+      listData,
+      listDataRowLimit: rowLimit,
+      listCollapsedSections: collapsedSections,
+      enableEmptySections,
+      rowKey,
+      rowIdentities,
+      deriveTime: utils.now() - startTime,
+    };
+  }
+
+  constructor(props) {
+    super(props);
+
+    this.contentLength = 0;
+    this.renderedRowCount = 0;
+    this.visibleRowCount = 0;
+
+    // The index of each row ID within each array of rendered row IDs, so that separators can find their rows.
+    this.rowIndices = new WeakMap();
+
+    // How the rows have been rendered since the stats were last reported to `onRenderStats`.
+    this.renderCounts = { mountedRows: 0, renderedRows: 0, skippedRows: 0 };
+    this.interactionTime = null;
+
+    // Only this many rows (or sections, if `renderSectionHeader` is provided) are rendered, if set.
+    this.state.rowLimit = props.rowsDuringInteraction >= 0 ? props.rowsDuringInteraction : null;
+  }
+
   state = {
-    dataSource: new ListView.DataSource({
-      rowHasChanged: (prevRowData, nextRowData) => !Immutable.is(prevRowData, nextRowData),
+    /** The data to render: `immutableData` as filtered, searched, sorted, and grouped by the props. */
+    immutableData: null,
+
+    derivationProps: null,
+
+    isSectioned: false,
+
+    /** The data to render, without any skipped sections. */
+    fullListData: null,
+
+    /** The data that's actually rendered: `fullListData` limited to `rowLimit` rows (or sections). */
+    listData: Immutable.List(),
 
-      getRowData: (dataBlob, sectionID, rowID) => {
-        const rowData = utils.getValueFromKey(sectionID, dataBlob);
-        return utils.getValueFromKey(rowID, rowData);
-      },
+    rowIdentities: [],
 
-      // eslint-disable-next-line react/destructuring-assignment
-      sectionHeaderHasChanged: this.props.sectionHeaderHasChanged,
+    /** How long deriving `listData` took, in milliseconds. */
+    deriveTime: 0,
 
-      getSectionHeaderData: (dataBlob, sectionID) => utils.getValueFromKey(sectionID, dataBlob),
-    }),
+    highlightedRow: {},
 
-    interactionOngoing: true,
+    /** The length of the list's visible area (its height, or its width if `horizontal`), once it's been laid out. */
+    visibleLength: 0,
+
+    /** The IDs of the selected rows, unless they're controlled by the `selectedKeys` prop. */
+    selectedKeys: Immutable.Set(),
+
+    /** The IDs of the collapsed sections, unless they're controlled by the `collapsedSections` prop. */
+    collapsedSections: Immutable.Set(),
   };
 
-  componentWillMount() {
-    this.canSetState = true;
-    this.setStateFromPropsAfterInteraction(this.props);
+  componentDidMount() {
+    const { rowsDuringInteraction } = this.props;
+
+    // If set, wait for animations etc. to complete before rendering the full list of data.
+    if (rowsDuringInteraction >= 0) {
+      this.interactionStartTime = utils.now();
+      this.interactionHandle = InteractionManager.runAfterInteractions(this.renderNextBatch);
+    }
+
+    this.reportRenderStats();
   }
 
-  componentWillReceiveProps(newProps) {
-    this.setStateFromPropsAfterInteraction(newProps);
+  componentDidUpdate(prevProps, prevState) {
+    const {
+      immutableData: sourceData, renderSectionHeader, groupBy, rowKey, onDataChange, selectable,
+    } = this.props;
+    const { immutableData, listData } = this.state;
+    const prevImmutableData = prevState.immutableData;
+
+    if (listData !== prevState.listData) this.reportRenderStats();
+
+    if (onDataChange && immutableData !== prevImmutableData) {
+      const diff = (renderSectionHeader
+        ? utils.getSectionDiff(prevImmutableData, immutableData, rowKey)
+        : utils.getSectionDiff(
+          Immutable.Map({ [DEFAULT_SECTION_ID]: prevImmutableData }),
+          Immutable.Map({ [DEFAULT_SECTION_ID]: immutableData }),
+          rowKey,
+        ));
+      if (Object.keys(diff).length) onDataChange(diff);
+    }
+
+    // Deselect any rows that were removed. Without `rowKey`, grouped rows are selected by their keys within
+    // their groups (see `utils.getSelectionKey`), so they're looked for in the grouped data instead.
+    if (selectable && sourceData !== prevProps.immutableData) {
+      const isGroupedWithoutRowKey = !!renderSectionHeader && !!groupBy && !rowKey;
+      const isSectionedSource = !!renderSectionHeader && !groupBy;
+      this.setSelectedKeys(isGroupedWithoutRowKey
+        ? utils.pruneSelection(this.getSelectedKeys(), immutableData, rowKey, true)
+        : utils.pruneSelection(this.getSelectedKeys(), sourceData, rowKey, isSectionedSource));
+    }
   }
 
   componentWillUnmount() {
-    this.canSetState = false;
+    if (this.interactionHandle) this.interactionHandle.cancel();
+    cancelAnimationFrame(this.batchFrame);
   }
 
-  setStateFromPropsAfterInteraction(props) {
-    // Always set state right away before the interaction.
-    this.setStateFromProps(props, false);
+  /**
+   * Returns the underlying `VirtualizedList`, or `SectionList` if `renderSectionHeader` is provided.
+   */
+  getListView() {
+    const { renderSectionHeader } = this.props;
 
-    // If set, wait for animations etc. to complete before rendering the full list of data.
-    if (props.rowsDuringInteraction >= 0) {
-      InteractionManager.runAfterInteractions(() => {
-        this.setStateFromProps(props, true);
-      });
-    }
+    if (!this.listRef) return null;
+    return renderSectionHeader ? this.listRef.getSectionList() : this.listRef.getVirtualizedList();
   }
 
-  setStateFromProps(props, interactionHasJustFinished) {
-    // In some cases the component will have been unmounted before executing
-    // InteractionManager.runAfterInteractions, causing a warning if we try to set state.
-    if (!this.canSetState) return;
+  /**
+   * Return the props that aren't ImmutableListView's own, to pass through as they are
+   * to the list it renders (or to an `EmptyListView` in its place).
+   */
+  getPassThroughProps() {
+    const {
+      immutableData, renderEmpty, renderEmptyInList, rowsDuringInteraction, rowsPerBatch,
+      rowHasChanged, sectionHeaderHasChanged,
+      renderRow, renderSectionHeader, renderSeparator, renderHeader, renderFooter,
+      initialListSize, pageSize, onChangeVisibleRows, enableEmptySections, onDataChange, onRenderStats,
+      filter, searchQuery, searchKeys, sortBy, comparator, groupBy, sectionOrder,
+      isLoading, error, renderLoading, renderLoadingInList, renderError, renderErrorInList,
+      selectable, selectionMode, selectedKeys, onSelectionChange, collapsedSections, onToggleSection, withRowContext,
+      onViewableItemsChanged, onContentSizeChange, onLayout, onEndReachedThreshold, scrollRenderAheadDistance,
+      ...passThroughProps
+    } = this.props;
 
-    const { dataSource, interactionOngoing } = this.state;
-    const { immutableData, rowsDuringInteraction, renderSectionHeader } = props;
+    return passThroughProps;
+  }
 
-    const shouldDisplayPartialData = rowsDuringInteraction >= 0 && interactionOngoing && !interactionHasJustFinished;
+  /**
+   * Return the IDs of the selected rows, from the `selectedKeys` prop if it's set.
+   */
+  getSelectedKeys() {
+    const { selectedKeys } = this.props;
+    const { selectedKeys: uncontrolledKeys } = this.state;
 
-    const displayData = (shouldDisplayPartialData
-      ? immutableData.slice(0, rowsDuringInteraction)
-      : immutableData);
+    return selectedKeys !== undefined ? selectedKeys : uncontrolledKeys;
+  }
 
-    const updatedDataSource = (renderSectionHeader
-      ? dataSource.cloneWithRowsAndSections(
-        displayData, utils.getKeys(displayData), utils.getRowIdentities(displayData),
-      )
-      : dataSource.cloneWithRows(
-        displayData, utils.getKeys(displayData),
-      ));
+  setSelectedKeys(selectedKeys) {
+    const { selectedKeys: controlledKeys, onSelectionChange } = this.props;
 
-    this.setState({
-      dataSource: updatedDataSource,
-      interactionOngoing: interactionHasJustFinished ? false : interactionOngoing,
-    });
+    if (selectedKeys === this.getSelectedKeys()) return;
+
+    if (controlledKeys === undefined) this.setState({ selectedKeys });
+    if (onSelectionChange) onSelectionChange(selectedKeys);
   }
 
-  getListView() {
-    return this.listViewRef;
+  /**
+   * Return whether the row with the given ID is selected, and a function to select or deselect it.
+   */
+  getSelectionInfo(sectionData, sectionID, rowID) {
+    const { renderSectionHeader, rowKey } = this.props;
+    const selectionKey = utils.getSelectionKey(rowID, sectionData, renderSectionHeader ? sectionID : undefined, rowKey);
+
+    return {
+      isSelected: this.getSelectedKeys().has(selectionKey),
+      toggleSelected: () => this.toggleSelection(selectionKey),
+    };
   }
 
-  getMetrics = (...args) =>
-    this.listViewRef && this.listViewRef.getMetrics(...args);
+  /**
+   * Return the context of the row with the given IDs, as passed to `renderRow` if `withRowContext`;
+   * see `utils.getRowContexts`. It's computed from all of the data rather than just the rows rendered so far,
+   * and cached so it's only computed once per data change.
+   *
+   * Rows are looked up by ID rather than by their index in the underlying list, which also counts any rows
+   * that are being animated out. Those rows keep the context they had before they were removed.
+   */
+  getRowContext(sectionID, rowID) {
+    const { fullListData, isSectioned, rowKey } = this.state;
+
+    if (fullListData !== this.rowContextsData || !utils.isSameRowKey(rowKey, this.rowContextsRowKey)) {
+      this.rowContextsData = fullListData;
+      this.rowContextsRowKey = rowKey;
+      this.prevRowContexts = this.rowContexts;
+      this.rowContexts = getRowContextsByID(fullListData, isSectioned, rowKey);
+    }
 
-  scrollTo = (...args) =>
-    this.listViewRef && this.listViewRef.scrollTo(...args);
+    const findRowContext = (rowContexts) => rowContexts && rowContexts.has(sectionID)
+      && rowContexts.get(sectionID).get(rowID);
+    return findRowContext(this.rowContexts) || findRowContext(this.prevRowContexts) || undefined;
+  }
 
-  scrollToEnd = (...args) =>
-    this.listViewRef && this.listViewRef.scrollToEnd(...args);
+  /**
+   * Return the index of a row ID within its section's row IDs, or undefined if it's not there.
+   * The indices are cached so they're only computed once per change.
+   */
+  getRowIndex(rowIDs, rowID) {
+    if (!this.rowIndices.has(rowIDs)) {
+      this.rowIndices.set(rowIDs, new Map(rowIDs.map((id, index) => [id, index])));
+    }
 
-  renderEmpty() {
-    const {
-      immutableData, enableEmptySections, renderEmpty, renderEmptyInList, contentContainerStyle,
-    } = this.props;
+    return this.rowIndices.get(rowIDs).get(rowID);
+  }
+
+  getScrollResponder() {
+    const listView = this.getListView();
+    return listView && listView.getScrollResponder();
+  }
 
-    const shouldTryToRenderEmpty = renderEmpty || renderEmptyInList;
-    if (shouldTryToRenderEmpty && utils.isEmptyListView(immutableData, enableEmptySections)) {
-      if (renderEmpty) {
-        if (typeof renderEmpty === 'string') {
-          return <Text style={[styles.emptyText, contentContainerStyle]}>{renderEmpty}</Text>;
+  /**
+   * Convert the view tokens of the underlying list to ListView's section and row IDs,
+   * ignoring any tokens that aren't rows (e.g. section headers).
+   */
+  getRowsFromViewTokens(viewTokens) {
+    const { animateChanges } = this.props;
+    const { rowIdentities } = this.state;
+
+    return viewTokens
+      .filter(({ index }) => index != null)
+      .map(({
+        index, item, section, isViewable,
+      }) => {
+        if (section) {
+          return { sectionID: section.sectionKey, rowID: section.rowKeys[index], isViewable };
         }
-        return renderEmpty(this.props);
+
+        // When animating changes, the items include any rows that are still being animated out.
+        const rowID = animateChanges ? item.key : rowIdentities[0][index];
+        return { sectionID: DEFAULT_SECTION_ID, rowID, isViewable };
+      });
+  }
+
+  getMetrics = () => {
+    const { enableEmptySections } = this.props;
+    const { rowIdentities } = this.state;
+
+    const rowCount = rowIdentities.reduce((count, rowIDs) => count + rowIDs.length, 0);
+
+    return {
+      contentLength: this.contentLength,
+      totalRows: enableEmptySections ? rowCount + rowIdentities.length : rowCount,
+      renderedRows: this.renderedRowCount,
+      visibleRows: this.visibleRowCount,
+    };
+  };
+
+  scrollTo = (...args) => {
+    const scrollResponder = this.getScrollResponder();
+    return scrollResponder && scrollResponder.scrollTo(...args);
+  };
+
+  scrollToEnd = (...args) => {
+    const scrollResponder = this.getScrollResponder();
+    return scrollResponder && scrollResponder.scrollToEnd(...args);
+  };
+
+  /**
+   * Scroll to the row with the given ID, even if it hasn't been rendered yet.
+   * Takes the same options as `scrollToIndex`, as well as `sectionKey` to find the row in that section only.
+   *
+   * @returns {Promise} Resolves once the list has scrolled to the row.
+   */
+  scrollToKey = (key, options) => (this.listRef
+    ? this.listRef.scrollToKey(key, options)
+    : Promise.reject(new Error('Can\'t scroll: The list isn\'t rendered.')));
+
+  /**
+   * Scroll to the header of the section with the given ID, even if it hasn't been rendered yet.
+   *
+   * @returns {Promise} Resolves once the list has scrolled to the section.
+   */
+  scrollToSection = (sectionKey, options) => {
+    const { renderSectionHeader } = this.props;
+
+    if (!this.listRef || !renderSectionHeader) {
+      return Promise.reject(new Error('Can\'t scroll to a section: The list isn\'t rendered with sections.'));
+    }
+    return this.listRef.scrollToSection(sectionKey, options);
+  };
+
+  /**
+   * Render the next `rowsPerBatch` rows, scheduling another batch for the next frame if there are still more,
+   * or render all of them if there's no `rowsPerBatch`.
+   */
+  renderNextBatch = () => {
+    const { rowsPerBatch } = this.props;
+    const { immutableData, rowLimit } = this.state;
+
+    if (rowLimit === null) return;
+
+    if (this.interactionTime === null) this.interactionTime = utils.now() - this.interactionStartTime;
+
+    const rowCount = (immutableData && utils.toCollection(immutableData).count()) || 0;
+    const nextRowLimit = rowsPerBatch > 0 ? rowLimit + rowsPerBatch : rowCount;
+    const isDone = nextRowLimit >= rowCount;
+
+    this.setState({ rowLimit: isDone ? null : nextRowLimit });
+    if (!isDone) {
+      this.batchFrame = requestAnimationFrame(this.renderNextBatch);
+    }
+  };
+
+  onToggleSection = (sectionID, collapsedSections) => {
+    const { collapsedSections: controlledSections, onToggleSection } = this.props;
+
+    if (controlledSections === undefined) this.setState({ collapsedSections });
+    if (onToggleSection) onToggleSection(sectionID, collapsedSections);
+  };
+
+  toggleSelection = (selectionKey) => {
+    const { selectionMode } = this.props;
+    this.setSelectedKeys(utils.toggleSelection(this.getSelectedKeys(), selectionKey, selectionMode));
+  };
+
+  onRowHighlighted = (sectionID, rowID) => {
+    this.setState({ highlightedRow: { sectionID, rowID } });
+  };
+
+  onRowMount = () => {
+    this.renderedRowCount += 1;
+    this.renderCounts.mountedRows += 1;
+  };
+
+  onRowUpdate = (isRendered) => {
+    this.renderCounts[isRendered ? 'renderedRows' : 'skippedRows'] += 1;
+  };
+
+  onRowUnmount = () => {
+    this.renderedRowCount -= 1;
+  };
+
+  onLayout = (event) => {
+    const { horizontal, onLayout } = this.props;
+    const { width, height } = event.nativeEvent.layout;
+
+    this.setState({ visibleLength: horizontal ? width : height });
+    if (onLayout) onLayout(event);
+  };
+
+  onContentSizeChange = (width, height) => {
+    const { horizontal, onContentSizeChange } = this.props;
+
+    this.contentLength = horizontal ? width : height;
+    if (onContentSizeChange) onContentSizeChange(width, height);
+  };
+
+  onViewableItemsChanged = (info) => {
+    const { onChangeVisibleRows, onViewableItemsChanged } = this.props;
+
+    const visibleRows = this.getRowsFromViewTokens(info.viewableItems);
+    this.visibleRowCount = visibleRows.length;
+
+    if (onChangeVisibleRows) {
+      const changedRows = this.getRowsFromViewTokens(info.changed);
+      onChangeVisibleRows(
+        getRowMap(visibleRows, () => true),
+        getRowMap(changedRows, ({ isViewable }) => isViewable),
+      );
+    }
+
+    if (onViewableItemsChanged) onViewableItemsChanged(info);
+  };
+
+  /**
+   * Compare the props of two `StaticRenderer`s rendered by `renderRow`, with the comparisons as currently set,
+   * so that changing `rowHasChanged` or `sectionHeaderHasChanged` takes effect on the next render.
+   */
+  rowShouldUpdate = (prevProps, nextProps) => {
+    const { rowHasChanged, sectionHeaderHasChanged } = this.props;
+
+    return utils.getHasChanged(rowHasChanged)(prevProps.rowData, nextProps.rowData)
+      || prevProps.isSelected !== nextProps.isSelected
+      || !utils.isSameItemProps(prevProps.rowContext, nextProps.rowContext)
+      || utils.getHasChanged(sectionHeaderHasChanged)(prevProps.sectionData, nextProps.sectionData);
+  };
+
+  /**
+   * Call `onRenderStats` with how the rows have been rendered since it was last called, then start counting again.
+   */
+  reportRenderStats() {
+    const { onRenderStats } = this.props;
+    const {
+      immutableData, listData, isSectioned, deriveTime,
+    } = this.state;
+
+    if (!onRenderStats) return;
+
+    const rowCount = utils.getRowCount(immutableData, isSectioned);
+    onRenderStats({
+      ...this.renderCounts,
+      deriveTime,
+      rowCount,
+      deferredRows: rowCount - utils.getRowCount(listData, isSectioned),
+      interactionTime: this.interactionTime,
+    });
+    this.renderCounts = { mountedRows: 0, renderedRows: 0, skippedRows: 0 };
+  }
+
+  /**
+   * Render one of the pairs of placeholder props, e.g. `renderEmpty` and `renderEmptyInList`:
+   * the first in place of the list, or else the second inside of an `EmptyListView`.
+   * Each may be a string, or a function taking the props and `args`.
+   */
+  renderPlaceholder(renderInPlace, renderInList, ...args) {
+    const { contentContainerStyle } = this.props;
+
+    if (renderInPlace) {
+      if (typeof renderInPlace === 'string') {
+        return <Text style={[styles.emptyText, contentContainerStyle]}>{renderInPlace}</Text>;
       }
-      if (renderEmptyInList) {
-        if (typeof renderEmptyInList === 'string') {
-          const { renderRow, ...passThroughProps } = this.props;
-          return <EmptyListView {...passThroughProps} emptyText={renderEmptyInList} />;
-        }
-        return <EmptyListView {...this.props} renderRow={() => renderEmptyInList(this.props)} />;
+      return renderInPlace(this.props, ...args);
+    }
+    if (renderInList) {
+      const { renderHeader, renderFooter } = this.props;
+      // The props that are passed on to the rows of the list it renders don't apply to the placeholder.
+      const {
+        rowKey, animateChanges, itemHeight, sectionHeaderHeight, sectionFooterHeight, separatorHeight, headerHeight,
+        measureItems, ...passThroughProps
+      } = this.getPassThroughProps();
+      const listProps = { ...passThroughProps, renderHeader, renderFooter };
+
+      if (typeof renderInList === 'string') {
+        return <EmptyListView {...listProps} emptyText={renderInList} />;
       }
+      return <EmptyListView {...listProps} renderRow={() => renderInList(this.props, ...args)} />;
     }
 
     return null;
   }
 
-  render() {
-    const { dataSource } = this.state;
+  renderEmpty() {
     const {
-      immutableData, renderEmpty, renderEmptyInList, rowsDuringInteraction, sectionHeaderHasChanged, ...passThroughProps
+      immutableData: sourceData, enableEmptySections, renderEmpty, renderEmptyInList,
+      error, renderLoading, renderLoadingInList, renderError, renderErrorInList,
     } = this.props;
+    const { immutableData } = this.state;
+    const placeholderType = utils.getPlaceholderType(this.props);
+
+    if (!placeholderType || !utils.isEmptyListView(immutableData, enableEmptySections)) return null;
+
+    if (placeholderType === 'loading') return this.renderPlaceholder(renderLoading, renderLoadingInList);
+    if (placeholderType === 'error') return this.renderPlaceholder(renderError, renderErrorInList, error);
 
-    return this.renderEmpty() || (
-      <ListView
-        ref={(component) => { this.listViewRef = component; }}
-        dataSource={dataSource}
-        {...passThroughProps}
+    // Tell the renderers whether there would be rows to show if it weren't for `filter` or `searchQuery`.
+    const emptyInfo = { isFiltered: !utils.isEmptyListView(sourceData, enableEmptySections) };
+    return this.renderPlaceholder(renderEmpty, renderEmptyInList, emptyInfo);
+  }
+
+  /**
+   * Render a row the same way ListView does: only re-rendering it when its data (or selection) has changed,
+   * followed by its separator (if any). The row is found among `rowIDs`, the IDs of its section's rows, by its ID
+   * rather than by its index in the underlying list, which may also count rows that are being animated out.
+   */
+  renderRow(rowData, sectionData, sectionIndex, sectionID, rowID, rowIDs) {
+    const {
+      renderRow, renderSeparator, selectable, withRowContext,
+    } = this.props;
+    const { rowIdentities, highlightedRow } = this.state;
+    const selectionInfo = selectable ? this.getSelectionInfo(sectionData, sectionID, rowID) : undefined;
+    const rowContext = withRowContext ? this.getRowContext(sectionID, rowID) : undefined;
+
+    const row = (
+      <StaticRenderer
+        rowData={rowData}
+        sectionData={sectionData}
+        isSelected={selectionInfo && selectionInfo.isSelected}
+        rowContext={rowContext}
+        shouldUpdate={this.rowShouldUpdate}
+        render={() => renderRow(rowData, sectionID, rowID, this.onRowHighlighted, selectionInfo, rowContext)}
+        onMount={this.onRowMount}
+        onUpdate={this.onRowUpdate}
+        onUnmount={this.onRowUnmount}
       />
     );
+
+    const rowIndex = this.getRowIndex(rowIDs, rowID);
+    const isLastRowInSection = rowIndex === rowIDs.length - 1;
+    const isLastSection = sectionIndex === rowIdentities.length - 1;
+    if (!renderSeparator || (isLastRowInSection && !isLastSection)) {
+      return row;
+    }
+
+    const adjacentRowHighlighted = highlightedRow.sectionID === sectionID
+      && (highlightedRow.rowID === rowID
+        || (rowIndex < rowIDs.length - 1 && highlightedRow.rowID === rowIDs[rowIndex + 1]));
+    const separator = renderSeparator(sectionID, rowID, adjacentRowHighlighted);
+
+    return separator
+      ? (
+        <>
+          {row}
+          <View>{separator}</View>
+        </>
+      )
+      : row;
+  }
+
+  render() {
+    const {
+      listData, rowIdentities, highlightedRow, listCollapsedSections, visibleLength,
+    } = this.state;
+    const {
+      renderSectionHeader, renderHeader, renderFooter, initialListSize, pageSize, onChangeVisibleRows,
+      onViewableItemsChanged, onEndReachedThreshold, scrollRenderAheadDistance,
+    } = this.props;
+
+    // Convert ListView's distances in pixels to VirtualizedList's multiples of the visible length.
+    // Until the list has been laid out, `onEndReached` isn't called early and the default window is used.
+    const distanceProps = {};
+    if (onEndReachedThreshold != null) {
+      distanceProps.onEndReachedThreshold = visibleLength ? onEndReachedThreshold / visibleLength : 0;
+    }
+    if (scrollRenderAheadDistance != null && visibleLength) {
+      // The window extends the same distance behind the visible area as ahead of it.
+      distanceProps.windowSize = 1 + (2 * scrollRenderAheadDistance) / visibleLength;
+    }
+
+    const listProps = {
+      ref: (component) => { this.listRef = component; },
+      ...this.getPassThroughProps(),
+      immutableData: listData,
+      extraData: highlightedRow,
+      initialNumToRender: initialListSize,
+      maxToRenderPerBatch: pageSize,
+      ListHeaderComponent: renderHeader && renderHeader(),
+      ListFooterComponent: renderFooter && renderFooter(),
+      ...distanceProps,
+      onLayout: this.onLayout,
+      onContentSizeChange: this.onContentSizeChange,
+      // Viewability can't be toggled after mounting, so only track it when it's needed.
+      onViewableItemsChanged: (onChangeVisibleRows || onViewableItemsChanged) ? this.onViewableItemsChanged : undefined,
+      // Empty data is handled by EmptyListView instead.
+      renderEmpty: null,
+      renderEmptyInList: null,
+    };
+
+    return this.renderEmpty() || (renderSectionHeader
+      ? (
+        <ImmutableSectionList
+          {...listProps}
+          collapsedSections={listCollapsedSections}
+          onToggleSection={this.onToggleSection}
+          renderSectionHeader={({ section, isCollapsed, toggleCollapsed }) => (
+            renderSectionHeader(section.sectionData, section.sectionKey, { isCollapsed, toggleCollapsed })
+          )}
+          renderItem={({ item, key, section }) => (
+            this.renderRow(item, section.sectionData, section.sectionIndex, section.sectionKey, key, section.rowKeys)
+          )}
+        />
+      )
+      : (
+        <ImmutableVirtualizedList
+          {...listProps}
+          renderItem={({ item, key }) => this.renderRow(item, listData, 0, DEFAULT_SECTION_ID, key, rowIdentities[0])}
+        />
+      ));
   }
 }
 
@@ -1,10 +1,20 @@
+import Immutable from 'immutable';
 import React from 'react';
-import { InteractionManager } from 'react-native';
+import {
+  Text, InteractionManager, LayoutAnimation, VirtualizedList,
+} from 'react-native';
 import renderer from 'react-test-renderer';
 
 import ImmutableListView from '../ImmutableListView';
+import { EmptyListView } from '../EmptyListView';
 
-import { data, renderers, expectors } from '../../test-utils';
+import {
+  data, renderers, mocks, expectors,
+} from '../../test-utils';
+import { render } from '../../testing';
+import utils from '../../utils';
+
+jest.mock('NativeAnimatedHelper');
 
 describe('ImmutableListView', () => {
   it('renders with empty data', () => {
@@ -44,6 +54,468 @@ describe('ImmutableListView', () => {
   });
 });
 
+describe('ImmutableListView with ListView props', () => {
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  it('passes sectionID and rowID to renderRow', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={data.MAP_DATA_MAP_ROWS}
+        renderRow={(rowData, sectionID, rowID) => <Text>{`${sectionID}.${rowID}: ${rowData}`}</Text>}
+        renderSectionHeader={(sectionData, sectionID) => <Text>{sectionID}</Text>}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['first', 'first.row1: data 1', 'first.row2: data 2', 'second']);
+  });
+
+  it('uses the default sectionID without section headers', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={data.LIST_DATA}
+        renderRow={(rowData, sectionID, rowID) => <Text>{`${sectionID}.${rowID}: ${rowData}`}</Text>}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['s1.0: lists', 's1.1: are', 's1.2: great']);
+  });
+
+  it('renders separators like ListView', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderRow={(rowData) => <Text>{rowData}</Text>}
+        renderSectionHeader={(sectionData, sectionID) => <Text>{sectionID}</Text>}
+        renderSeparator={(sectionID, rowID) => <Text>{`-${sectionID}.${rowID}`}</Text>}
+        initialListSize={20}
+      />,
+    );
+    expect(getTexts(tree)).toEqual([
+      'first', 'm', '-first.0', 'a', '-first.1', 'p',
+      'second', 'foo',
+      'third',
+      'fourth', 'bar', '-fourth.0',
+    ]);
+  });
+
+  it('renders header and footer', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={data.LIST_DATA}
+        renderRow={(rowData) => <Text>{rowData}</Text>}
+        renderHeader={() => <Text>Header</Text>}
+        renderFooter={() => <Text>Footer</Text>}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['Header', 'lists', 'are', 'great', 'Footer']);
+  });
+
+  it('highlights the separators next to a row', () => {
+    let highlightRow;
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={data.LIST_DATA}
+        renderRow={(rowData, sectionID, rowID, onHighlight) => {
+          highlightRow = onHighlight;
+          return <Text>{rowData}</Text>;
+        }}
+        renderSeparator={(sectionID, rowID, adjacentRowHighlighted) => (
+          <Text>{adjacentRowHighlighted ? 'highlighted' : 'separator'}</Text>
+        )}
+      />,
+    );
+
+    renderer.act(() => highlightRow('s1', 1));
+    expect(getTexts(tree)).toEqual([
+      'lists', 'highlighted', 'are', 'highlighted', 'great', 'separator',
+    ]);
+  });
+
+  it('only re-renders rows whose data has changed', () => {
+    const renderRow = jest.fn((rowData) => <Text>{rowData}</Text>);
+    const tree = renderer.create(
+      <ImmutableListView immutableData={data.LIST_DATA} renderRow={renderRow} />,
+    );
+    renderRow.mockClear();
+
+    tree.update(
+      <ImmutableListView immutableData={data.LIST_DATA.set(1, 'really are')} renderRow={renderRow} />,
+    );
+    expect(renderRow.mock.calls.map(([rowData]) => rowData)).toEqual(['really are']);
+  });
+
+  it('returns metrics like ListView', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={Immutable.fromJS({ first: ['a', 'b'], second: ['c'] })}
+        renderRow={(rowData) => <Text>{rowData}</Text>}
+        renderSectionHeader={(sectionData, sectionID) => <Text>{sectionID}</Text>}
+      />,
+    );
+    const metrics = tree.getInstance().getMetrics();
+    expect(metrics.totalRows).toBe(5);
+    expect(metrics.renderedRows).toBe(3);
+  });
+
+  it('converts distances in pixels to multiples of the visible length', () => {
+    const onLayout = jest.fn();
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={data.LIST_DATA}
+        renderRow={(rowData) => <Text>{rowData}</Text>}
+        onEndReachedThreshold={1000}
+        scrollRenderAheadDistance={1000}
+        onLayout={onLayout}
+      />,
+    );
+    const getListProps = () => tree.root.findByType(VirtualizedList).props;
+
+    // Nothing is measured in pixels until the list has been laid out.
+    expect(getListProps().onEndReachedThreshold).toBe(0);
+
+    const event = { nativeEvent: { layout: { width: 320, height: 500 } } };
+    renderer.act(() => getListProps().onLayout(event));
+    expect(getListProps().onEndReachedThreshold).toBe(2);
+    expect(getListProps().windowSize).toBe(5);
+    expect(onLayout).toHaveBeenCalledWith(event);
+  });
+
+  it('offsets the computed item layouts by the height of renderHeader', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={data.LIST_DATA}
+        renderRow={(rowData) => <Text>{rowData}</Text>}
+        renderHeader={() => <Text>Header</Text>}
+        itemHeight={40}
+        headerHeight={60}
+      />,
+    );
+    const { getItemLayout, data: listData } = tree.root.findByType(VirtualizedList).props;
+
+    expect([0, 1].map((index) => getItemLayout(listData, index).offset)).toEqual([60, 100]);
+  });
+});
+
+describe('ImmutableListView with rowKey', () => {
+  const ROWS = Immutable.fromJS([
+    { id: 'a', text: 'first' },
+    { id: 'b', text: 'second' },
+  ]);
+
+  const renderRow = (rowData, sectionID, rowID) => <Text>{`${sectionID}.${rowID}: ${rowData.get('text')}`}</Text>;
+
+  it('uses the row keys as row IDs', () => {
+    const tree = renderer.create(
+      <ImmutableListView immutableData={ROWS} renderRow={renderRow} rowKey={['id']} />,
+    );
+    expect(tree.root.findAllByType(Text).map((text) => text.props.children)).toEqual([
+      's1.a: first', 's1.b: second',
+    ]);
+  });
+
+  it('uses the row keys as row IDs within sections', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={Immutable.Map({ letters: ROWS })}
+        renderRow={renderRow}
+        renderSectionHeader={(sectionData, sectionID) => <Text>{sectionID}</Text>}
+        rowKey={(rowData) => rowData.get('id').toUpperCase()}
+      />,
+    );
+    expect(tree.root.findAllByType(Text).map((text) => text.props.children)).toEqual([
+      'letters', 'letters.A: first', 'letters.B: second',
+    ]);
+  });
+
+  it('doesn\'t re-render existing rows when a row is inserted before them', () => {
+    const renderRowSpy = jest.fn(renderRow);
+    const tree = renderer.create(
+      <ImmutableListView immutableData={ROWS} renderRow={renderRowSpy} rowKey={['id']} />,
+    );
+    renderRowSpy.mockClear();
+
+    tree.update(
+      <ImmutableListView
+        immutableData={ROWS.unshift(Immutable.Map({ id: 'z', text: 'zeroth' }))}
+        renderRow={renderRowSpy}
+        rowKey={['id']}
+      />,
+    );
+    expect(renderRowSpy.mock.calls.map(([, , rowID]) => rowID)).toEqual(['z']);
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableListView with onDataChange', () => {
+  it('reports the changes to the default section', () => {
+    const onDataChange = jest.fn();
+    const tree = renderer.create(
+      <ImmutableListView immutableData={data.LIST_DATA} renderRow={renderers.renderRow} onDataChange={onDataChange} />,
+    );
+    tree.update(
+      <ImmutableListView
+        immutableData={data.LIST_DATA.delete(0)}
+        renderRow={renderers.renderRow}
+        onDataChange={onDataChange}
+      />,
+    );
+    expect(onDataChange).toHaveBeenCalledWith({
+      s1: {
+        inserted: [], removed: [2], moved: [], updated: [0, 1],
+      },
+    });
+
+    tree.unmount();
+  });
+
+  it('reports the changes to each section by row key', () => {
+    const onDataChange = jest.fn();
+    const prevData = Immutable.fromJS({ first: [{ id: 'a' }, { id: 'b' }], second: [{ id: 'c' }] });
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={prevData}
+        renderRow={renderers.renderRow}
+        renderSectionHeader={renderers.renderSectionHeader}
+        rowKey={['id']}
+        onDataChange={onDataChange}
+      />,
+    );
+    tree.update(
+      <ImmutableListView
+        immutableData={prevData.update('first', (rows) => rows.reverse())}
+        renderRow={renderers.renderRow}
+        renderSectionHeader={renderers.renderSectionHeader}
+        rowKey={['id']}
+        onDataChange={onDataChange}
+      />,
+    );
+    expect(onDataChange).toHaveBeenCalledWith({
+      first: {
+        inserted: [], removed: [], moved: ['b'], updated: [],
+      },
+    });
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableListView with filter, sort, and search', () => {
+  const SECTIONS = Immutable.fromJS({
+    fruit: ['banana', 'apple', 'cherry'],
+    veg: ['carrot', 'pea'],
+  });
+  const renderRow = (rowData) => <Text>{rowData}</Text>;
+  const renderSectionHeader = (sectionData, sectionID) => <Text>{sectionID}</Text>;
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  it('sorts the rows', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={SECTIONS.get('fruit')}
+        renderRow={renderRow}
+        sortBy={(rowData) => rowData}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['apple', 'banana', 'cherry']);
+  });
+
+  it('searches the rows within each section, skipping sections with no matches', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={SECTIONS}
+        renderRow={renderRow}
+        renderSectionHeader={renderSectionHeader}
+        enableEmptySections={false}
+        searchQuery="AN"
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['fruit', 'banana']);
+
+    tree.update(
+      <ImmutableListView
+        immutableData={SECTIONS}
+        renderRow={renderRow}
+        renderSectionHeader={renderSectionHeader}
+        enableEmptySections={false}
+        searchQuery="a"
+        comparator={(a, b) => a.length - b.length}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['fruit', 'apple', 'banana', 'veg', 'pea', 'carrot']);
+
+    tree.unmount();
+  });
+
+  it('tells the empty renderers whether the rows were filtered out', () => {
+    const renderEmptyInList = jest.fn(() => null);
+
+    renderer.create(
+      <ImmutableListView
+        immutableData={SECTIONS}
+        renderRow={renderRow}
+        renderSectionHeader={renderSectionHeader}
+        enableEmptySections={false}
+        filter={() => false}
+        renderEmptyInList={renderEmptyInList}
+      />,
+    );
+    expect(renderEmptyInList).toHaveBeenLastCalledWith(expect.anything(), { isFiltered: true });
+  });
+});
+
+describe('ImmutableListView with groupBy', () => {
+  const TASKS = Immutable.fromJS([
+    { name: 'Wash', status: 'todo' },
+    { name: 'Cook', status: 'done' },
+    { name: 'Shop', status: 'todo' },
+  ]);
+  const renderRow = (rowData) => <Text>{rowData.get('name')}</Text>;
+  const renderSectionHeader = (sectionData, sectionID) => <Text>{`${sectionID} (${sectionData.size})`}</Text>;
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  it('renders flat data in sections', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={TASKS}
+        renderRow={renderRow}
+        renderSectionHeader={renderSectionHeader}
+        groupBy={['status']}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['todo (2)', 'Wash', 'Shop', 'done (1)', 'Cook']);
+  });
+
+  it('orders the sections and the rows within them', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={TASKS}
+        renderRow={renderRow}
+        renderSectionHeader={renderSectionHeader}
+        groupBy={(task) => task.get('status')}
+        sectionOrder={(a, b) => a.localeCompare(b)}
+        sortBy={['name']}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['done (1)', 'Cook', 'todo (2)', 'Shop', 'Wash']);
+  });
+
+  it('ignores groupBy without renderSectionHeader', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={TASKS}
+        renderRow={renderRow}
+        groupBy={['status']}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['Wash', 'Cook', 'Shop']);
+  });
+});
+
+describe('ImmutableListView with animateChanges', () => {
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mocks.mockLayoutAnimation();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    LayoutAnimation.configureNext.mockRestore();
+  });
+
+  it('keeps removed rows until they\'ve been animated out', () => {
+    const renderRow = (rowData, sectionID, rowID) => <Text>{`${sectionID}.${rowID}: ${rowData}`}</Text>;
+    const tree = renderer.create(
+      <ImmutableListView immutableData={data.LIST_DATA} renderRow={renderRow} animateChanges />,
+    );
+    tree.update(
+      <ImmutableListView immutableData={data.LIST_DATA.pop()} renderRow={renderRow} animateChanges />,
+    );
+    expect(getTexts(tree)).toEqual(['s1.0: lists', 's1.1: are', 's1.2: great']);
+
+    renderer.act(() => jest.runAllTimers());
+    expect(getTexts(tree)).toEqual(['s1.0: lists', 's1.1: are']);
+
+    tree.unmount();
+  });
+
+  it('keeps removed rows of a section until they\'ve been animated out', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderRow={(rowData) => <Text>{rowData}</Text>}
+        renderSectionHeader={(sectionData, sectionID) => <Text>{sectionID}</Text>}
+        initialListSize={20}
+        animateChanges
+      />,
+    );
+    tree.update(
+      <ImmutableListView
+        immutableData={data.MAP_DATA_LIST_ROWS.deleteIn(['first', 0])}
+        renderRow={(rowData) => <Text>{rowData}</Text>}
+        renderSectionHeader={(sectionData, sectionID) => <Text>{sectionID}</Text>}
+        initialListSize={20}
+        animateChanges
+      />,
+    );
+    // Without a rowKey, rows are matched up by their index, so it's the last row of the section that's removed.
+    expect(getTexts(tree).slice(0, 5)).toEqual(['first', 'a', 'p', 'p', 'second']);
+
+    renderer.act(() => jest.runAllTimers());
+    expect(getTexts(tree).slice(0, 4)).toEqual(['first', 'a', 'p', 'second']);
+
+    tree.unmount();
+  });
+
+  it('passes rows their position in the data while other rows are animated out', () => {
+    const renderRow = (rowData, sectionID, rowID, highlightRow, selectionInfo, { index, isLast }) => (
+      <Text>{`${rowData}: ${index}${isLast ? ' (last)' : ''}`}</Text>
+    );
+    const renderList = (immutableData) => (
+      <ImmutableListView
+        immutableData={immutableData}
+        renderRow={renderRow}
+        rowKey={(rowData) => rowData}
+        withRowContext
+        animateChanges
+      />
+    );
+
+    const tree = renderer.create(renderList(Immutable.List(['a', 'b', 'c'])));
+    tree.update(renderList(Immutable.List(['b', 'c'])));
+    // The row being animated out keeps its previous position.
+    expect(getTexts(tree)).toEqual(['a: 0', 'b: 0', 'c: 1 (last)']);
+
+    renderer.act(() => jest.runAllTimers());
+    expect(getTexts(tree)).toEqual(['b: 0', 'c: 1 (last)']);
+
+    tree.unmount();
+  });
+
+  it('renders separators after the right rows while other rows are animated out', () => {
+    const renderList = (immutableData) => (
+      <ImmutableListView
+        immutableData={immutableData}
+        renderRow={(rowData) => <Text>{rowData}</Text>}
+        renderSectionHeader={(sectionData, sectionID) => <Text>{sectionID}</Text>}
+        renderSeparator={(sectionID, rowID) => <Text>{`after ${rowID}`}</Text>}
+        rowKey={(rowData) => rowData}
+        animateChanges
+      />
+    );
+
+    const tree = renderer.create(renderList(Immutable.fromJS({ first: ['a', 'b'], second: ['c'] })));
+    tree.update(renderList(Immutable.fromJS({ first: ['b'], second: ['c'] })));
+    // Like ListView, the last row of each section but the last has no separator.
+    expect(getTexts(tree)).toEqual(['first', 'a', 'after a', 'b', 'second', 'c', 'after c']);
+
+    renderer.act(() => jest.runAllTimers());
+    expect(getTexts(tree)).toEqual(['first', 'b', 'second', 'c', 'after c']);
+
+    tree.unmount();
+  });
+});
+
 describe('ImmutableListView with delayed rendering', () => {
   it('renders basic List during interactions', () => {
     // Mock this method to make sure it's not run.
@@ -72,6 +544,446 @@ describe('ImmutableListView with delayed rendering', () => {
     ).toJSON();
     expect(tree).toMatchSnapshot();
   });
+
+  it('renders the rest of the rows in batches after interactions', () => {
+    jest.useFakeTimers();
+    InteractionManager.runAfterInteractions = (callback) => callback();
+
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={Immutable.Range(0, 6)}
+        rowsDuringInteraction={1}
+        rowsPerBatch={2}
+        renderRow={renderers.renderRow}
+      />,
+    );
+    const getTexts = () => tree.root.findAllByType(Text).map((text) => text.props.children);
+    expect(getTexts()).toEqual(['0', '1', '2']);
+
+    renderer.act(() => jest.runOnlyPendingTimers());
+    expect(getTexts()).toEqual(['0', '1', '2', '3', '4']);
+
+    renderer.act(() => jest.runOnlyPendingTimers());
+    expect(getTexts()).toEqual(['0', '1', '2', '3', '4', '5']);
+
+    tree.unmount();
+    jest.useRealTimers();
+  });
+});
+
+describe('ImmutableListView with rowHasChanged', () => {
+  const ROWS = Immutable.fromJS([{ id: 'a', version: 1, seenAt: 100 }, { id: 'b', version: 1, seenAt: 100 }]);
+
+  const renderRow = jest.fn((rowData) => <Text>{rowData.get('id')}</Text>);
+
+  const getRenderedIds = () => renderRow.mock.calls.map(([rowData]) => rowData.get('id'));
+
+  const renderList = (props) => (
+    <ImmutableListView immutableData={ROWS} rowKey={['id']} renderRow={renderRow} {...props} />
+  );
+
+  beforeEach(() => {
+    renderRow.mockClear();
+  });
+
+  it('compares rows deeply by default', () => {
+    const tree = renderer.create(renderList());
+
+    renderRow.mockClear();
+    tree.update(renderList({ immutableData: Immutable.fromJS(ROWS.toJS()) }));
+    expect(getRenderedIds()).toEqual([]);
+
+    tree.update(renderList({ immutableData: ROWS.setIn([0, 'seenAt'], 200) }));
+    expect(getRenderedIds()).toEqual(['a']);
+
+    tree.unmount();
+  });
+
+  it('compares rows by identity', () => {
+    const tree = renderer.create(renderList({ rowHasChanged: 'identity' }));
+
+    // Row b is equal but no longer the same.
+    const immutableData = ROWS.setIn([0, 'seenAt'], 200).set(1, Immutable.fromJS(ROWS.get(1).toJS()));
+    renderRow.mockClear();
+    tree.update(renderList({ rowHasChanged: 'identity', immutableData }));
+    expect(getRenderedIds()).toEqual(['a', 'b']);
+
+    tree.unmount();
+  });
+
+  it('compares rows by a key path', () => {
+    const tree = renderer.create(renderList({ rowHasChanged: ['version'] }));
+
+    renderRow.mockClear();
+    tree.update(renderList({ rowHasChanged: ['version'], immutableData: ROWS.setIn([0, 'seenAt'], 200) }));
+    expect(getRenderedIds()).toEqual([]);
+
+    tree.update(renderList({ rowHasChanged: ['version'], immutableData: ROWS.setIn([1, 'version'], 2) }));
+    expect(getRenderedIds()).toEqual(['b']);
+
+    tree.unmount();
+  });
+
+  it('uses the latest comparison after mounting', () => {
+    const tree = renderer.create(renderList({ rowHasChanged: () => false }));
+
+    renderRow.mockClear();
+    tree.update(renderList({ rowHasChanged: (prevRow) => prevRow.get('id') === 'b' }));
+    expect(getRenderedIds()).toEqual(['b']);
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableListView with withRowContext', () => {
+  const renderRow = jest.fn((rowData) => <Text>{rowData}</Text>);
+
+  const getRowContexts = () => renderRow.mock.calls.map((args) => args[5]);
+
+  beforeEach(() => {
+    renderRow.mockClear();
+  });
+
+  it('passes the position of each row to renderRow', () => {
+    const tree = renderer.create(
+      <ImmutableListView immutableData={Immutable.List(['a', 'b', 'c'])} renderRow={renderRow} withRowContext />,
+    );
+
+    expect(getRowContexts().map(({ index, isFirst, isLast }) => [index, isFirst, isLast])).toEqual([
+      [0, true, false],
+      [1, false, false],
+      [2, false, true],
+    ]);
+    expect(getRowContexts()[1]).toMatchObject({ key: 1, sectionKey: null, rowCount: 3 });
+
+    tree.unmount();
+  });
+
+  it('passes the position of each row within its section', () => {
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={Immutable.fromJS({ first: ['a', 'b'], second: ['c'] })}
+        renderRow={renderRow}
+        renderSectionHeader={(sectionData, sectionID) => <Text>{sectionID}</Text>}
+        withRowContext
+      />,
+    );
+
+    expect(getRowContexts().map(({
+      index, sectionKey, indexInSection, isLastInSection,
+    }) => [index, sectionKey, indexInSection, isLastInSection])).toEqual([
+      [0, 'first', 0, false],
+      [1, 'first', 1, true],
+      [2, 'second', 0, true],
+    ]);
+
+    tree.unmount();
+  });
+
+  it('only passes the position when it is set, and re-renders rows when it changes', () => {
+    const tree = renderer.create(
+      <ImmutableListView immutableData={Immutable.List(['a', 'b'])} renderRow={renderRow} />,
+    );
+    expect(getRowContexts()).toEqual([undefined, undefined]);
+
+    tree.update(<ImmutableListView immutableData={Immutable.List(['a', 'b'])} renderRow={renderRow} withRowContext />);
+    renderRow.mockClear();
+    tree.update(
+      <ImmutableListView immutableData={Immutable.List(['a', 'b', 'c'])} renderRow={renderRow} withRowContext />,
+    );
+    expect(getRowContexts().map(({ index, rowCount }) => [index, rowCount])).toEqual([[0, 3], [1, 3], [2, 3]]);
+
+    tree.unmount();
+  });
+
+  it('counts the rows that aren\'t rendered yet during interactions', () => {
+    InteractionManager.runAfterInteractions = () => {};
+
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={Immutable.fromJS({ first: ['a', 'b'], second: ['c'] })}
+        renderRow={renderRow}
+        renderSectionHeader={(sectionData, sectionID) => <Text>{sectionID}</Text>}
+        rowsDuringInteraction={1}
+        withRowContext
+      />,
+    );
+
+    expect(getRowContexts()).toHaveLength(2);
+    expect(getRowContexts()[1]).toMatchObject({
+      index: 1, isLast: false, isLastInSection: true, rowCount: 3, sectionCount: 2,
+    });
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableListView with onRenderStats', () => {
+  const ROWS = Immutable.fromJS([{ id: 'a', count: 1 }, { id: 'b', count: 2 }, { id: 'c', count: 3 }]);
+
+  const renderRow = (rowData) => <Text>{rowData.get('id')}</Text>;
+
+  const renderList = (props) => (
+    <ImmutableListView immutableData={ROWS} rowKey={['id']} renderRow={renderRow} {...props} />
+  );
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports how many rows were mounted, re-rendered, and skipped on each update', () => {
+    const onRenderStats = jest.fn();
+    const tree = renderer.create(renderList({ onRenderStats }));
+    expect(onRenderStats).toHaveBeenLastCalledWith({
+      mountedRows: 3,
+      renderedRows: 0,
+      skippedRows: 0,
+      deriveTime: expect.any(Number),
+      rowCount: 3,
+      deferredRows: 0,
+      interactionTime: null,
+    });
+
+    tree.update(renderList({ onRenderStats, immutableData: ROWS.setIn([1, 'count'], 20) }));
+    expect(onRenderStats).toHaveBeenCalledTimes(2);
+    expect(onRenderStats).toHaveBeenLastCalledWith(expect.objectContaining({
+      mountedRows: 0, renderedRows: 1, skippedRows: 2,
+    }));
+
+    tree.unmount();
+  });
+
+  it('reports the rows of sections deferred during interactions', () => {
+    let finishInteractions;
+    jest.spyOn(InteractionManager, 'runAfterInteractions').mockImplementation((callback) => {
+      finishInteractions = callback;
+    });
+    const now = jest.spyOn(utils, 'now').mockReturnValue(100);
+
+    const onRenderStats = jest.fn();
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={Immutable.fromJS({ first: ['a', 'b'], second: ['c'] })}
+        renderRow={(rowData) => <Text>{rowData}</Text>}
+        renderSectionHeader={(sectionData, sectionID) => <Text>{sectionID}</Text>}
+        rowsDuringInteraction={1}
+        onRenderStats={onRenderStats}
+      />,
+    );
+    expect(onRenderStats).toHaveBeenLastCalledWith(expect.objectContaining({
+      mountedRows: 2, rowCount: 3, deferredRows: 1, interactionTime: null,
+    }));
+
+    now.mockReturnValue(250);
+    renderer.act(() => finishInteractions());
+    expect(onRenderStats).toHaveBeenLastCalledWith(expect.objectContaining({
+      mountedRows: 1, deferredRows: 0, interactionTime: 150,
+    }));
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableListView with selection', () => {
+  const ROWS = Immutable.fromJS([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+
+  const getRenderedRows = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  /**
+   * Render a selectable list, along with a function to toggle a row by its ID as a user would.
+   */
+  const renderSelectable = (props) => {
+    const toggles = {};
+    const renderRow = jest.fn((rowData, sectionID, rowID, highlightRow, { isSelected, toggleSelected }) => {
+      toggles[rowID] = toggleSelected;
+      return <Text>{`${rowID}${isSelected ? ' ✓' : ''}`}</Text>;
+    });
+    const tree = renderer.create(
+      <ImmutableListView immutableData={ROWS} rowKey={['id']} renderRow={renderRow} selectable {...props} />,
+    );
+    const toggle = (rowID) => renderer.act(() => toggles[rowID]());
+
+    return { tree, renderRow, toggle };
+  };
+
+  it('selects and deselects rows', () => {
+    const onSelectionChange = jest.fn();
+    const { tree, toggle } = renderSelectable({ onSelectionChange });
+
+    toggle('b');
+    toggle('c');
+    expect(getRenderedRows(tree)).toEqual(['a', 'b ✓', 'c ✓']);
+
+    toggle('c');
+    expect(getRenderedRows(tree)).toEqual(['a', 'b ✓', 'c']);
+    expect(onSelectionChange).toHaveBeenLastCalledWith(Immutable.Set(['b']));
+
+    tree.unmount();
+  });
+
+  it('only re-renders the rows whose selection changed', () => {
+    const { tree, renderRow, toggle } = renderSelectable({ selectionMode: 'single' });
+    toggle('a');
+
+    renderRow.mockClear();
+    toggle('c');
+    expect(renderRow.mock.calls.map(([, , rowID]) => rowID)).toEqual(['a', 'c']);
+
+    tree.unmount();
+  });
+
+  it('prunes the IDs of removed rows from every section', () => {
+    const sections = Immutable.fromJS({ first: [{ id: 'a' }], second: [{ id: 'b' }, { id: 'c' }] });
+    const onSelectionChange = jest.fn();
+    const { tree, renderRow } = renderSelectable({
+      immutableData: sections,
+      renderSectionHeader: renderers.renderSectionHeader,
+      selectedKeys: Immutable.Set(['a', 'c']),
+    });
+
+    tree.update(
+      <ImmutableListView
+        immutableData={sections.deleteIn(['second', 1])}
+        rowKey={['id']}
+        renderRow={renderRow}
+        renderSectionHeader={renderers.renderSectionHeader}
+        selectable
+        selectedKeys={Immutable.Set(['a', 'c'])}
+        onSelectionChange={onSelectionChange}
+      />,
+    );
+    expect(onSelectionChange).toHaveBeenCalledWith(Immutable.Set(['a']));
+
+    tree.unmount();
+  });
+
+  it('selects the rows of List sections by their section and index without rowKey', () => {
+    const toggles = {};
+    const renderRow = (rowData, sectionID, rowID, highlightRow, { isSelected, toggleSelected }) => {
+      toggles[`${sectionID}/${rowID}`] = toggleSelected;
+      return <Text>{`${rowData}${isSelected ? ' ✓' : ''}`}</Text>;
+    };
+    const onSelectionChange = jest.fn();
+
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={Immutable.fromJS({ first: ['a', 'b'], second: ['c'] })}
+        renderRow={renderRow}
+        renderSectionHeader={renderers.renderSectionHeader}
+        selectable
+        onSelectionChange={onSelectionChange}
+      />,
+    );
+    renderer.act(() => toggles['second/0']());
+
+    expect(getRenderedRows(tree).filter((text) => text.endsWith('✓'))).toEqual(['c ✓']);
+    expect(onSelectionChange).toHaveBeenLastCalledWith(Immutable.Set([Immutable.List(['second', 0])]));
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableListView with collapsible sections', () => {
+  const getRenderedTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  it('collapses sections, leaving their rows out of the row identities', () => {
+    const toggles = {};
+    const renderSectionHeader = (sectionData, sectionID, { isCollapsed, toggleCollapsed }) => {
+      toggles[sectionID] = toggleCollapsed;
+      return <Text>{`${sectionID} (${sectionData.size})${isCollapsed ? ' +' : ''}`}</Text>;
+    };
+    const tree = render(
+      <ImmutableListView
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderRow={renderers.renderRow}
+        renderSectionHeader={renderSectionHeader}
+      />,
+    );
+
+    renderer.act(() => toggles.first());
+    expect(getRenderedTexts(tree)).toEqual([
+      'first (3) +', 'second (1)', '"foo"', 'third (0)', 'fourth (1)', '"bar"',
+    ]);
+    expect(tree.getInstance().state.rowIdentities).toEqual([[], [0], [], [0]]);
+
+    tree.unmount();
+  });
+
+  it('leaves controlled collapsedSections to the parent', () => {
+    const onToggleSection = jest.fn();
+    const renderSectionHeader = (sectionData, sectionID, { isCollapsed }) => (
+      <Text>{`${sectionID}${isCollapsed ? ' +' : ''}`}</Text>
+    );
+    const tree = render(
+      <ImmutableListView
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderRow={renderers.renderRow}
+        renderSectionHeader={renderSectionHeader}
+        collapsedSections={Immutable.Set(['second'])}
+        onToggleSection={onToggleSection}
+      />,
+    );
+    expect(getRenderedTexts(tree)).toEqual(['first', '"m"', '"a"', '"p"', 'second +', 'third', 'fourth', '"bar"']);
+
+    tree.update(
+      <ImmutableListView
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderRow={renderers.renderRow}
+        renderSectionHeader={renderSectionHeader}
+        collapsedSections={Immutable.Set()}
+        onToggleSection={onToggleSection}
+      />,
+    );
+    expect(getRenderedTexts(tree)).toContain('"foo"');
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableListView with scrollToKey and scrollToSection', () => {
+  let scrollToIndex;
+
+  beforeEach(() => {
+    scrollToIndex = jest.spyOn(VirtualizedList.prototype, 'scrollToIndex').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    scrollToIndex.mockRestore();
+  });
+
+  it('scrolls to a row by its ID', async () => {
+    const listRef = React.createRef();
+    const tree = renderer.create(
+      <ImmutableListView ref={listRef} immutableData={data.LIST_DATA} renderRow={renderers.renderRow} />,
+    );
+
+    await listRef.current.scrollToKey(2);
+    expect(scrollToIndex).toHaveBeenLastCalledWith({ index: 2 });
+
+    await expect(listRef.current.scrollToSection('first')).rejects.toThrow('isn\'t rendered with sections');
+
+    tree.unmount();
+  });
+
+  it('scrolls to a row or section in sectioned data', async () => {
+    const listRef = React.createRef();
+    const tree = renderer.create(
+      <ImmutableListView
+        ref={listRef}
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderRow={renderers.renderRow}
+        renderSectionHeader={renderers.renderSectionHeader}
+      />,
+    );
+
+    await listRef.current.scrollToKey(0, { sectionKey: 'second' });
+    expect(scrollToIndex).toHaveBeenLastCalledWith({ sectionIndex: 1, itemIndex: 0, index: 5 });
+
+    await listRef.current.scrollToSection('fourth');
+    expect(scrollToIndex).toHaveBeenLastCalledWith({ sectionIndex: 3, itemIndex: 0, index: 10 });
+
+    tree.unmount();
+  });
 });
 
 describe('ImmutableListView with renderEmpty', () => {
@@ -161,6 +1073,31 @@ describe('ImmutableListView with renderEmptyInList', () => {
     expect(tree.toJSON()).toMatchSnapshot();
   });
 
+  it('only passes the list props through to the empty list', () => {
+    const renderHeader = () => null;
+    const style = { flex: 1 };
+
+    const tree = renderer.create(
+      <ImmutableListView
+        immutableData={data.EMPTY_DATA}
+        renderRow={renderers.renderRow}
+        renderEmptyInList="No items"
+        renderHeader={renderHeader}
+        rowKey="id"
+        itemHeight={40}
+        filter={() => false}
+        selectable
+        style={style}
+      />,
+    );
+
+    const emptyListProps = tree.root.findByType(EmptyListView).props;
+    expect(emptyListProps).toMatchObject({ emptyText: 'No items', renderHeader, style });
+    ['renderRow', 'rowKey', 'itemHeight', 'filter', 'selectable', 'renderEmptyInList'].forEach((propName) => {
+      expect(emptyListProps).not.toHaveProperty(propName);
+    });
+  });
+
   it('doesn\'t render empty with null', () => {
     const tree = renderer.create(
       <ImmutableListView
@@ -173,3 +1110,137 @@ describe('ImmutableListView with renderEmptyInList', () => {
     expect(tree.toJSON()).toMatchSnapshot();
   });
 });
+
+describe('ImmutableListView with isLoading and error', () => {
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+  const renderList = (props) => (
+    <ImmutableListView
+      immutableData={data.EMPTY_DATA}
+      renderRow={renderers.renderRow}
+      renderEmptyInList="No items"
+      {...props}
+    />
+  );
+
+  it('renders the loading placeholder while loading', () => {
+    expect(getTexts(renderer.create(renderList({ isLoading: true })))).toEqual(['Loading...']);
+    expect(getTexts(renderer.create(renderList({ isLoading: true, renderLoading: 'Hold on' })))).toEqual(['Hold on']);
+  });
+
+  it('renders the error placeholder with the error', () => {
+    const error = new Error('Offline');
+    const renderErrorInList = jest.fn((props, { message }) => <Text>{message}</Text>);
+
+    const tree = renderer.create(renderList({ error, renderErrorInList }));
+    expect(getTexts(tree)).toEqual(['Offline']);
+    expect(renderErrorInList).toHaveBeenCalledWith(expect.objectContaining({ error }), error);
+  });
+
+  it('prefers loading over an error, and an error over being empty', () => {
+    const tree = renderer.create(renderList({ isLoading: true, error: new Error('Offline') }));
+    expect(getTexts(tree)).toEqual(['Loading...']);
+
+    tree.update(renderList({ error: new Error('Offline') }));
+    expect(getTexts(tree)).toEqual(['Couldn\'t load data.']);
+
+    tree.update(renderList({}));
+    expect(getTexts(tree)).toEqual(['No items']);
+  });
+
+  it('renders the items when there are some, even while loading', () => {
+    const tree = renderer.create(renderList({ immutableData: data.LIST_DATA, isLoading: true, error: new Error('Offline') }));
+    expect(getTexts(tree)).not.toContain('Loading...');
+    expect(getTexts(tree)).not.toContain('Couldn\'t load data.');
+  });
+
+  it('keeps the list props in the list', () => {
+    const onRefresh = jest.fn();
+    const tree = renderer.create(renderList({ isLoading: true, refreshing: false, onRefresh }));
+    expect(tree.root.findByType(EmptyListView).props.onRefresh).toBe(onRefresh);
+  });
+});
+
+describe('ImmutableListView under StrictMode', () => {
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  afterEach(() => {
+    if (InteractionManager.runAfterInteractions.mockRestore) {
+      InteractionManager.runAfterInteractions.mockRestore();
+    }
+  });
+
+  it('renders rows and sections', () => {
+    const tree = expectors.expectToRenderInStrictMode(
+      <ImmutableListView immutableData={data.LIST_DATA} renderRow={renderers.renderRow} />,
+    );
+    expect(getTexts(tree)).toEqual(['"lists"', '"are"', '"great"']);
+
+    tree.update(
+      <ImmutableListView
+        immutableData={data.MAP_DATA_MAP_ROWS}
+        renderRow={renderers.renderRow}
+        renderSectionHeader={renderers.renderSectionHeader}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['first (2 items)', '"data 1"', '"data 2"', 'second (0 items)']);
+
+    tree.unmount();
+  });
+
+  it('renders empty data in an EmptyListView', () => {
+    const tree = expectors.expectToRenderInStrictMode(
+      <ImmutableListView immutableData={data.EMPTY_DATA} renderRow={renderers.renderRow} renderEmptyInList="None" />,
+    );
+    expect(getTexts(tree)).toEqual(['None']);
+
+    tree.unmount();
+  });
+
+  it('reports each change to the data once', () => {
+    const onDataChange = jest.fn();
+    const tree = expectors.expectToRenderInStrictMode(
+      <ImmutableListView immutableData={data.LIST_DATA} renderRow={renderers.renderRow} onDataChange={onDataChange} />,
+    );
+
+    tree.update(
+      <ImmutableListView
+        immutableData={data.LIST_DATA.pop()}
+        renderRow={renderers.renderRow}
+        onDataChange={onDataChange}
+      />,
+    );
+    expect(onDataChange).toHaveBeenCalledTimes(1);
+
+    tree.unmount();
+  });
+
+  it('renders the rest of the rows once interactions have finished', () => {
+    let finishInteractions;
+    jest.spyOn(InteractionManager, 'runAfterInteractions').mockImplementation((callback) => {
+      finishInteractions = callback;
+      return { cancel: jest.fn() };
+    });
+
+    const tree = expectors.expectToRenderInStrictMode(
+      <ImmutableListView immutableData={data.LIST_DATA} rowsDuringInteraction={1} renderRow={renderers.renderRow} />,
+    );
+    expect(getTexts(tree)).toEqual(['"lists"']);
+    expect(InteractionManager.runAfterInteractions).toHaveBeenCalledTimes(1);
+
+    renderer.act(() => finishInteractions());
+    expect(getTexts(tree)).toEqual(['"lists"', '"are"', '"great"']);
+
+    tree.unmount();
+  });
+
+  it('cancels waiting for interactions once unmounted', () => {
+    const cancel = jest.fn();
+    jest.spyOn(InteractionManager, 'runAfterInteractions').mockImplementation(() => ({ cancel }));
+
+    const tree = expectors.expectToRenderInStrictMode(
+      <ImmutableListView immutableData={data.LIST_DATA} rowsDuringInteraction={1} renderRow={renderers.renderRow} />,
+    );
+    tree.unmount();
+    expect(cancel).toHaveBeenCalled();
+  });
+});
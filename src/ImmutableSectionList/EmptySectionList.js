@@ -0,0 +1,74 @@
+import Immutable from 'immutable';
+import PropTypes from 'prop-types';
+import React, { PureComponent } from 'react';
+import { Text, SectionList } from 'react-native';
+
+// SectionList renders EmptySectionList which renders an empty SectionList. Cycle is okay here.
+// eslint-disable-next-line import/no-cycle
+import ImmutableSectionList from './ImmutableSectionList';
+
+import styles from '../styles';
+import utils from '../utils';
+
+/**
+ * A SectionList that displays a single item showing that there is nothing to display.
+ * Useful e.g. for preserving the ability to pull-refresh an empty list.
+ */
+class EmptySectionList extends PureComponent {
+  static propTypes = {
+    // Pass through any props that SectionList would normally take.
+    ...SectionList.propTypes,
+
+    // Make this prop optional instead of required.
+    renderItem: PropTypes.func,
+
+    emptyText: PropTypes.string,
+  };
+
+  static defaultProps = {
+    ...SectionList.defaultProps,
+
+    emptyText: 'No data.',
+  };
+
+  static getDerivedStateFromProps(props, state) {
+    const listData = state.listData.setIn([0, 0], utils.getEmptyItem(props));
+    return Immutable.is(listData, state.listData) ? null : { listData };
+  }
+
+  state = {
+    listData: utils.UNITARY_SECTION_LIST,
+  };
+
+  /**
+   * Returns a simple text element showing the `emptyText` string.
+   * This method can be overridden by passing in your own `renderItem` prop instead.
+   */
+  renderItem() {
+    const { emptyText } = this.props;
+
+    return (
+      <Text style={styles.emptyText}>
+        {emptyText}
+      </Text>
+    );
+  }
+
+  render() {
+    const { listData } = this.state;
+    const {
+      renderEmpty, renderEmptyInList, renderSectionHeader, renderSectionFooter, emptyText, ...passThroughProps
+    } = this.props;
+
+    return (
+      <ImmutableSectionList
+        renderItem={() => this.renderItem()}
+        {...passThroughProps}
+        immutableData={listData}
+        keyExtractor={() => 'empty'}
+      />
+    );
+  }
+}
+
+export { EmptySectionList };
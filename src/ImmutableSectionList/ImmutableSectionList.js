@@ -0,0 +1,781 @@
+import Immutable from 'immutable';
+import PropTypes from 'prop-types';
+import React, { PureComponent } from 'react';
+import {
+  View, Text, SectionList, LayoutAnimation, Platform,
+} from 'react-native';
+
+import styles from '../styles';
+import utils from '../utils';
+import scrollToRow, { throwScrollToIndexError } from '../scrollToRow';
+import { AnimatedRow, DEFAULT_LAYOUT_ANIMATION } from '../AnimatedRow';
+
+// SectionList renders EmptySectionList which renders an empty SectionList. Cycle is okay here.
+// eslint-disable-next-line import/no-cycle
+import { EmptySectionList } from './EmptySectionList';
+
+/**
+ * A SectionList capable of displaying {@link https://facebook.github.io/immutable-js/ Immutable} data
+ * out of the box.
+ */
+class ImmutableSectionList extends PureComponent {
+  static propTypes = {
+    // Pass through any props that SectionList would normally take.
+    ...SectionList.propTypes,
+
+    /**
+     * The immutable data to be rendered in a SectionList: a Map or List of sections,
+     * where each section is itself an Immutable collection of rows.
+     * With `groupBy`, this is a flat collection of rows instead.
+     */
+    // eslint-disable-next-line consistent-return
+    immutableData: (props, propName, componentName) => {
+      const immutableData = props[propName];
+      if (!utils.isImmutableIterable(immutableData)) {
+        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Must be an Immutable collection or Record.`);
+      } else if (!props.groupBy && !utils.toCollection(immutableData).every((section) => (
+        !section || utils.isImmutableIterable(section)
+      ))) {
+        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Every section must be an Immutable collection or Record.`);
+      }
+    },
+
+    /**
+     * Takes `{ item, index, key, section, separators }` and returns a renderable element, where `key` is
+     * the item's key as given by `rowKey`, or else its key within its section (e.g. the Map key,
+     * or the index for a List). If `withRowContext`, it also takes `rowContext`.
+     *
+     * Each `section` (also passed to `renderSectionHeader` and `renderSectionFooter`) contains its
+     * `sectionKey` and its Immutable `sectionData`.
+     */
+    renderItem: PropTypes.func,
+
+    /**
+     * A key path into each item such as `['id']`, or a function taking (item, key) and returning the item's key.
+     * Keys only need to be unique within their section.
+     *
+     * In dev mode, items with a missing or duplicate key will cause a warning.
+     */
+    rowKey: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+      PropTypes.func,
+    ]),
+
+    /**
+     * Groups the rows of flat data (e.g. a List) into sections: a key path into each row such as `['status']`,
+     * or a function taking (item, key), giving the key of the section the row belongs to.
+     * Sections are in the order of their first row.
+     */
+    groupBy: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+      PropTypes.func,
+    ]),
+
+    /**
+     * A function taking two section keys made by `groupBy` and returning a number, like `Array.prototype.sort`.
+     */
+    sectionOrder: PropTypes.func,
+
+    /**
+     * Called with the changes (see `utils.getSectionDiff`) whenever `immutableData` changes:
+     * for each section that changed, the keys of the items that were inserted, removed, moved, and updated.
+     */
+    onDataChange: PropTypes.func,
+
+    /**
+     * If true, items that are inserted are animated in, items that are removed are kept around until they've
+     * been animated out, and the other items are animated into their new positions.
+     * Items are matched up by their key within their section, so you'll usually want to provide a `rowKey` as well.
+     * Sections themselves aren't animated in or out.
+     */
+    animateChanges: PropTypes.bool,
+
+    /**
+     * When `animateChanges` is true, how to animate items in and out; see `ImmutableVirtualizedList`.
+     */
+    rowAnimation: PropTypes.oneOfType([PropTypes.object, PropTypes.func]),
+
+    /**
+     * When `animateChanges` is true, the `LayoutAnimation` config used to move the other items
+     * into their new positions, or null to not animate them.
+     */
+    // eslint-disable-next-line react/forbid-prop-types
+    layoutAnimation: PropTypes.object,
+
+    /**
+     * Defaults to the item's key as given by `rowKey`, or else its key within its section
+     * for keyed sections (e.g. a Map), or its index otherwise.
+     */
+    keyExtractor: PropTypes.func,
+
+    /**
+     * Called as usual when `scrollToLocation` fails, but not when `scrollToKey` does, since it waits for the item
+     * to be measured and tries again on its own.
+     */
+    onScrollToIndexFailed: PropTypes.func,
+
+    /**
+     * The keys of the sections whose items are hidden, leaving just their headers and footers,
+     * to control which sections are collapsed instead of leaving it to the list.
+     * `renderSectionHeader` is also passed `isCollapsed`, and `toggleCollapsed` to collapse or expand the section.
+     */
+    // eslint-disable-next-line consistent-return
+    collapsedSections: (props, propName, componentName) => {
+      const collapsedSections = props[propName];
+      const isImmutableSet = utils.isImmutableIterable(collapsedSections) && !!collapsedSections.add;
+      if (collapsedSections !== undefined && !isImmutableSet) {
+        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Must be an Immutable Set.`);
+      }
+    },
+
+    /**
+     * Called with (sectionKey, collapsedSections) whenever a section is collapsed or expanded,
+     * where `collapsedSections` is the new `Immutable.Set` of collapsed section keys.
+     */
+    onToggleSection: PropTypes.func,
+
+    /**
+     * The height of each item (or its width, in a horizontal list): a number, or a function taking the item
+     * and its key. If set, `getItemLayout` is computed from it along with the heights below; see
+     * `ImmutableVirtualizedList`. A `getItemLayout` prop still takes precedence.
+     */
+    itemHeight: PropTypes.oneOfType([PropTypes.number, PropTypes.func]),
+
+    /**
+     * The height of each section header, for the computed `getItemLayout`.
+     */
+    sectionHeaderHeight: PropTypes.number,
+
+    /**
+     * The height of each section footer, for the computed `getItemLayout`.
+     */
+    sectionFooterHeight: PropTypes.number,
+
+    /**
+     * The height of the `ItemSeparatorComponent` rendered between the items of a section,
+     * for the computed `getItemLayout`.
+     */
+    separatorHeight: PropTypes.number,
+
+    /**
+     * The height of the `ListHeaderComponent`, which the computed `getItemLayout` offsets every section by.
+     */
+    headerHeight: PropTypes.number,
+
+    /**
+     * If true, each item is measured once it's rendered, and its measured height is used in place of `itemHeight`,
+     * which then only needs to be an estimate. Heights are cached by section and row key.
+     * Only takes effect along with `itemHeight`.
+     */
+    measureItems: PropTypes.bool,
+
+    /**
+     * If true, `renderItem` is also passed the item's position in the data as `rowContext`,
+     * e.g. `{ sectionIndex, indexInSection, isLastInSection, sectionRowCount }`; see `utils.getRowContexts`.
+     */
+    withRowContext: PropTypes.bool,
+
+    /**
+     * A plain string, or a function that returns some {@link PropTypes.element}
+     * to be rendered in place of a `SectionList` when there are no items in the list.
+     *
+     * Things like pull-refresh functionality will be lost unless explicitly supported by your custom component.
+     * Consider `renderEmptyInList` instead if you want this.
+     *
+     * It will be passed all the original props of the ImmutableSectionList.
+     */
+    renderEmpty: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * A plain string, or a function that returns some {@link PropTypes.element}
+     * to be rendered inside of an `EmptySectionList` when there are no items in the list.
+     *
+     * This allows pull-refresh functionality to be preserved.
+     *
+     * It will be passed all the original props of the ImmutableSectionList.
+     */
+    renderEmptyInList: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * True while the data is being loaded. If there are no items in the list yet, the loading renderers
+     * are rendered instead of the empty renderers.
+     */
+    isLoading: PropTypes.bool,
+
+    /**
+     * The error from loading the data, if it failed. If there are no items in the list,
+     * the error renderers are rendered instead of the empty renderers (but not while `isLoading`).
+     */
+    // eslint-disable-next-line react/forbid-prop-types
+    error: PropTypes.any,
+
+    /**
+     * Like `renderEmpty`, but rendered while `isLoading` and there are no items in the list.
+     */
+    renderLoading: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * Like `renderEmptyInList`, but rendered while `isLoading` and there are no items in the list.
+     */
+    renderLoadingInList: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * Like `renderEmpty`, but rendered when there's an `error` and there are no items in the list.
+     * A function is passed the `error` as its second argument.
+     */
+    renderError: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * Like `renderEmptyInList`, but rendered when there's an `error` and there are no items in the list.
+     * A function is passed the `error` as its second argument.
+     */
+    renderErrorInList: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+  };
+
+  static defaultProps = {
+    ...SectionList.defaultProps,
+
+    // Replaced by a default based on the keys of each section; see `getSections` below.
+    keyExtractor: undefined,
+
+    sectionHeaderHeight: 0,
+
+    sectionFooterHeight: 0,
+
+    separatorHeight: 0,
+
+    headerHeight: 0,
+
+    measureItems: false,
+
+    withRowContext: false,
+
+    renderEmptyInList: 'No data.',
+
+    renderLoadingInList: 'Loading...',
+
+    renderErrorInList: 'Couldn\'t load data.',
+
+    layoutAnimation: DEFAULT_LAYOUT_ANIMATION,
+  };
+
+  static getDerivedStateFromProps(props, state) {
+    const { rowKey, animateChanges } = props;
+
+    // The sections are only grouped again when their inputs change in value, so equal data doesn't re-render the list.
+    const derivedState = (state.derivationProps && utils.isSameDerivation(state.derivationProps, props)
+      ? null
+      : {
+        derivationProps: utils.getDerivationProps(props),
+        immutableData: props.groupBy ? utils.getGroupedData(props) : props.immutableData,
+      });
+    const immutableData = derivedState ? derivedState.immutableData : state.immutableData;
+
+    if (!animateChanges) {
+      return state.animatedSections
+        ? { ...derivedState, animatedSections: null, animatedSectionsData: null }
+        : derivedState;
+    }
+
+    if (immutableData === state.animatedSectionsData) {
+      return derivedState;
+    }
+
+    const prevAnimatedRows = state.animatedSections
+      && new Map(state.animatedSections.map((section) => [section.key, section.data]));
+
+    return {
+      ...derivedState,
+      animatedSectionsData: immutableData,
+      animatedSections: utils.getSectionListSections(immutableData, rowKey).map((section) => {
+        // The rows of new sections are all entering, unless the list is being shown for the first time.
+        const data = utils.getAnimatedRows(
+          prevAnimatedRows && (prevAnimatedRows.get(section.key) || []),
+          section.rowKeys,
+          section.data,
+        );
+        return { ...section, data, rowKeys: data.map((row) => row.key) };
+      }),
+    };
+  }
+
+  constructor(props) {
+    super(props);
+
+    this.mountedRowKeys = new Map();
+
+    // The measured height of each item by its section's key and then its own key, when `measureItems` is set.
+    this.measuredHeights = new Map();
+  }
+
+  state = {
+    /** The sections to render: `immutableData`, or its rows as grouped by `groupBy`. */
+    immutableData: null,
+
+    derivationProps: null,
+
+    /** When animating changes, the sections to render, including any rows that are still being animated out. */
+    animatedSections: null,
+
+    animatedSectionsData: null,
+
+    /** The keys of the collapsed sections, unless they're controlled by the `collapsedSections` prop. */
+    collapsedSections: Immutable.Set(),
+  };
+
+  componentDidUpdate(prevProps, prevState) {
+    const { rowKey, onDataChange } = this.props;
+    const { immutableData, animatedSections } = this.state;
+
+    if (onDataChange && immutableData !== prevState.immutableData) {
+      const diff = utils.getSectionDiff(prevState.immutableData, immutableData, rowKey);
+      if (Object.keys(diff).length) onDataChange(diff);
+    }
+
+    if (animatedSections && prevState.animatedSections && animatedSections !== prevState.animatedSections) {
+      this.onAnimatedSectionsChange(prevState.animatedSections, animatedSections);
+    }
+  }
+
+  /**
+   * Animate the other items into their new positions if any items or sections have entered, exited, or moved,
+   * and finish exiting any items that aren't rendered, since they can't be animated out.
+   */
+  onAnimatedSectionsChange(prevAnimatedSections, animatedSections) {
+    const { layoutAnimation } = this.props;
+
+    const getKeys = (sections) => Immutable.List(sections.map((section) => (
+      Immutable.List([section.key, Immutable.List(section.rowKeys)])
+    )));
+    if (layoutAnimation && !Immutable.is(getKeys(prevAnimatedSections), getKeys(animatedSections))) {
+      LayoutAnimation.configureNext(layoutAnimation);
+    }
+
+    animatedSections.forEach((section) => {
+      const mountedRowKeys = this.mountedRowKeys.get(section.key);
+      section.data
+        .filter((row) => row.status === 'exiting' && !(mountedRowKeys && mountedRowKeys.has(row.key)))
+        .forEach((row) => this.onRowAnimationEnd(row.status, row.key, section.key));
+    });
+  }
+
+  getSectionList() {
+    return this.sectionListRef;
+  }
+
+  /**
+   * Return the props that aren't ImmutableSectionList's own, to pass through as they are
+   * to the SectionList (or to an `EmptySectionList` in its place).
+   */
+  getPassThroughProps() {
+    const {
+      immutableData, renderEmpty, renderEmptyInList,
+      isLoading, error, renderLoading, renderLoadingInList, renderError, renderErrorInList,
+      renderItem, rowKey, onDataChange, collapsedSections, onToggleSection,
+      animateChanges, rowAnimation, layoutAnimation, keyExtractor, groupBy, sectionOrder,
+      itemHeight, sectionHeaderHeight, sectionFooterHeight, separatorHeight, headerHeight, measureItems,
+      withRowContext, ...passThroughProps
+    } = this.props;
+
+    return passThroughProps;
+  }
+
+  /**
+   * Return the keys of the collapsed sections, from the `collapsedSections` prop if it's set.
+   */
+  getCollapsedSections() {
+    const { collapsedSections } = this.props;
+    const { collapsedSections: uncontrolledSections } = this.state;
+
+    return collapsedSections !== undefined ? collapsedSections : uncontrolledSections;
+  }
+
+  /**
+   * Return the context of the row at the given index of the section at the given index (see `section.sectionIndex`),
+   * as passed to `renderItem` if `withRowContext`; see `utils.getRowContexts`.
+   * The contexts are cached so they're only computed once per data change.
+   */
+  getRowContext(sectionIndex, index) {
+    const { immutableData, animatedSections } = this.state;
+
+    const source = animatedSections || immutableData;
+    if (source !== this.rowContextsSource) {
+      this.rowContextsSource = source;
+      // When animating changes, the rows include any that are still being animated out.
+      this.rowContexts = (animatedSections
+        ? utils.getRowContextsFromKeys(
+          animatedSections.map((section) => section.sectionKey),
+          animatedSections.map((section) => section.rowKeys),
+        )
+        : utils.getRowContexts(immutableData, true));
+    }
+
+    return this.rowContexts[sectionIndex][index];
+  }
+
+  /**
+   * Return the sections of `immutableData` in the format expected by SectionList.
+   * The sections are cached so they're only computed once per data change.
+   */
+  getSections(immutableData, keyExtractor, rowKey) {
+    if (immutableData !== this.sectionsData
+      || keyExtractor !== this.sectionsKeyExtractor
+      || !utils.isSameRowKey(rowKey, this.sectionsRowKey)) {
+      this.sectionsData = immutableData;
+      this.sectionsKeyExtractor = keyExtractor;
+      this.sectionsRowKey = rowKey;
+
+      // A section's own keyExtractor takes precedence over the prop, so only add one if there's no prop.
+      this.sections = utils.getSectionListSections(immutableData, rowKey).map((section) => (keyExtractor
+        ? section
+        : { ...section, keyExtractor: utils.getSectionKeyExtractor(section, rowKey) }));
+    }
+
+    return this.sections;
+  }
+
+  /**
+   * Return the sections with the items of any collapsed sections left out, marking them as `isCollapsed`.
+   * The sections are cached so they're only computed once per change.
+   */
+  getVisibleSections(sections, collapsedSections) {
+    if (sections !== this.visibleSectionsSource || collapsedSections !== this.visibleSectionsCollapsed) {
+      this.visibleSectionsSource = sections;
+      this.visibleSectionsCollapsed = collapsedSections;
+
+      this.visibleSections = (collapsedSections.isEmpty()
+        ? sections
+        : sections.map((section) => (collapsedSections.has(section.sectionKey)
+          ? {
+            ...section, data: [], rowKeys: [], isCollapsed: true,
+          }
+          : section)));
+    }
+
+    return this.visibleSections;
+  }
+
+  /**
+   * Return the layout of each of the header, items, and footer of each rendered section, as they're indexed
+   * by SectionList, from the height props or the measured heights of the items that have been measured.
+   * The layouts are cached so they're only computed once per change.
+   */
+  getItemLayouts(sections) {
+    const {
+      itemHeight, sectionHeaderHeight, sectionFooterHeight, separatorHeight, headerHeight,
+    } = this.props;
+    const { animatedSections } = this.state;
+
+    const heightProps = [itemHeight, sectionHeaderHeight, sectionFooterHeight, separatorHeight, headerHeight];
+    if (sections !== this.itemLayoutsSections
+      || heightProps.some((height, index) => height !== this.itemLayoutsHeightProps[index])) {
+      this.itemLayoutsSections = sections;
+      this.itemLayoutsHeightProps = heightProps;
+
+      const itemLengths = [];
+      sections.forEach((section) => {
+        const measuredHeights = this.measuredHeights.get(section.key);
+
+        itemLengths.push(sectionHeaderHeight);
+        section.data.forEach((row, index) => {
+          const key = section.rowKeys[index];
+          const height = (measuredHeights && measuredHeights.has(key)
+            ? measuredHeights.get(key)
+            : utils.getItemHeight(itemHeight, animatedSections ? row.item : row, key));
+
+          itemLengths.push(index < section.data.length - 1 ? height + separatorHeight : height);
+        });
+        itemLengths.push(sectionFooterHeight);
+      });
+      this.itemLayouts = utils.getItemLayouts(itemLengths, headerHeight);
+    }
+
+    return this.itemLayouts;
+  }
+
+  /**
+   * Cache the height of a measured item, so the layouts are computed again with it.
+   */
+  setMeasuredHeight(key, sectionKey, { nativeEvent: { layout } }) {
+    const { horizontal } = this.props;
+
+    if (!this.measuredHeights.has(sectionKey)) {
+      this.measuredHeights.set(sectionKey, new Map());
+    }
+    const measuredHeights = this.measuredHeights.get(sectionKey);
+
+    const height = horizontal ? layout.width : layout.height;
+    if (measuredHeights.get(key) !== height) {
+      measuredHeights.set(key, height);
+      this.itemLayoutsSections = null;
+    }
+  }
+
+  /**
+   * Return the sections as they're rendered, with any collapsed sections left out.
+   */
+  getRenderedSections() {
+    const { keyExtractor, rowKey } = this.props;
+    const { immutableData, animatedSections } = this.state;
+
+    return this.getVisibleSections(
+      animatedSections || this.getSections(immutableData, keyExtractor, rowKey),
+      this.getCollapsedSections(),
+    );
+  }
+
+  toggleSection = (sectionKey) => {
+    const { collapsedSections: controlledSections, onToggleSection } = this.props;
+    const collapsedSections = this.getCollapsedSections();
+
+    const nextCollapsedSections = (collapsedSections.has(sectionKey)
+      ? collapsedSections.remove(sectionKey)
+      : collapsedSections.add(sectionKey));
+
+    if (controlledSections === undefined) this.setState({ collapsedSections: nextCollapsedSections });
+    if (onToggleSection) onToggleSection(sectionKey, nextCollapsedSections);
+  };
+
+  getItemLayout = (sections, index) => this.getItemLayouts(sections)[index];
+
+  onRowMount = (key, sectionKey) => {
+    if (!this.mountedRowKeys.has(sectionKey)) {
+      this.mountedRowKeys.set(sectionKey, new Set());
+    }
+    this.mountedRowKeys.get(sectionKey).add(key);
+  };
+
+  onRowUnmount = (key, sectionKey) => {
+    const mountedRowKeys = this.mountedRowKeys.get(sectionKey);
+    if (mountedRowKeys) mountedRowKeys.delete(key);
+  };
+
+  onRowAnimationEnd = (status, key, sectionKey) => {
+    const { layoutAnimation } = this.props;
+
+    if (status === 'exiting' && layoutAnimation) {
+      LayoutAnimation.configureNext(layoutAnimation);
+    }
+
+    this.setState(({ animatedSections }) => ({
+      animatedSections: animatedSections && animatedSections.map((section) => {
+        const data = section.key === sectionKey ? utils.finishRowAnimation(section.data, key, status) : section.data;
+        return data === section.data ? section : { ...section, data, rowKeys: data.map((row) => row.key) };
+      }),
+    }));
+  };
+
+  renderAnimatedItem = ({
+    item: row, index, section, separators,
+  }) => {
+    const { renderItem, rowAnimation, withRowContext } = this.props;
+
+    return (
+      <AnimatedRow
+        status={row.status}
+        item={row.item}
+        itemKey={row.key}
+        sectionKey={section.key}
+        rowAnimation={rowAnimation}
+        onAnimationEnd={this.onRowAnimationEnd}
+        onMount={this.onRowMount}
+        onUnmount={this.onRowUnmount}
+      >
+        {renderItem({
+          item: row.item,
+          index,
+          key: row.key,
+          section,
+          separators,
+          ...(withRowContext && { rowContext: this.getRowContext(section.sectionIndex, index) }),
+        })}
+      </AnimatedRow>
+    );
+  };
+
+  scrollToLocation = (...args) =>
+    this.sectionListRef && this.sectionListRef.scrollToLocation(...args);
+
+  recordInteraction = (...args) =>
+    this.sectionListRef && this.sectionListRef.recordInteraction(...args);
+
+  flashScrollIndicators = (...args) =>
+    this.sectionListRef && this.sectionListRef.flashScrollIndicators(...args);
+
+  /**
+   * Scroll to the item with the given key (see `rowKey`), even if it hasn't been measured yet:
+   * the list scrolls to its estimated position first, then to the item itself once it's been rendered there.
+   * Takes the same options as `scrollToLocation` (`animated`, `viewOffset`, and `viewPosition`), as well as
+   * `sectionKey` to find the item in that section only, in case keys are only unique within each section.
+   *
+   * @returns {Promise} Resolves once the list has scrolled to the item.
+   */
+  scrollToKey = (key, { sectionKey, ...options } = {}) => this.scrollToLocationWhenMeasured(() => {
+    const sections = this.getRenderedSections();
+
+    for (let sectionIndex = 0; sectionIndex < sections.length; sectionIndex += 1) {
+      const section = sections[sectionIndex];
+      const itemIndex = (sectionKey === undefined || Immutable.is(section.sectionKey, sectionKey)
+        ? section.rowKeys.findIndex((itemKey) => Immutable.is(itemKey, key))
+        : -1);
+      if (itemIndex >= 0) return { ...options, sectionIndex, itemIndex };
+    }
+
+    throw new Error(`Can't scroll to key ${key}: No item with that key is rendered.`);
+  });
+
+  /**
+   * Scroll to the header of the section with the given key, even if it hasn't been measured yet.
+   * Takes the same options as `scrollToLocation` (`animated`, `viewOffset`, and `viewPosition`).
+   *
+   * @returns {Promise} Resolves once the list has scrolled to the section.
+   */
+  scrollToSection = (sectionKey, options) => this.scrollToLocationWhenMeasured(() => {
+    const sectionIndex = this.getRenderedSections()
+      .findIndex((section) => Immutable.is(section.sectionKey, sectionKey));
+    if (sectionIndex < 0) throw new Error(`Can't scroll to section ${sectionKey}: There's no section with that key.`);
+
+    // SectionList counts the header as the item before the first one on Android, but as the first one on iOS.
+    return { ...options, sectionIndex, itemIndex: Platform.OS === 'ios' ? 0 : -1 };
+  });
+
+  onScrollToIndexFailed = (info) => {
+    const { onScrollToIndexFailed } = this.props;
+
+    if (this.isTryingToScroll) {
+      this.scrollToIndexFailure = info;
+    } else if (onScrollToIndexFailed) {
+      onScrollToIndexFailed(info);
+    } else {
+      throwScrollToIndexError();
+    }
+  };
+
+  /**
+   * Call `scrollToLocation`, returning the info passed to `onScrollToIndexFailed` if the item hasn't been measured.
+   */
+  tryToScrollToLocation(params) {
+    if (!this.sectionListRef) throw new Error('Can\'t scroll: The list isn\'t rendered.');
+
+    this.scrollToIndexFailure = null;
+    this.isTryingToScroll = true;
+    try {
+      this.sectionListRef.scrollToLocation(params);
+    } finally {
+      this.isTryingToScroll = false;
+    }
+
+    return this.scrollToIndexFailure;
+  }
+
+  /**
+   * Scroll to the given location as soon as it's been measured; see `scrollToRow`.
+   * `getLocation` is called before each attempt, since the sections may change in the meantime.
+   */
+  scrollToLocationWhenMeasured(getLocation) {
+    const { horizontal } = this.props;
+
+    return scrollToRow(
+      () => this.tryToScrollToLocation(getLocation()),
+      ({ index, averageItemLength }) => this.sectionListRef.getScrollResponder().scrollTo({
+        [horizontal ? 'x' : 'y']: index * averageItemLength,
+        animated: false,
+      }),
+    );
+  }
+
+  /**
+   * Render one of the pairs of placeholder props, e.g. `renderEmpty` and `renderEmptyInList`:
+   * the first in place of the list, or else the second inside of an `EmptySectionList`.
+   * Each may be a string, or a function taking the props and `args`.
+   */
+  renderPlaceholder(renderInPlace, renderInList, ...args) {
+    const { contentContainerStyle } = this.props;
+
+    if (renderInPlace) {
+      if (typeof renderInPlace === 'string') {
+        return <Text style={[styles.emptyText, contentContainerStyle]}>{renderInPlace}</Text>;
+      }
+      return renderInPlace(this.props, ...args);
+    }
+    if (renderInList) {
+      const passThroughProps = this.getPassThroughProps();
+      if (typeof renderInList === 'string') {
+        return <EmptySectionList {...passThroughProps} emptyText={renderInList} />;
+      }
+      return <EmptySectionList {...passThroughProps} renderItem={() => renderInList(this.props, ...args)} />;
+    }
+
+    return null;
+  }
+
+  renderEmpty() {
+    const {
+      renderEmpty, renderEmptyInList,
+      error, renderLoading, renderLoadingInList, renderError, renderErrorInList,
+    } = this.props;
+    const { immutableData } = this.state;
+    const placeholderType = utils.getPlaceholderType(this.props);
+
+    if (!placeholderType || !utils.isEmptySectionList(immutableData)) return null;
+
+    if (placeholderType === 'loading') return this.renderPlaceholder(renderLoading, renderLoadingInList);
+    if (placeholderType === 'error') return this.renderPlaceholder(renderError, renderErrorInList, error);
+
+    // Sections aren't filtered, so the list is only ever empty because there's no data.
+    return this.renderPlaceholder(renderEmpty, renderEmptyInList, { isFiltered: false });
+  }
+
+  render() {
+    const { animatedSections } = this.state;
+    const {
+      renderItem, renderSectionHeader, keyExtractor, itemHeight, measureItems, getItemLayout, withRowContext,
+    } = this.props;
+
+    const sections = this.getRenderedSections();
+
+    const listProps = (animatedSections
+      ? {
+        keyExtractor: (row, index) => (keyExtractor ? keyExtractor(row.item, index) : String(row.key)),
+        renderItem: this.renderAnimatedItem,
+      }
+      : {
+        keyExtractor,
+        renderItem: (info) => renderItem({
+          ...info,
+          key: info.section.rowKeys[info.index],
+          ...(withRowContext && { rowContext: this.getRowContext(info.section.sectionIndex, info.index) }),
+        }),
+      });
+
+    const renderListItem = (measureItems
+      ? (info) => {
+        const key = info.section.rowKeys[info.index];
+        return (
+          <View onLayout={(event) => this.setMeasuredHeight(key, info.section.key, event)}>
+            {listProps.renderItem(info)}
+          </View>
+        );
+      }
+      : listProps.renderItem);
+
+    return this.renderEmpty() || (
+      <SectionList
+        ref={(component) => { this.sectionListRef = component; }}
+        sections={sections}
+        {...listProps}
+        {...this.getPassThroughProps()}
+        renderItem={renderListItem}
+        getItemLayout={getItemLayout || (itemHeight !== undefined ? this.getItemLayout : undefined)}
+        renderSectionHeader={renderSectionHeader && ((info) => renderSectionHeader({
+          ...info,
+          isCollapsed: !!info.section.isCollapsed,
+          toggleCollapsed: () => this.toggleSection(info.section.sectionKey),
+        }))}
+        onScrollToIndexFailed={this.onScrollToIndexFailed}
+      />
+    );
+  }
+}
+
+export default ImmutableSectionList;
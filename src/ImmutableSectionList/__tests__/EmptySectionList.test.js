@@ -0,0 +1,55 @@
+import React from 'react';
+import { Text } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import { renderers, expectors } from '../../test-utils';
+
+import { EmptySectionList } from '../EmptySectionList';
+
+describe('EmptySectionList', () => {
+  it('renders with default text', () => {
+    const tree = renderer.create(
+      <EmptySectionList />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('renders with custom text', () => {
+    const tree = renderer.create(
+      <EmptySectionList
+        emptyText="Nothing. Nothing at all."
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('renders with custom renderItem', () => {
+    const tree = renderer.create(
+      <EmptySectionList
+        emptyText="Nothing. Nothing at all."
+        renderItem={() => renderers.renderRow('Overridden!')}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('doesn\'t render section headers', () => {
+    const tree = renderer.create(
+      <EmptySectionList
+        renderSectionHeader={() => renderers.renderRow('Header')}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('renders and updates its text under StrictMode', () => {
+    const tree = expectors.expectToRenderInStrictMode(<EmptySectionList emptyText="Nothing yet." />);
+    const getTexts = () => tree.root.findAllByType(Text).map((text) => text.props.children);
+    expect(getTexts()).toEqual(['Nothing yet.']);
+
+    tree.update(<EmptySectionList emptyText="Still nothing." />);
+    expect(getTexts()).toEqual(['Still nothing.']);
+
+    tree.unmount();
+  });
+});
@@ -0,0 +1,610 @@
+import Immutable from 'immutable';
+import React from 'react';
+import { Text, LayoutAnimation, VirtualizedList } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import {
+  data, renderers, mocks, expectors,
+} from '../../test-utils';
+import { render } from '../../testing';
+
+import ImmutableSectionList from '../ImmutableSectionList';
+import { EmptySectionList } from '../EmptySectionList';
+import { AnimatedRow } from '../../AnimatedRow';
+
+jest.mock('NativeAnimatedHelper');
+
+const EMPTY_SECTIONS = Immutable.fromJS({ foo: [], bar: {}, baz: null });
+
+describe('ImmutableSectionList', () => {
+  it('renders with empty data', () => {
+    expectors.expectSectionListToMatchSnapshotWithData(data.EMPTY_DATA);
+  });
+
+  it('renders with only empty sections', () => {
+    expectors.expectSectionListToMatchSnapshotWithData(EMPTY_SECTIONS);
+  });
+
+  it('renders List: List rows', () => {
+    expectors.expectSectionListToMatchSnapshotWithData(data.LIST_DATA_NESTED.map(Immutable.List));
+  });
+
+  it('renders Map: List rows', () => {
+    expectors.expectSectionListToMatchSnapshotWithData(data.MAP_DATA_LIST_ROWS);
+  });
+
+  it('renders Map: Map rows', () => {
+    expectors.expectSectionListToMatchSnapshotWithData(data.MAP_DATA_MAP_ROWS);
+  });
+
+  it('renders section footers and separators', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderItem={renderers.renderItem}
+        renderSectionHeader={renderers.renderSectionListHeader}
+        renderSectionFooter={({ section }) => renderers.renderRow(`End of ${section.sectionKey}`)}
+        ItemSeparatorComponent={() => renderers.renderRow('Item separator')}
+        SectionSeparatorComponent={() => renderers.renderRow('Section separator')}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('renders sticky section headers', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderItem={renderers.renderItem}
+        renderSectionHeader={renderers.renderSectionListHeader}
+        stickySectionHeadersEnabled
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('passes the key of each item within its section to renderItem', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={data.MAP_DATA_MAP_ROWS}
+        renderItem={({ item, key, section }) => renderers.renderRow(`${section.sectionKey}.${key}: ${item}`)}
+      />,
+    );
+    const rows = tree.root.findAllByType(Text).map((row) => row.props.children);
+    expect(rows).toEqual(['"first.row1: data 1"', '"first.row2: data 2"']);
+  });
+
+  it('uses rowKey for the key of each item within its section', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={Immutable.fromJS({ first: [{ id: 'a' }, { id: 'b' }], second: [{ id: 'a' }] })}
+        renderItem={({ key, section }) => renderers.renderRow(`${section.sectionKey}.${key}`)}
+        rowKey={['id']}
+      />,
+    );
+    const rows = tree.root.findAllByType(Text).map((row) => row.props.children);
+    expect(rows).toEqual(['"first.a"', '"first.b"', '"second.a"']);
+  });
+
+  it('passes the position of each item to renderItem with withRowContext', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={Immutable.fromJS({ first: ['a', 'b'], empty: [], second: ['c'] })}
+        renderItem={({ item, rowContext }) => renderers.renderRow([
+          item, rowContext.index, rowContext.sectionIndex, rowContext.indexInSection, rowContext.isLastInSection,
+        ].join(' '))}
+        withRowContext
+      />,
+    );
+    const rows = tree.root.findAllByType(Text).map((row) => row.props.children);
+    expect(rows).toEqual(['"a 0 0 0 false"', '"b 1 0 1 true"', '"c 2 2 0 true"']);
+  });
+});
+
+describe('ImmutableSectionList with onDataChange', () => {
+  it('reports the changes in each section when the data changes', () => {
+    const onDataChange = jest.fn();
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={data.MAP_DATA_MAP_ROWS}
+        renderItem={renderers.renderItem}
+        onDataChange={onDataChange}
+      />,
+    );
+    tree.update(
+      <ImmutableSectionList
+        immutableData={data.MAP_DATA_MAP_ROWS.deleteIn(['first', 'row1']).setIn(['second', 'row3'], 'data 3')}
+        renderItem={renderers.renderItem}
+        onDataChange={onDataChange}
+      />,
+    );
+    expect(onDataChange).toHaveBeenCalledWith({
+      first: {
+        inserted: [], removed: ['row1'], moved: [], updated: [],
+      },
+      second: {
+        inserted: ['row3'], removed: [], moved: [], updated: [],
+      },
+    });
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableSectionList with groupBy', () => {
+  const TASKS = Immutable.fromJS([
+    { name: 'Wash', status: 'todo' },
+    { name: 'Cook', status: 'done' },
+    { name: 'Shop', status: 'todo' },
+  ]);
+  // eslint-disable-next-line react/prop-types
+  const renderItem = ({ item }) => <Text>{item.get('name')}</Text>;
+  // eslint-disable-next-line react/prop-types
+  const renderSectionHeader = ({ section }) => <Text>{section.sectionKey}</Text>;
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  it('renders flat data in sections', () => {
+    jest.spyOn(console, 'error');
+
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={TASKS}
+        renderItem={renderItem}
+        renderSectionHeader={renderSectionHeader}
+        groupBy={['status']}
+        sectionOrder={(a, b) => a.localeCompare(b)}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['done', 'Cook', 'todo', 'Wash', 'Shop']);
+
+    // Flat data isn't expected to fail prop validation when grouped.
+    expect(console.error).not.toHaveBeenCalled();
+    console.error.mockRestore();
+
+    tree.unmount();
+  });
+
+  it('reports the changes in each group when the data changes', () => {
+    const onDataChange = jest.fn();
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={TASKS}
+        renderItem={renderItem}
+        groupBy={['status']}
+        rowKey={['name']}
+        onDataChange={onDataChange}
+      />,
+    );
+
+    // Equal data is grouped only once.
+    tree.update(
+      <ImmutableSectionList
+        immutableData={Immutable.fromJS(TASKS.toJS())}
+        renderItem={renderItem}
+        groupBy={['status']}
+        rowKey={['name']}
+        onDataChange={onDataChange}
+      />,
+    );
+    expect(onDataChange).not.toHaveBeenCalled();
+
+    tree.update(
+      <ImmutableSectionList
+        immutableData={TASKS.setIn([0, 'status'], 'done')}
+        renderItem={renderItem}
+        groupBy={['status']}
+        rowKey={['name']}
+        onDataChange={onDataChange}
+      />,
+    );
+    expect(onDataChange).toHaveBeenCalledWith({
+      todo: {
+        inserted: [], removed: ['Wash'], moved: [], updated: [],
+      },
+      done: {
+        inserted: ['Wash'], removed: [], moved: [], updated: [],
+      },
+    });
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableSectionList with animateChanges', () => {
+  const SECTIONS = Immutable.fromJS({
+    first: [{ id: 'a' }, { id: 'b' }],
+    second: [{ id: 'c' }],
+  });
+
+  const renderItem = ({ item }) => <Text>{item.get('id')}</Text>; // eslint-disable-line react/prop-types
+
+  const renderList = (immutableData) => (
+    <ImmutableSectionList immutableData={immutableData} renderItem={renderItem} rowKey={['id']} animateChanges />
+  );
+
+  const getStatuses = (tree) => tree.root.findAllByType(AnimatedRow)
+    .map((row) => `${row.props.sectionKey}.${row.props.itemKey}: ${row.props.status}`);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mocks.mockLayoutAnimation();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    LayoutAnimation.configureNext.mockRestore();
+  });
+
+  it('animates items in and out within each section', () => {
+    const tree = renderer.create(renderList(SECTIONS));
+    expect(getStatuses(tree)).toEqual(['first.a: present', 'first.b: present', 'second.c: present']);
+
+    tree.update(renderList(SECTIONS.update('first', (rows) => rows.delete(0)).update('second', (rows) => (
+      rows.push(Immutable.Map({ id: 'a' }))
+    ))));
+    expect(getStatuses(tree)).toEqual([
+      'first.a: exiting', 'first.b: present', 'second.c: present', 'second.a: entering',
+    ]);
+    expect(LayoutAnimation.configureNext).toHaveBeenCalled();
+
+    renderer.act(() => jest.runAllTimers());
+    expect(getStatuses(tree)).toEqual(['first.b: present', 'second.c: present', 'second.a: present']);
+
+    tree.unmount();
+  });
+
+  it('animates the items of new sections in', () => {
+    const tree = renderer.create(renderList(SECTIONS));
+    tree.update(renderList(SECTIONS.set('third', Immutable.fromJS([{ id: 'd' }]))));
+    expect(getStatuses(tree)).toContain('third.d: entering');
+
+    tree.unmount();
+  });
+
+  it('can be unmounted while items are animating out', () => {
+    jest.spyOn(console, 'error');
+
+    const tree = renderer.create(renderList(SECTIONS));
+    tree.update(renderList(SECTIONS.update('first', (rows) => rows.delete(0))));
+    tree.unmount();
+    jest.runAllTimers();
+    expect(console.error).not.toHaveBeenCalled();
+
+    console.error.mockRestore();
+  });
+});
+
+describe('ImmutableSectionList with collapsible sections', () => {
+  const getRenderedTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  /**
+   * Render a list whose headers can be pressed to collapse their section, along with a function to press one.
+   */
+  const renderCollapsible = (props) => {
+    const toggles = {};
+    /* eslint-disable react/prop-types */
+    const renderSectionHeader = ({ section: { sectionKey, sectionData }, isCollapsed, toggleCollapsed }) => {
+      toggles[sectionKey] = toggleCollapsed;
+      return <Text>{`${sectionKey} (${sectionData.size})${isCollapsed ? ' +' : ''}`}</Text>;
+    };
+    /* eslint-enable react/prop-types */
+    const tree = render(
+      <ImmutableSectionList
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderItem={renderers.renderItem}
+        renderSectionHeader={renderSectionHeader}
+        {...props}
+      />,
+    );
+    const toggle = (sectionKey) => renderer.act(() => toggles[sectionKey]());
+
+    return { tree, toggle };
+  };
+
+  it('collapses and expands sections', () => {
+    const onToggleSection = jest.fn();
+    const { tree, toggle } = renderCollapsible({ onToggleSection });
+
+    toggle('first');
+    expect(getRenderedTexts(tree)).toEqual([
+      'first (3) +', 'second (1)', '"foo"', 'third (0)', 'fourth (1)', '"bar"',
+    ]);
+    expect(onToggleSection).toHaveBeenLastCalledWith('first', Immutable.Set(['first']));
+
+    toggle('first');
+    expect(getRenderedTexts(tree)).toHaveLength(9);
+    expect(onToggleSection).toHaveBeenLastCalledWith('first', Immutable.Set());
+
+    tree.unmount();
+  });
+
+  it('leaves controlled collapsedSections to the parent', () => {
+    const onToggleSection = jest.fn();
+    const { tree, toggle } = renderCollapsible({ collapsedSections: Immutable.Set(['fourth']), onToggleSection });
+    expect(getRenderedTexts(tree)).not.toContain('"bar"');
+
+    toggle('fourth');
+    expect(onToggleSection).toHaveBeenCalledWith('fourth', Immutable.Set());
+    expect(getRenderedTexts(tree)).not.toContain('"bar"');
+
+    tree.unmount();
+  });
+
+  it('collapses sections while animating changes', () => {
+    const { tree } = renderCollapsible({ collapsedSections: Immutable.Set(['second']), animateChanges: true });
+
+    expect(getRenderedTexts(tree)).not.toContain('"foo"');
+    tree.unmount();
+  });
+});
+
+describe('ImmutableSectionList with scrollToKey and scrollToSection', () => {
+  const renderScrollable = (props) => {
+    const listRef = React.createRef();
+    const tree = renderer.create(
+      <ImmutableSectionList
+        ref={listRef}
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderItem={renderers.renderItem}
+        renderSectionHeader={renderers.renderSectionListHeader}
+        {...props}
+      />,
+    );
+
+    return { tree, list: listRef.current };
+  };
+
+  let scrollToIndex;
+
+  beforeEach(() => {
+    scrollToIndex = jest.spyOn(VirtualizedList.prototype, 'scrollToIndex').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    scrollToIndex.mockRestore();
+  });
+
+  it('scrolls to the item with the given key', async () => {
+    const { tree, list } = renderScrollable();
+
+    await list.scrollToKey(2);
+    // Each section before it has a header and a footer.
+    expect(scrollToIndex).toHaveBeenLastCalledWith({ sectionIndex: 0, itemIndex: 2, index: 2 });
+
+    await list.scrollToKey(0, { sectionKey: 'fourth', animated: false });
+    expect(scrollToIndex).toHaveBeenLastCalledWith({
+      animated: false, sectionIndex: 3, itemIndex: 0, index: 10,
+    });
+
+    tree.unmount();
+  });
+
+  it('scrolls to the header of the section with the given key', async () => {
+    const { tree, list } = renderScrollable();
+
+    await list.scrollToSection('second');
+    expect(scrollToIndex).toHaveBeenLastCalledWith({ sectionIndex: 1, itemIndex: 0, index: 5 });
+
+    tree.unmount();
+  });
+
+  it('skips collapsed sections', async () => {
+    const { tree, list } = renderScrollable({ collapsedSections: Immutable.Set(['first']) });
+
+    await expect(list.scrollToKey(2)).rejects.toThrow('No item with that key is rendered');
+    await list.scrollToKey(0, { sectionKey: 'second' });
+    expect(scrollToIndex).toHaveBeenLastCalledWith({ sectionIndex: 1, itemIndex: 0, index: 2 });
+
+    tree.unmount();
+  });
+
+  it('rejects when there is no section with the given key', async () => {
+    const { tree, list } = renderScrollable();
+
+    await expect(list.scrollToSection('fifth')).rejects.toThrow('There\'s no section with that key');
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableSectionList with itemHeight', () => {
+  it('computes getItemLayout for the headers, items, and footers of each section', () => {
+    const listRef = React.createRef();
+    const tree = renderer.create(
+      <ImmutableSectionList
+        ref={listRef}
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderItem={renderers.renderItem}
+        renderSectionHeader={renderers.renderSectionListHeader}
+        itemHeight={20}
+        sectionHeaderHeight={30}
+        separatorHeight={1}
+        collapsedSections={Immutable.Set(['second'])}
+      />,
+    );
+    const { getItemLayout, sections } = listRef.current.getSectionList().props;
+
+    // The first section has a header, three items, and a footer, and the collapsed second section has no items.
+    expect([0, 1, 2, 3, 4, 5, 6].map((index) => getItemLayout(sections, index))).toEqual([
+      { length: 30, offset: 0, index: 0 },
+      { length: 21, offset: 30, index: 1 },
+      { length: 21, offset: 51, index: 2 },
+      { length: 20, offset: 72, index: 3 },
+      { length: 0, offset: 92, index: 4 },
+      { length: 30, offset: 92, index: 5 },
+      { length: 0, offset: 122, index: 6 },
+    ]);
+
+    tree.unmount();
+  });
+
+  it('offsets every section by the header height', () => {
+    const listRef = React.createRef();
+    const tree = renderer.create(
+      <ImmutableSectionList
+        ref={listRef}
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderItem={renderers.renderItem}
+        renderSectionHeader={renderers.renderSectionListHeader}
+        ListHeaderComponent={renderers.renderRow('Header')}
+        itemHeight={20}
+        sectionHeaderHeight={30}
+        headerHeight={50}
+      />,
+    );
+    const { getItemLayout, sections } = listRef.current.getSectionList().props;
+
+    expect([0, 1, 2].map((index) => getItemLayout(sections, index).offset)).toEqual([50, 80, 100]);
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableSectionList with renderEmpty', () => {
+  it('renders normally when there are some items', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderItem={renderers.renderItem}
+        renderEmpty={() => renderers.renderRow('No items')}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('renders empty with a function', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={EMPTY_SECTIONS}
+        renderItem={renderers.renderItem}
+        renderEmpty={() => renderers.renderRow('No items')}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('renders empty with a string', () => {
+    const color = 'red';
+
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={data.EMPTY_DATA}
+        renderItem={renderers.renderItem}
+        renderEmpty="No items"
+        contentContainerStyle={{ color }}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('doesn\'t render empty with null', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={data.EMPTY_DATA}
+        renderItem={renderers.renderItem}
+        renderEmpty={null}
+        renderEmptyInList={null}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+});
+
+describe('ImmutableSectionList with renderEmptyInList', () => {
+  it('renders normally when there are some items', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderItem={renderers.renderItem}
+        renderEmptyInList={() => renderers.renderRow('No items')}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('renders empty with a function', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={EMPTY_SECTIONS}
+        renderItem={renderers.renderItem}
+        renderEmptyInList={() => renderers.renderRow('No items')}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('renders empty with a string', () => {
+    const color = 'red';
+
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={data.EMPTY_DATA}
+        renderItem={renderers.renderItem}
+        renderEmptyInList="No items"
+        contentContainerStyle={{ color }}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('doesn\'t render empty with null', () => {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={data.EMPTY_DATA}
+        renderItem={renderers.renderItem}
+        renderEmpty={null}
+        renderEmptyInList={null}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+});
+
+describe('ImmutableSectionList with isLoading and error', () => {
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+  const renderList = (props) => (
+    <ImmutableSectionList
+      immutableData={EMPTY_SECTIONS}
+      renderItem={renderers.renderItem}
+      renderEmptyInList="No items"
+      {...props}
+    />
+  );
+
+  it('renders the loading placeholder while loading', () => {
+    expect(getTexts(renderer.create(renderList({ isLoading: true })))).toEqual(['Loading...']);
+    expect(getTexts(renderer.create(renderList({ isLoading: true, renderLoading: 'Hold on' })))).toEqual(['Hold on']);
+  });
+
+  it('renders the error placeholder with the error', () => {
+    const error = new Error('Offline');
+    const renderErrorInList = jest.fn((props, { message }) => <Text>{message}</Text>);
+
+    const tree = renderer.create(renderList({ error, renderErrorInList }));
+    expect(getTexts(tree)).toEqual(['Offline']);
+    expect(renderErrorInList).toHaveBeenCalledWith(expect.objectContaining({ error }), error);
+  });
+
+  it('prefers loading over an error, and an error over being empty', () => {
+    const tree = renderer.create(renderList({ isLoading: true, error: new Error('Offline') }));
+    expect(getTexts(tree)).toEqual(['Loading...']);
+
+    tree.update(renderList({ error: new Error('Offline') }));
+    expect(getTexts(tree)).toEqual(['Couldn\'t load data.']);
+
+    tree.update(renderList({}));
+    expect(getTexts(tree)).toEqual(['No items']);
+  });
+
+  it('renders the items when there are some, even while loading', () => {
+    const tree = renderer.create(renderList({ immutableData: data.MAP_DATA_LIST_ROWS, isLoading: true, error: new Error('Offline') }));
+    expect(getTexts(tree)).not.toContain('Loading...');
+    expect(getTexts(tree)).not.toContain('Couldn\'t load data.');
+  });
+
+  it('keeps the list props in the list', () => {
+    const onRefresh = jest.fn();
+    const tree = renderer.create(renderList({ isLoading: true, refreshing: false, onRefresh }));
+    expect(tree.root.findByType(EmptySectionList).props.onRefresh).toBe(onRefresh);
+  });
+});
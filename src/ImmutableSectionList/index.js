@@ -0,0 +1,4 @@
+import ImmutableSectionList from './ImmutableSectionList';
+
+export { ImmutableSectionList };
+export * from './EmptySectionList';
@@ -33,28 +33,15 @@ class EmptyVirtualizedList extends PureComponent {
     emptyText: 'No data.',
   };
 
+  static getDerivedStateFromProps(props, state) {
+    const listData = state.listData.set(0, utils.getEmptyItem(props));
+    return Immutable.is(listData, state.listData) ? null : { listData };
+  }
+
   state = {
     listData: utils.UNITARY_LIST,
   };
 
-  componentWillMount() {
-    this.setListDataFromProps(this.props);
-  }
-
-  componentWillReceiveProps(nextProps) {
-    this.setListDataFromProps(nextProps);
-  }
-
-  setListDataFromProps(props) {
-    const { listData } = this.state;
-    const { renderEmpty, renderEmptyInList, emptyText } = props;
-
-    // Update the data to make sure the list re-renders if any of the relevant props have changed.
-    this.setState({
-      listData: listData.set(0, Immutable.fromJS([renderEmpty, renderEmptyInList, emptyText])),
-    });
-  }
-
   /**
    * Returns a simple text element showing the `emptyText` string.
    * This method can be overridden by passing in your own `renderItem` prop instead.
@@ -1,15 +1,22 @@
 import Immutable from 'immutable';
 import PropTypes from 'prop-types';
 import React, { PureComponent } from 'react';
-import { Text, VirtualizedList } from 'react-native';
+import {
+  View, Text, ActivityIndicator, VirtualizedList, LayoutAnimation, InteractionManager,
+} from 'react-native';
 
 import styles from '../styles';
 import utils from '../utils';
+import scrollToRow, { throwScrollToIndexError } from '../scrollToRow';
+import { AnimatedRow, DEFAULT_LAYOUT_ANIMATION } from '../AnimatedRow';
+import StaticRenderer from '../StaticRenderer';
 
 // ListView renders EmptyListView which renders an empty ListView. Cycle is okay here.
 // eslint-disable-next-line import/no-cycle
 import { EmptyVirtualizedList } from './EmptyVirtualizedList';
 
+const itemHasChanged = (prevItem, nextItem) => !Immutable.is(prevItem, nextItem);
+
 /**
  * A VirtualizedList capable of displaying {@link https://facebook.github.io/immutable-js/ Immutable} data
  * out of the box.
@@ -22,19 +29,274 @@ class ImmutableVirtualizedList extends PureComponent {
 
     /**
      * The immutable data to be rendered in a VirtualizedList.
+     *
+     * Keyed data (e.g. a Map or OrderedMap) renders one item per value, in iteration order.
      */
     // eslint-disable-next-line consistent-return
     immutableData: (props, propName, componentName) => {
-      // Note: It's not enough to simply validate PropTypes.instanceOf(Immutable.Iterable),
-      // because different imports of Immutable.js across files have different class prototypes.
-      // TODO: Add support for Immutable.Map, etc.
-      if (Immutable.Map.isMap(props[propName])) {
-        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Support for Immutable.Map is coming soon. For now, try an Immutable List, Set, or Range.`);
-      } else if (!utils.isImmutableIterable(props[propName])) {
-        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Must be instance of Immutable.Iterable.`);
+      if (!utils.isImmutableIterable(props[propName])) {
+        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Must be an Immutable collection or Record.`);
+      }
+    },
+
+    /**
+     * Takes `{ item, index, key, separators }` and returns a renderable element, where `key` is
+     * the item's key as given by `rowKey`, or else its key within `immutableData` (e.g. the Map key,
+     * or the index for a List). If `selectable`, it also takes `isSelected` and `toggleSelected`,
+     * and if `withRowContext`, it also takes `rowContext`.
+     *
+     * Each item is only re-rendered when it has changed (see `itemHasChanged`), along with its index, key,
+     * selection, `rowContext`, or `getItemProps`, or when `renderItem` or `extraData` has changed.
+     * So `renderItem` should be a stable function, with anything else it depends on passed as `extraData`
+     * or `getItemProps`.
+     */
+    renderItem: PropTypes.func,
+
+    /**
+     * A function taking (prevItem, nextItem) and returning true if the item has changed and should re-render.
+     * Defaults to comparing the items with `Immutable.is`.
+     */
+    itemHasChanged: PropTypes.func,
+
+    /**
+     * A function taking (item, key, index) and returning an object of extra props for that item,
+     * which are also passed to `renderItem`. The item is re-rendered when any of them changes according
+     * to `Immutable.is`, so unlike `extraData`, a change only re-renders the items it concerns.
+     */
+    getItemProps: PropTypes.func,
+
+    /**
+     * If true, `renderItem` is also passed the item's position in the data as `rowContext`,
+     * e.g. `{ index, isFirst, isLast, rowCount }`; see `utils.getRowContexts`. Since an item is re-rendered
+     * whenever its context changes, e.g. adding an item re-renders every rendered item, it's off by default.
+     */
+    withRowContext: PropTypes.bool,
+
+    /**
+     * A key path into each item such as `['id']`, or a function taking (item, key) and returning the item's key.
+     * Stable keys mean items keep their state when other items are inserted or removed before them.
+     *
+     * In dev mode, items with a missing or duplicate key will cause a warning.
+     */
+    rowKey: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+      PropTypes.func,
+    ]),
+
+    /**
+     * A function taking (item, key) and returning true if the item should be rendered.
+     */
+    filter: PropTypes.func,
+
+    /**
+     * Only items with a value containing this text (ignoring case) are rendered. See `searchKeys`.
+     */
+    searchQuery: PropTypes.string,
+
+    /**
+     * The keys or key paths of the values to search for `searchQuery`, such as `['name', ['address', 'city']]`.
+     * By default, the item itself is searched if it's a plain value, or else each of its values.
+     */
+    searchKeys: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.array])),
+
+    /**
+     * A key path into each item such as `['name']`, or a function taking (item, key),
+     * giving the value to sort the items by.
+     */
+    sortBy: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+      PropTypes.func,
+    ]),
+
+    /**
+     * A function taking two items (or their `sortBy` values) and returning a number, like `Array.prototype.sort`.
+     */
+    comparator: PropTypes.func,
+
+    /**
+     * Called with the changes (see `utils.getRowDiff`) whenever `immutableData` changes:
+     * the keys of the items that were inserted, removed, moved, and updated.
+     */
+    onDataChange: PropTypes.func,
+
+    /**
+     * Called with stats about how the items were rendered once the list mounts, whenever `immutableData` changes,
+     * and as the items held back by `rowsDuringInteraction` are rendered: how many items were mounted, re-rendered,
+     * and skipped since the last call, how long deriving the data took, and how many items are still deferred.
+     * See `RenderStatsOverlay` for a way to display them.
+     */
+    onRenderStats: PropTypes.func,
+
+    /**
+     * If true, items that are inserted are animated in, items that are removed are kept around until they've
+     * been animated out, and the other items are animated into their new positions.
+     * Items are matched up by their key, so you'll usually want to provide a `rowKey` as well.
+     */
+    animateChanges: PropTypes.bool,
+
+    /**
+     * When `animateChanges` is true, how to animate items in and out: an object overriding any of the options
+     * in `DEFAULT_ROW_ANIMATION` (`duration`, `delay`, `easing`, `useNativeDriver`, and `style`),
+     * or a function taking `{ item, key, status }` and returning such an object for each item.
+     * Use null to not animate an item.
+     */
+    rowAnimation: PropTypes.oneOfType([PropTypes.object, PropTypes.func]),
+
+    /**
+     * When `animateChanges` is true, the `LayoutAnimation` config used to move the other items
+     * into their new positions, or null to not animate them.
+     */
+    // eslint-disable-next-line react/forbid-prop-types
+    layoutAnimation: PropTypes.object,
+
+    /**
+     * Defaults to the item's key as given by `rowKey`, or else its key within `immutableData`
+     * for keyed data (e.g. a Map), or its index otherwise.
+     */
+    keyExtractor: PropTypes.func,
+
+    /**
+     * Called as usual when `scrollToIndex` fails, but not when `scrollToKey` does, since it waits for the item
+     * to be measured and tries again on its own.
+     */
+    onScrollToIndexFailed: PropTypes.func,
+
+    /**
+     * How many rows of data to display while waiting for interactions to finish (e.g. Navigation animations).
+     * You can use this to improve the animation performance of longer lists when pushing new routes.
+     *
+     * @see https://facebook.github.io/react-native/docs/performance.html#slow-navigator-transitions
+     */
+    rowsDuringInteraction: PropTypes.number,
+
+    /**
+     * If set along with `rowsDuringInteraction`, the rest of the rows are rendered this many at a time,
+     * one batch per frame, once interactions have finished, rather than all at once.
+     */
+    rowsPerBatch: PropTypes.number,
+
+    /**
+     * How many items of a lazy `Seq` to realize at a time. Only this many items are computed at first,
+     * and this many more each time the end of the list is reached, so `immutableData` can be e.g. a large
+     * filtered or mapped `Seq`, or even an unbounded `Range`, without realizing all of it up front.
+     *
+     * `onEndReached` is only called once every item of the `Seq` has been realized.
+     */
+    lazyBatchSize: PropTypes.number,
+
+    /**
+     * The height of each item (or its width, in a horizontal list): a number, or a function taking the item
+     * and its key. If set, `getItemLayout` is computed from it, so the list can scroll to any item without
+     * measuring the ones before it. A `getItemLayout` prop still takes precedence.
+     */
+    itemHeight: PropTypes.oneOfType([PropTypes.number, PropTypes.func]),
+
+    /**
+     * The height of the `ItemSeparatorComponent` rendered between items, for the computed `getItemLayout`.
+     */
+    separatorHeight: PropTypes.number,
+
+    /**
+     * The height of the `ListHeaderComponent`, which the computed `getItemLayout` offsets every item by.
+     */
+    headerHeight: PropTypes.number,
+
+    /**
+     * If true, each item is measured once it's rendered, and its measured height is used in place of `itemHeight`,
+     * which then only needs to be an estimate. Heights are cached by row key, so they're kept when the data changes.
+     * Only takes effect along with `itemHeight`.
+     */
+    measureItems: PropTypes.bool,
+
+    /**
+     * Called when the end of the list is reached, to fetch the next page of items.
+     * Returns a promise, and won't be called again until it has settled, or while `hasMore` is false.
+     * If the promise rejects, it's only called again once the user retries (see `renderErrorFooter`).
+     * Use `utils.mergePage` to add the fetched page to `immutableData`.
+     */
+    loadMore: PropTypes.func,
+
+    /**
+     * Whether there are more items for `loadMore` to fetch.
+     */
+    hasMore: PropTypes.bool,
+
+    /**
+     * Returns the element rendered after the items while `loadMore` is in progress.
+     * Defaults to an `ActivityIndicator`.
+     */
+    renderLoadingFooter: PropTypes.func,
+
+    /**
+     * Takes `{ error, retry }` and returns the element rendered after the items when `loadMore` has failed,
+     * where `retry` calls `loadMore` again. Defaults to a message that retries when pressed.
+     */
+    renderErrorFooter: PropTypes.func,
+
+    /**
+     * Returns the element rendered after the items once `hasMore` is false.
+     */
+    renderEndFooter: PropTypes.func,
+
+    /**
+     * If true, items can be selected: `renderItem` is also passed `isSelected`, and `toggleSelected`
+     * to select or deselect the item. Selecting an item only re-renders the items whose selection changed.
+     */
+    selectable: PropTypes.bool,
+
+    /**
+     * Either "single", where selecting an item deselects the others, or "multiple".
+     */
+    selectionMode: PropTypes.oneOf(['single', 'multiple']),
+
+    /**
+     * The keys of the selected items (see `rowKey`), to control the selection instead of leaving it to the list.
+     * Keys that are no longer in `immutableData` are pruned by calling `onSelectionChange`.
+     */
+    // eslint-disable-next-line consistent-return
+    selectedKeys: (props, propName, componentName) => {
+      const selectedKeys = props[propName];
+      const isImmutableSet = utils.isImmutableIterable(selectedKeys) && !!selectedKeys.add;
+      if (selectedKeys !== undefined && !isImmutableSet) {
+        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Must be an Immutable Set.`);
       }
     },
 
+    /**
+     * Called with the new `Immutable.Set` of selected keys whenever the selection changes,
+     * including when selected items are removed from `immutableData`.
+     */
+    onSelectionChange: PropTypes.func,
+
+    /**
+     * Renders nested data as a tree: a key path into each row such as `['children']`, giving the Immutable
+     * collection of its child rows. The top-level rows are rendered, followed by the children of each expanded row,
+     * and so on. `renderItem` is also passed the row's `depth`, its `keyPath` (an `Immutable.List` of the keys
+     * of its ancestors and then its own, as given by `rowKey`), `hasChildren`, `isExpanded`, and `toggleExpanded`
+     * to expand or collapse it. Filtering, sorting, and searching only apply to the top-level rows,
+     * and changes aren't animated.
+     */
+    childrenKeyPath: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+
+    /**
+     * With `childrenKeyPath`, the key paths of the expanded rows as `Immutable.List`s,
+     * to control which rows are expanded instead of leaving it to the list.
+     */
+    // eslint-disable-next-line consistent-return
+    expandedKeyPaths: (props, propName, componentName) => {
+      const expandedKeyPaths = props[propName];
+      const isImmutableSet = utils.isImmutableIterable(expandedKeyPaths) && !!expandedKeyPaths.add;
+      if (expandedKeyPaths !== undefined && !isImmutableSet) {
+        return new Error(`Invalid prop ${propName} supplied to ${componentName}: Must be an Immutable Set.`);
+      }
+    },
+
+    /**
+     * Called with (keyPath, expandedKeyPaths) whenever a row is expanded or collapsed,
+     * where `expandedKeyPaths` is the new `Immutable.Set` of expanded key paths.
+     */
+    onToggleExpanded: PropTypes.func,
+
     /**
      * A plain string, or a function that returns some {@link PropTypes.element}
      * to be rendered in place of a `VirtualizedList` when there are no items in the list.
@@ -55,18 +317,489 @@ class ImmutableVirtualizedList extends PureComponent {
      * It will be passed all the original props of the ImmutableVirtualizedList.
      */
     renderEmptyInList: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * True while the data is being loaded. If there are no items in the list yet, the loading renderers
+     * are rendered instead of the empty renderers.
+     */
+    isLoading: PropTypes.bool,
+
+    /**
+     * The error from loading the data, if it failed. If there are no items in the list,
+     * the error renderers are rendered instead of the empty renderers (but not while `isLoading`).
+     */
+    // eslint-disable-next-line react/forbid-prop-types
+    error: PropTypes.any,
+
+    /**
+     * Like `renderEmpty`, but rendered while `isLoading` and there are no items in the list.
+     */
+    renderLoading: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * Like `renderEmptyInList`, but rendered while `isLoading` and there are no items in the list.
+     */
+    renderLoadingInList: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * Like `renderEmpty`, but rendered when there's an `error` and there are no items in the list.
+     * A function is passed the `error` as its second argument.
+     */
+    renderError: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * Like `renderEmptyInList`, but rendered when there's an `error` and there are no items in the list.
+     * A function is passed the `error` as its second argument.
+     */
+    renderErrorInList: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
   };
 
   static defaultProps = {
     ...VirtualizedList.defaultProps,
 
+    // Replaced by a default based on the keys of `immutableData`; see `getDefaultItemKey` below.
+    keyExtractor: undefined,
+
+    itemHasChanged,
+
+    withRowContext: false,
+
+    lazyBatchSize: 100,
+
+    separatorHeight: 0,
+
+    headerHeight: 0,
+
+    measureItems: false,
+
+    hasMore: true,
+
+    selectionMode: 'multiple',
+
     renderEmptyInList: 'No data.',
+
+    renderLoadingInList: 'Loading...',
+
+    renderErrorInList: 'Couldn\'t load data.',
+
+    layoutAnimation: DEFAULT_LAYOUT_ANIMATION,
+  };
+
+  static getDerivedStateFromProps(props, state) {
+    const { rowKey, animateChanges, childrenKeyPath } = props;
+
+    let derivedState = null;
+    if (!state.derivationProps || !utils.isSameDerivation(state.derivationProps, props)) {
+      const startTime = utils.now();
+      derivedState = {
+        derivationProps: utils.getDerivationProps(props),
+        immutableData: utils.getDerivedData(props),
+      };
+      derivedState.deriveTime = utils.now() - startTime;
+    }
+    const immutableData = derivedState ? derivedState.immutableData : state.immutableData;
+
+    // Animating a lazy Seq would realize all of it; see `warnAboutLazyData`.
+    if (!animateChanges || childrenKeyPath || utils.isImmutableSeq(immutableData)) {
+      return state.animatedRows ? { ...derivedState, animatedRows: null, animatedRowsData: null } : derivedState;
+    }
+
+    if (immutableData === state.animatedRowsData) {
+      return derivedState;
+    }
+
+    return {
+      ...derivedState,
+      animatedRowsData: immutableData,
+      animatedRows: utils.getAnimatedRows(
+        state.animatedRows,
+        immutableData ? utils.getRowKeys(immutableData, rowKey, __DEV__) : [],
+        immutableData ? utils.toCollection(immutableData).valueSeq().toArray() : [],
+      ),
+    };
+  }
+
+  constructor(props) {
+    super(props);
+
+    this.mountedRowKeys = new Set();
+
+    // The measured height of each item by its key, when `measureItems` is set.
+    this.measuredHeights = new Map();
+
+    // How the items have been rendered since the stats were last reported to `onRenderStats`.
+    this.renderCounts = { mountedRows: 0, renderedRows: 0, skippedRows: 0 };
+    this.interactionTime = null;
+
+    // Only this many rows are rendered, if set.
+    this.state.rowLimit = props.rowsDuringInteraction >= 0 ? props.rowsDuringInteraction : null;
+
+    // Only this many items of a lazy Seq are realized.
+    this.state.realizedCount = props.lazyBatchSize;
+  }
+
+  state = {
+    /** The data to render: `immutableData` as filtered, searched, and sorted by the props. */
+    immutableData: null,
+
+    derivationProps: null,
+
+    /** How long deriving `immutableData` took, in milliseconds. */
+    deriveTime: 0,
+
+    /** When animating changes, the items to render, including any that are still being animated out. */
+    animatedRows: null,
+
+    animatedRowsData: null,
+
+    /** The state of the latest `loadMore` request: 'idle', 'loading', or 'error'. */
+    loadMoreStatus: 'idle',
+
+    loadMoreError: null,
+
+    /** The keys of the selected items, unless they're controlled by the `selectedKeys` prop. */
+    selectedKeys: Immutable.Set(),
+
+    /** The key paths of the expanded rows of a tree, unless they're controlled by the `expandedKeyPaths` prop. */
+    expandedKeyPaths: Immutable.Set(),
   };
 
+  componentDidMount() {
+    const { rowsDuringInteraction } = this.props;
+
+    if (rowsDuringInteraction >= 0) {
+      this.interactionStartTime = utils.now();
+      this.interactionHandle = InteractionManager.runAfterInteractions(this.renderNextBatch);
+    }
+
+    this.warnAboutLazyData();
+    this.reportRenderStats(true);
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    const {
+      immutableData: sourceData, rowKey, onDataChange, selectable, childrenKeyPath,
+    } = this.props;
+    const { immutableData, animatedRows, rowLimit } = this.state;
+
+    if (immutableData !== prevState.immutableData || rowLimit !== prevState.rowLimit) {
+      this.reportRenderStats(immutableData !== prevState.immutableData);
+    }
+
+    if (immutableData !== prevState.immutableData) this.warnAboutLazyData();
+
+    // Diffing a lazy Seq would realize all of it; see `warnAboutLazyData`.
+    if (onDataChange && immutableData !== prevState.immutableData
+      && !utils.isImmutableSeq(immutableData) && !utils.isImmutableSeq(prevState.immutableData)) {
+      const diff = utils.getRowDiff(prevState.immutableData, immutableData, rowKey);
+      if (!utils.isEmptyRowDiff(diff)) onDataChange(diff);
+    }
+
+    // Deselect any items that were removed. A lazy Seq isn't realized in full just to find its keys, though,
+    // and only the top-level rows of a tree would be found.
+    if (selectable && sourceData !== prevProps.immutableData && !utils.isImmutableSeq(sourceData) && !childrenKeyPath) {
+      this.setSelectedKeys(utils.pruneSelection(this.getSelectedKeys(), sourceData, rowKey));
+    }
+
+    if (animatedRows && prevState.animatedRows && animatedRows !== prevState.animatedRows) {
+      this.onAnimatedRowsChange(prevState.animatedRows, animatedRows);
+    }
+  }
+
+  componentWillUnmount() {
+    this.loadMoreRequest = null;
+
+    if (this.interactionHandle) this.interactionHandle.cancel();
+    cancelAnimationFrame(this.batchFrame);
+  }
+
+  /**
+   * Animate the other items into their new positions if any items have entered, exited, or moved,
+   * and finish exiting any items that aren't rendered, since they can't be animated out.
+   */
+  onAnimatedRowsChange(prevAnimatedRows, animatedRows) {
+    const { layoutAnimation } = this.props;
+
+    const getKeys = (rows) => Immutable.List(rows.map((row) => row.key));
+    if (layoutAnimation && !Immutable.is(getKeys(prevAnimatedRows), getKeys(animatedRows))) {
+      LayoutAnimation.configureNext(layoutAnimation);
+    }
+
+    animatedRows
+      .filter((row) => row.status === 'exiting' && !this.mountedRowKeys.has(row.key))
+      .forEach((row) => this.onRowAnimationEnd(row.status, row.key));
+  }
+
   getVirtualizedList() {
     return this.virtualizedListRef;
   }
 
+  /**
+   * Return the props that aren't ImmutableVirtualizedList's own, to pass through as they are
+   * to the VirtualizedList (or to an `EmptyVirtualizedList` in its place).
+   */
+  getPassThroughProps() {
+    const {
+      immutableData, renderEmpty, renderEmptyInList,
+      isLoading, error, renderLoading, renderLoadingInList, renderError, renderErrorInList,
+      renderItem, rowKey, keyExtractor, onDataChange, onRenderStats, itemHasChanged: hasChanged, getItemProps,
+      withRowContext, animateChanges, rowAnimation, layoutAnimation, rowsDuringInteraction, rowsPerBatch, lazyBatchSize,
+      filter, searchQuery, searchKeys, sortBy, comparator, loadMore, hasMore,
+      renderLoadingFooter, renderErrorFooter, renderEndFooter,
+      selectable, selectionMode, selectedKeys, onSelectionChange,
+      childrenKeyPath, expandedKeyPaths, onToggleExpanded,
+      itemHeight, separatorHeight, headerHeight, measureItems, ...passThroughProps
+    } = this.props;
+
+    return passThroughProps;
+  }
+
+  /**
+   * Return the keys of the selected items, from the `selectedKeys` prop if it's set.
+   */
+  getSelectedKeys() {
+    const { selectedKeys } = this.props;
+    const { selectedKeys: uncontrolledKeys } = this.state;
+
+    return selectedKeys !== undefined ? selectedKeys : uncontrolledKeys;
+  }
+
+  setSelectedKeys(selectedKeys) {
+    const { selectedKeys: controlledKeys, onSelectionChange } = this.props;
+
+    if (selectedKeys === this.getSelectedKeys()) return;
+
+    if (controlledKeys === undefined) this.setState({ selectedKeys });
+    if (onSelectionChange) onSelectionChange(selectedKeys);
+  }
+
+  /**
+   * Return the key paths of the expanded rows of a tree, from the `expandedKeyPaths` prop if it's set.
+   */
+  getExpandedKeyPaths() {
+    const { expandedKeyPaths } = this.props;
+    const { expandedKeyPaths: uncontrolledKeyPaths } = this.state;
+
+    return expandedKeyPaths !== undefined ? expandedKeyPaths : uncontrolledKeyPaths;
+  }
+
+  /**
+   * Return whether the item with the given key is selected, and a function to select or deselect it.
+   */
+  getSelectionInfo(key) {
+    return {
+      isSelected: this.getSelectedKeys().has(key),
+      toggleSelected: () => this.toggleSelection(key),
+    };
+  }
+
+  /**
+   * Return the keys of the items in `immutableData`, or null if the items
+   * can be looked up directly by their index (e.g. in a List or Range).
+   * The keys are cached so they're only computed once per data change.
+   */
+  getItemKeys(immutableData) {
+    if (immutableData !== this.itemKeysData) {
+      this.itemKeysData = immutableData;
+      this.itemKeys = (!immutableData || utils.isImmutableIndexed(immutableData)
+        ? null
+        : utils.getKeys(immutableData));
+    }
+
+    return this.itemKeys;
+  }
+
+  /**
+   * Return `immutableData` as far as it has been realized: a lazy Seq is realized one item at a time,
+   * up to `realizedCount` items, as a List (or an OrderedMap if it's keyed). Any other data is returned as is.
+   * Items are only realized once per Seq, so they keep their identities as more of the Seq is realized.
+   */
+  getRealizedData(immutableData, realizedCount) {
+    if (!utils.isImmutableSeq(immutableData)) {
+      this.hasUnrealizedItems = false;
+      return immutableData;
+    }
+
+    if (immutableData !== this.realizedSource) {
+      this.realizedSource = immutableData;
+      this.realizedIterator = immutableData.entries();
+      this.realizedEntries = [];
+      this.realizedData = null;
+    }
+
+    if (!this.realizedData || realizedCount !== this.realizedCount) {
+      // Realize one extra item to find out whether there are any more.
+      while (this.realizedEntries.length <= realizedCount) {
+        const { done, value } = this.realizedIterator.next();
+        if (done) break;
+        this.realizedEntries.push(value);
+      }
+
+      const entries = this.realizedEntries.slice(0, realizedCount);
+      this.realizedCount = realizedCount;
+      this.realizedData = (utils.isImmutableKeyed(immutableData)
+        ? Immutable.OrderedMap(entries)
+        : Immutable.List(entries.map(([, value]) => value)));
+      this.hasUnrealizedItems = this.realizedEntries.length > realizedCount;
+    }
+
+    return this.realizedData;
+  }
+
+  /**
+   * Return the visible rows of a tree; see `utils.getTreeRows`.
+   * The rows are cached, along with those of each subtree, so only the subtrees that changed are flattened again.
+   */
+  getTreeRows(immutableData) {
+    const { childrenKeyPath, rowKey } = this.props;
+    const expandedKeyPaths = this.getExpandedKeyPaths();
+
+    if (!this.treeCache || !utils.isSameRowKey(childrenKeyPath, this.treeChildrenKeyPath)
+      || !utils.isSameRowKey(rowKey, this.treeRowKey)) {
+      this.treeCache = new WeakMap();
+      this.treeChildrenKeyPath = childrenKeyPath;
+      this.treeRowKey = rowKey;
+      this.treeRowsData = null;
+    }
+
+    if (immutableData !== this.treeRowsData || expandedKeyPaths !== this.treeRowsExpandedKeyPaths) {
+      this.treeRowsData = immutableData;
+      this.treeRowsExpandedKeyPaths = expandedKeyPaths;
+      this.treeRows = utils.getTreeRows(immutableData, childrenKeyPath, expandedKeyPaths, rowKey, this.treeCache);
+    }
+
+    return this.treeRows;
+  }
+
+  /**
+   * Return the data to render, limited to `rowLimit` rows if set.
+   * The data is cached so that it's only sliced once per change.
+   */
+  getRenderedData(data, rowLimit) {
+    if (data !== this.renderedDataSource || rowLimit !== this.renderedDataRowLimit) {
+      this.renderedDataSource = data;
+      this.renderedDataRowLimit = rowLimit;
+      this.renderedData = (data && rowLimit !== null ? utils.toCollection(data).slice(0, rowLimit) : data);
+    }
+
+    return this.renderedData;
+  }
+
+  /**
+   * Return the index of the rendered item with the given key (see `rowKey`), or -1 if there isn't one.
+   */
+  getIndexOfKey(key) {
+    const data = this.renderedData;
+    const isRenderingRows = this.isRenderingRows();
+
+    const itemCount = isRenderingRows ? data.length : this.getItemCount(data);
+    for (let index = 0; index < itemCount; index += 1) {
+      const itemKey = isRenderingRows ? data[index].key : this.getRowKey(data, index);
+      if (Immutable.is(itemKey, key)) return index;
+    }
+
+    return -1;
+  }
+
+  getItemKey(items, index) {
+    const itemKeys = this.getItemKeys(items);
+    return itemKeys ? itemKeys[index] : index;
+  }
+
+  /**
+   * The default `keyExtractor`: the item's key as given by `rowKey`, or else its key within `items`.
+   */
+  getDefaultItemKey(items, index) {
+    const { rowKey } = this.props;
+
+    return (utils.hasMeaningfulKeys(items, rowKey)
+      ? String(this.getRowKey(items, index))
+      : String(index));
+  }
+
+  /**
+   * Return the keys of the items in `immutableData` as given by the `rowKey` prop, or null if there's no `rowKey`.
+   * The keys are cached so they're only computed once per data change.
+   */
+  getRowKeys(immutableData, rowKey) {
+    if (immutableData !== this.rowKeysData || !utils.isSameRowKey(rowKey, this.rowKeysRowKey)) {
+      this.rowKeysData = immutableData;
+      this.rowKeysRowKey = rowKey;
+      this.rowKeys = (rowKey && immutableData
+        ? utils.getRowKeys(immutableData, rowKey, __DEV__)
+        : null);
+    }
+
+    return this.rowKeys;
+  }
+
+  /**
+   * Return the context of each row of the data (before `rowLimit`), as passed to `renderItem` as its `rowContext`;
+   * see `utils.getRowContexts`. The contexts are cached so they're only computed once per data change.
+   */
+  getRowContexts(data) {
+    if (data !== this.rowContextsData) {
+      this.rowContextsData = data;
+      this.rowContexts = (Array.isArray(data)
+        ? utils.getRowContextsFromKeys([null], [data.map((row) => row.key)])
+        : utils.getRowContexts(data));
+    }
+
+    return this.rowContexts;
+  }
+
+  getRowKey(items, index) {
+    const { rowKey } = this.props;
+
+    const rowKeys = this.getRowKeys(items, rowKey);
+    return rowKeys ? rowKeys[index] : this.getItemKey(items, index);
+  }
+
+  /**
+   * Return the layout of each of the rendered items from `itemHeight`, `separatorHeight`, and `headerHeight`,
+   * or the measured heights of the items that have been measured.
+   * The layouts are cached so they're only computed once per change.
+   */
+  getItemLayouts(data) {
+    const { itemHeight, separatorHeight, headerHeight } = this.props;
+
+    const heightProps = [itemHeight, separatorHeight, headerHeight];
+    if (data !== this.itemLayoutsData
+      || heightProps.some((height, index) => height !== this.itemLayoutsHeightProps[index])) {
+      this.itemLayoutsData = data;
+      this.itemLayoutsHeightProps = heightProps;
+
+      const isRenderingRows = this.isRenderingRows();
+      const itemCount = isRenderingRows ? data.length : this.getItemCount(data);
+      const itemLengths = [];
+      for (let index = 0; index < itemCount; index += 1) {
+        const key = isRenderingRows ? data[index].key : this.getRowKey(data, index);
+        const item = isRenderingRows ? data[index].item : this.getItem(data, index);
+        const height = (this.measuredHeights.has(key)
+          ? this.measuredHeights.get(key)
+          : utils.getItemHeight(itemHeight, item, key));
+
+        itemLengths.push(index < itemCount - 1 ? height + separatorHeight : height);
+      }
+      this.itemLayouts = utils.getItemLayouts(itemLengths, headerHeight);
+    }
+
+    return this.itemLayouts;
+  }
+
+  /**
+   * Cache the height of a measured item, so the layouts are computed again with it.
+   */
+  setMeasuredHeight(key, { nativeEvent: { layout } }) {
+    const { horizontal } = this.props;
+
+    const height = horizontal ? layout.width : layout.height;
+    if (this.measuredHeights.get(key) !== height) {
+      this.measuredHeights.set(key, height);
+      this.itemLayoutsData = null;
+    }
+  }
+
   scrollToEnd = (...args) =>
     this.virtualizedListRef && this.virtualizedListRef.scrollToEnd(...args);
 
@@ -82,42 +815,440 @@ class ImmutableVirtualizedList extends PureComponent {
   recordInteraction = (...args) =>
     this.virtualizedListRef && this.virtualizedListRef.recordInteraction(...args);
 
-  renderEmpty() {
+  /**
+   * Scroll to the item with the given key (see `rowKey`), even if it hasn't been measured yet:
+   * the list scrolls to its estimated position first, then to the item itself once it's been rendered there.
+   * Takes the same options as `scrollToIndex` (`animated`, `viewOffset`, and `viewPosition`).
+   *
+   * @returns {Promise} Resolves once the list has scrolled to the item.
+   */
+  scrollToKey = (key, options) => scrollToRow(
+    () => {
+      const index = this.getIndexOfKey(key);
+      if (index < 0) throw new Error(`Can't scroll to key ${key}: No item with that key is rendered.`);
+
+      return this.tryToScrollToIndex({ ...options, index });
+    },
+    ({ index, averageItemLength }) => this.scrollToOffset({ offset: index * averageItemLength, animated: false }),
+  );
+
+  onScrollToIndexFailed = (info) => {
+    const { onScrollToIndexFailed } = this.props;
+
+    if (this.isTryingToScroll) {
+      this.scrollToIndexFailure = info;
+    } else if (onScrollToIndexFailed) {
+      onScrollToIndexFailed(info);
+    } else {
+      throwScrollToIndexError();
+    }
+  };
+
+  /**
+   * Call the `loadMore` prop, unless there's nothing more to load or a request is already in progress,
+   * and keep track of the request's state to render the right footer.
+   */
+  loadMore = () => {
+    const { loadMore, hasMore } = this.props;
+
+    if (!loadMore || !hasMore || this.loadMoreRequest) return;
+
+    let request;
+    try {
+      request = Promise.resolve(loadMore());
+    } catch (error) {
+      request = Promise.reject(error);
+    }
+
+    this.loadMoreRequest = request;
+    this.setState({ loadMoreStatus: 'loading', loadMoreError: null });
+
+    const onSettled = (loadMoreStatus, loadMoreError) => {
+      // Ignore requests that have been superseded, e.g. by unmounting.
+      if (request !== this.loadMoreRequest) return;
+
+      this.loadMoreRequest = null;
+      this.setState({ loadMoreStatus, loadMoreError });
+    };
+    request.then(() => onSettled('idle', null), (error) => onSettled('error', error));
+  };
+
+  toggleSelection = (key) => {
+    const { selectionMode } = this.props;
+    this.setSelectedKeys(utils.toggleSelection(this.getSelectedKeys(), key, selectionMode));
+  };
+
+  toggleExpanded = (keyPath) => {
+    const { expandedKeyPaths: controlledKeyPaths, onToggleExpanded } = this.props;
+    const expandedKeyPaths = this.getExpandedKeyPaths();
+
+    const nextExpandedKeyPaths = (expandedKeyPaths.has(keyPath)
+      ? expandedKeyPaths.remove(keyPath)
+      : expandedKeyPaths.add(keyPath));
+
+    if (controlledKeyPaths === undefined) this.setState({ expandedKeyPaths: nextExpandedKeyPaths });
+    if (onToggleExpanded) onToggleExpanded(keyPath, nextExpandedKeyPaths);
+  };
+
+  getItem = (items, index) => utils.getValueFromKey(this.getItemKey(items, index), items);
+
+  getItemCount = (items) => {
+    const itemKeys = this.getItemKeys(items);
+    return itemKeys ? itemKeys.length : ((items && items.size) || 0);
+  };
+
+  getItemLayout = (data, index) => this.getItemLayouts(data)[index];
+
+  onEndReached = (info) => {
+    const { onEndReached, lazyBatchSize } = this.props;
+    const { loadMoreStatus } = this.state;
+
+    if (this.hasUnrealizedItems) {
+      this.setState(({ realizedCount }) => ({ realizedCount: realizedCount + lazyBatchSize }));
+      return;
+    }
+
+    // After a failed request, only load more when asked to retry, so the request isn't repeated on every scroll.
+    if (loadMoreStatus !== 'error') this.loadMore();
+    if (onEndReached) onEndReached(info);
+  };
+
+  onRowMount = (key) => {
+    this.mountedRowKeys.add(key);
+  };
+
+  onRowUnmount = (key) => {
+    this.mountedRowKeys.delete(key);
+  };
+
+  onRowAnimationEnd = (status, key) => {
+    const { layoutAnimation } = this.props;
+
+    if (status === 'exiting' && layoutAnimation) {
+      LayoutAnimation.configureNext(layoutAnimation);
+    }
+
+    this.setState(({ animatedRows }) => ({
+      animatedRows: animatedRows && utils.finishRowAnimation(animatedRows, key, status),
+    }));
+  };
+
+  /**
+   * Render the next `rowsPerBatch` rows, scheduling another batch for the next frame if there are still more,
+   * or render all of them if there's no `rowsPerBatch`.
+   */
+  renderNextBatch = () => {
+    const { rowsPerBatch } = this.props;
+    const { immutableData, rowLimit, realizedCount, animatedRows } = this.state;
+
+    if (rowLimit === null) return;
+
+    if (this.interactionTime === null) this.interactionTime = utils.now() - this.interactionStartTime;
+
+    const items = this.getRealizedData(immutableData, realizedCount);
+    const rowCount = (animatedRows
+      ? animatedRows.length
+      : ((items && utils.toCollection(items).count()) || 0));
+    const nextRowLimit = rowsPerBatch > 0 ? rowLimit + rowsPerBatch : rowCount;
+    const isDone = nextRowLimit >= rowCount;
+
+    this.setState({ rowLimit: isDone ? null : nextRowLimit });
+    if (!isDone) {
+      this.batchFrame = requestAnimationFrame(this.renderNextBatch);
+    }
+  };
+
+  /**
+   * Compare the props of two `StaticRenderer`s rendered by `renderMemoizedItem`.
+   */
+  itemShouldUpdate = (prevProps, nextProps) => {
+    const { itemHasChanged: hasChanged } = this.props;
+
+    // The item itself may be compared deeply, so only compare it if nothing else has changed.
+    return ['index', 'rowKey', 'isSelected', 'depth', 'hasChildren', 'isExpanded', 'renderItem', 'extraData']
+      .some((propName) => prevProps[propName] !== nextProps[propName])
+      || !utils.isSameItemProps(prevProps.itemProps, nextProps.itemProps)
+      || !utils.isSameItemProps(prevProps.rowContext, nextProps.rowContext)
+      || hasChanged(prevProps.rowData, nextProps.rowData);
+  };
+
+  onItemMount = () => {
+    this.renderCounts.mountedRows += 1;
+  };
+
+  onItemUpdate = (isRendered) => {
+    this.renderCounts[isRendered ? 'renderedRows' : 'skippedRows'] += 1;
+  };
+
+  /**
+   * In dev mode, warn that `onDataChange` and `animateChanges` are skipped when the data is a lazy Seq,
+   * since comparing its items would realize all of them, which never finishes for an unbounded Seq.
+   */
+  warnAboutLazyData() {
+    const { onDataChange, animateChanges } = this.props;
+    const { immutableData } = this.state;
+
+    if (!__DEV__ || !utils.isImmutableSeq(immutableData)) return;
+
+    const propNames = [onDataChange && 'onDataChange', animateChanges && 'animateChanges'].filter(Boolean);
+    if (propNames.length) {
+      console.warn(`${propNames.join(' and ')} can't be used with a lazy Seq, since it would have to be realized `
+        + 'in full. Convert the data to a List first (e.g. with `toList()`) if it\'s bounded.');
+    }
+  }
+
+  /**
+   * Return true if the rendered data is an array of rows, each with its `item` and `key`
+   * (when animating changes or rendering a tree), rather than the Immutable data itself.
+   */
+  isRenderingRows() {
+    const { childrenKeyPath } = this.props;
+    const { animatedRows } = this.state;
+
+    return !!(animatedRows || childrenKeyPath);
+  }
+
+  /**
+   * Call `onRenderStats` with how the items have been rendered since it was last called, then start counting again.
+   * The time spent deriving the data is only reported along with the data that was derived.
+   */
+  reportRenderStats(isNewData) {
+    const { childrenKeyPath, onRenderStats } = this.props;
     const {
-      immutableData, renderEmpty, renderEmptyInList, contentContainerStyle,
+      immutableData, animatedRows, realizedCount, rowLimit, deriveTime,
+    } = this.state;
+
+    if (!onRenderStats) return;
+
+    const realizedData = this.getRealizedData(immutableData, realizedCount);
+    const rowCount = (animatedRows || childrenKeyPath
+      ? (animatedRows || this.getTreeRows(realizedData)).length
+      : utils.getRowCount(realizedData));
+
+    onRenderStats({
+      ...this.renderCounts,
+      deriveTime: isNewData ? deriveTime : 0,
+      rowCount,
+      deferredRows: rowLimit === null ? 0 : Math.max(rowCount - rowLimit, 0),
+      interactionTime: this.interactionTime,
+    });
+    this.renderCounts = { mountedRows: 0, renderedRows: 0, skippedRows: 0 };
+  }
+
+  /**
+   * Call `scrollToIndex`, returning the info passed to `onScrollToIndexFailed` if the item hasn't been measured.
+   */
+  tryToScrollToIndex(params) {
+    if (!this.virtualizedListRef) throw new Error('Can\'t scroll: The list isn\'t rendered.');
+
+    this.scrollToIndexFailure = null;
+    this.isTryingToScroll = true;
+    try {
+      this.virtualizedListRef.scrollToIndex(params);
+    } finally {
+      this.isTryingToScroll = false;
+    }
+
+    return this.scrollToIndexFailure;
+  }
+
+  renderAnimatedItem = ({ item: row, index, separators }) => {
+    const { rowAnimation } = this.props;
+
+    return (
+      <AnimatedRow
+        status={row.status}
+        item={row.item}
+        itemKey={row.key}
+        rowAnimation={rowAnimation}
+        onAnimationEnd={this.onRowAnimationEnd}
+        onMount={this.onRowMount}
+        onUnmount={this.onRowUnmount}
+      >
+        {this.renderMemoizedItem({ item: row.item, index, separators }, row.key)}
+      </AnimatedRow>
+    );
+  };
+
+  renderTreeItem = ({ item: row, index, separators }) => (
+    this.renderMemoizedItem({ item: row.item, index, separators }, row.key, {
+      depth: row.depth,
+      keyPath: row.keyPath,
+      hasChildren: row.hasChildren,
+      isExpanded: row.isExpanded,
+      toggleExpanded: () => this.toggleExpanded(row.keyPath),
+    })
+  );
+
+  /**
+   * Render an item along with its selection, its `getItemProps`, and any `treeInfo` for its row of a tree,
+   * only re-rendering it when one of them has changed (see `itemShouldUpdate`),
+   * so that e.g. selecting an item or re-rendering the list doesn't re-render every other item.
+   */
+  renderMemoizedItem({ item, index, separators }, key, treeInfo) {
+    const {
+      renderItem, extraData, selectable, getItemProps, withRowContext,
+    } = this.props;
+    const selectionInfo = selectable ? this.getSelectionInfo(key) : null;
+    const itemProps = getItemProps ? getItemProps(item, key, index) : null;
+    // The contexts of the rows being rendered are computed by `render`.
+    const rowContext = withRowContext ? this.rowContexts[0][index] : null;
+
+    return (
+      <StaticRenderer
+        rowData={item}
+        index={index}
+        rowKey={key}
+        isSelected={selectionInfo && selectionInfo.isSelected}
+        depth={treeInfo && treeInfo.depth}
+        hasChildren={treeInfo && treeInfo.hasChildren}
+        isExpanded={treeInfo && treeInfo.isExpanded}
+        itemProps={itemProps}
+        rowContext={rowContext}
+        renderItem={renderItem}
+        extraData={extraData}
+        shouldUpdate={this.itemShouldUpdate}
+        onMount={this.onItemMount}
+        onUpdate={this.onItemUpdate}
+        render={() => renderItem({
+          item, index, separators, key, ...(rowContext && { rowContext }), ...selectionInfo, ...treeInfo, ...itemProps,
+        })}
+      />
+    );
+  }
+
+  /**
+   * Render the footer for the state of `loadMore`, after any `ListFooterComponent`.
+   */
+  renderFooter() {
+    const {
+      loadMore, hasMore, renderLoadingFooter, renderErrorFooter, renderEndFooter, ListFooterComponent,
     } = this.props;
+    const { loadMoreStatus, loadMoreError } = this.state;
+
+    if (!loadMore) return ListFooterComponent;
 
-    const shouldTryToRenderEmpty = renderEmpty || renderEmptyInList;
-    if (shouldTryToRenderEmpty && utils.isEmptyListView(immutableData)) {
-      if (renderEmpty) {
-        if (typeof renderEmpty === 'string') {
-          return <Text style={[styles.emptyText, contentContainerStyle]}>{renderEmpty}</Text>;
-        }
-        return renderEmpty(this.props);
+    let footer = null;
+    if (loadMoreStatus === 'loading') {
+      footer = (renderLoadingFooter
+        ? renderLoadingFooter()
+        : <ActivityIndicator style={styles.footer} />);
+    } else if (loadMoreStatus === 'error') {
+      footer = (renderErrorFooter
+        ? renderErrorFooter({ error: loadMoreError, retry: this.loadMore })
+        : (
+          <Text style={[styles.emptyText, styles.footer]} onPress={this.loadMore}>
+            {'Couldn\'t load more. Tap to retry.'}
+          </Text>
+        ));
+    } else if (!hasMore && renderEndFooter) {
+      footer = renderEndFooter();
+    }
+
+    if (!ListFooterComponent || !footer) return footer || ListFooterComponent;
+
+    return (
+      <>
+        {React.isValidElement(ListFooterComponent) ? ListFooterComponent : <ListFooterComponent />}
+        {footer}
+      </>
+    );
+  }
+
+  /**
+   * Render one of the pairs of placeholder props, e.g. `renderEmpty` and `renderEmptyInList`:
+   * the first in place of the list, or else the second inside of an `EmptyVirtualizedList`.
+   * Each may be a string, or a function taking the props and `args`.
+   */
+  renderPlaceholder(renderInPlace, renderInList, ...args) {
+    const { contentContainerStyle } = this.props;
+
+    if (renderInPlace) {
+      if (typeof renderInPlace === 'string') {
+        return <Text style={[styles.emptyText, contentContainerStyle]}>{renderInPlace}</Text>;
       }
-      if (renderEmptyInList) {
-        if (typeof renderEmptyInList === 'string') {
-          const { renderItem, ...passThroughProps } = this.props;
-          return <EmptyVirtualizedList {...passThroughProps} emptyText={renderEmptyInList} />;
-        }
-        return <EmptyVirtualizedList {...this.props} renderItem={() => renderEmptyInList(this.props)} />;
+      return renderInPlace(this.props, ...args);
+    }
+    if (renderInList) {
+      const passThroughProps = this.getPassThroughProps();
+      if (typeof renderInList === 'string') {
+        return <EmptyVirtualizedList {...passThroughProps} emptyText={renderInList} />;
       }
+      return <EmptyVirtualizedList {...passThroughProps} renderItem={() => renderInList(this.props, ...args)} />;
     }
 
     return null;
   }
 
+  renderEmpty() {
+    const {
+      immutableData: sourceData, renderEmpty, renderEmptyInList,
+      error, renderLoading, renderLoadingInList, renderError, renderErrorInList,
+    } = this.props;
+    const { immutableData } = this.state;
+    const placeholderType = utils.getPlaceholderType(this.props);
+
+    // Map values are items here rather than sections, so empty values don't make the list empty.
+    if (!placeholderType || !utils.isEmptyListView(immutableData, true)) return null;
+
+    if (placeholderType === 'loading') return this.renderPlaceholder(renderLoading, renderLoadingInList);
+    if (placeholderType === 'error') return this.renderPlaceholder(renderError, renderErrorInList, error);
+
+    // Tell the renderers whether there would be items to show if it weren't for `filter` or `searchQuery`.
+    const emptyInfo = { isFiltered: !utils.isEmptyListView(sourceData, true) };
+    return this.renderPlaceholder(renderEmpty, renderEmptyInList, emptyInfo);
+  }
+
   render() {
-    const { immutableData, renderEmpty, renderEmptyInList, ...passThroughProps } = this.props;
+    const {
+      immutableData, animatedRows, rowLimit, realizedCount,
+    } = this.state;
+    const {
+      keyExtractor, withRowContext, childrenKeyPath, itemHeight, measureItems, getItemLayout, onEndReached, loadMore,
+    } = this.props;
+
+    const realizedData = this.getRealizedData(immutableData, realizedCount);
+    const listRows = animatedRows || (childrenKeyPath ? this.getTreeRows(realizedData) : realizedData);
+    if (withRowContext) this.getRowContexts(listRows);
+    const data = this.getRenderedData(listRows, rowLimit);
+
+    const listProps = (this.isRenderingRows()
+      ? {
+        data,
+        getItem: (rows, index) => rows[index],
+        getItemCount: (rows) => rows.length,
+        keyExtractor: (row, index) => {
+          if (keyExtractor) return keyExtractor(row.item, index);
+          // Keys only need to be unique among their siblings in a tree.
+          return childrenKeyPath ? JSON.stringify(row.keyPath) : String(row.key);
+        },
+        renderItem: animatedRows ? this.renderAnimatedItem : this.renderTreeItem,
+      }
+      : {
+        data,
+        getItem: this.getItem,
+        getItemCount: this.getItemCount,
+        keyExtractor: keyExtractor || ((item, index) => this.getDefaultItemKey(data, index)),
+        renderItem: (info) => this.renderMemoizedItem(info, this.getRowKey(data, info.index)),
+      });
+
+    const renderListItem = (measureItems
+      ? (info) => {
+        const key = this.isRenderingRows() ? info.item.key : this.getRowKey(data, info.index);
+        return <View onLayout={(event) => this.setMeasuredHeight(key, event)}>{listProps.renderItem(info)}</View>;
+      }
+      : listProps.renderItem);
 
     return this.renderEmpty() || (
       <VirtualizedList
         ref={(component) => { this.virtualizedListRef = component; }}
-        data={immutableData}
-        getItem={(items, index) => utils.getValueFromKey(index, items)}
-        getItemCount={(items) => ((items && items.size) || 0)}
-        keyExtractor={(item, index) => String(index)}
-        {...passThroughProps}
+        {...listProps}
+        {...this.getPassThroughProps()}
+        renderItem={renderListItem}
+        getItemLayout={getItemLayout || (itemHeight !== undefined ? this.getItemLayout : undefined)}
+        ListFooterComponent={this.renderFooter()}
+        onScrollToIndexFailed={this.onScrollToIndexFailed}
+        onEndReached={this.hasUnrealizedItems || loadMore ? this.onEndReached : onEndReached}
       />
     );
   }
@@ -1,7 +1,8 @@
 import React from 'react';
+import { Text } from 'react-native';
 import renderer from 'react-test-renderer';
 
-import { renderers } from '../../test-utils';
+import { renderers, expectors } from '../../test-utils';
 
 import { EmptyVirtualizedList } from '../EmptyVirtualizedList';
 
@@ -31,4 +32,15 @@ describe('EmptyVirtualizedList', () => {
     );
     expect(tree.toJSON()).toMatchSnapshot();
   });
+
+  it('renders and updates its text under StrictMode', () => {
+    const tree = expectors.expectToRenderInStrictMode(<EmptyVirtualizedList emptyText="Nothing yet." />);
+    const getTexts = () => tree.root.findAllByType(Text).map((text) => text.props.children);
+    expect(getTexts()).toEqual(['Nothing yet.']);
+
+    tree.update(<EmptyVirtualizedList emptyText="Still nothing." />);
+    expect(getTexts()).toEqual(['Still nothing.']);
+
+    tree.unmount();
+  });
 });
@@ -1,9 +1,26 @@
+import Immutable from 'immutable';
 import React from 'react';
+import {
+  View, Text, ActivityIndicator, VirtualizedList, LayoutAnimation, InteractionManager,
+} from 'react-native';
 import renderer from 'react-test-renderer';
 
-import { data, renderers, expectors } from '../../test-utils';
+import {
+  data, renderers, mocks, expectors,
+} from '../../test-utils';
 
 import ImmutableVirtualizedList from '../ImmutableVirtualizedList';
+import { EmptyVirtualizedList } from '../EmptyVirtualizedList';
+import { AnimatedRow } from '../../AnimatedRow';
+import utils from '../../utils';
+
+jest.mock('NativeAnimatedHelper');
+
+const ORDERED_MAP_DATA = Immutable.OrderedMap([
+  ['b', 'bee'],
+  ['a', 'ay'],
+  ['c', 'sea'],
+]);
 
 describe('ImmutableVirtualizedList', () => {
   it('renders with empty data', () => {
@@ -18,9 +35,1257 @@ describe('ImmutableVirtualizedList', () => {
     expectors.expectVirtualizedToMatchSnapshotWithData(data.LIST_DATA_NESTED);
   });
 
+  it('renders basic Set', () => {
+    expectors.expectVirtualizedToMatchSnapshotWithData(data.SET_DATA);
+  });
+
   it('renders basic Range', () => {
     expectors.expectVirtualizedToMatchSnapshotWithData(data.RANGE_DATA);
   });
+
+  it('renders Map: Map rows', () => {
+    expectors.expectVirtualizedToMatchSnapshotWithData(data.MAP_DATA_MAP_ROWS);
+  });
+
+  it('renders OrderedMap in order', () => {
+    expectors.expectVirtualizedToMatchSnapshotWithData(ORDERED_MAP_DATA);
+  });
+});
+
+describe('ImmutableVirtualizedList with keyed data', () => {
+  it('passes the key of each item to renderItem', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={ORDERED_MAP_DATA}
+        renderItem={({ item, key }) => renderers.renderRow(`${key}: ${item}`)}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('uses the Map key as the default React key', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={ORDERED_MAP_DATA}
+        renderItem={renderers.renderItem}
+      />,
+    );
+    const { keyExtractor } = tree.root.findByType(VirtualizedList).props;
+    expect(ORDERED_MAP_DATA.valueSeq().map(keyExtractor).toArray()).toEqual(['b', 'a', 'c']);
+  });
+
+  it('uses the index as the default React key for a List', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        renderItem={renderers.renderItem}
+      />,
+    );
+    const { keyExtractor } = tree.root.findByType(VirtualizedList).props;
+    expect(data.LIST_DATA.map(keyExtractor).toArray()).toEqual(['0', '1', '2']);
+  });
+});
+
+describe('ImmutableVirtualizedList with rowKey', () => {
+  const ROWS = Immutable.fromJS([
+    { id: 'a', text: 'first' },
+    { id: 'b', text: 'second' },
+  ]);
+
+  it('uses a key path as the React key', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList immutableData={ROWS} renderItem={renderers.renderItem} rowKey={['id']} />,
+    );
+    const { keyExtractor } = tree.root.findByType(VirtualizedList).props;
+    expect(ROWS.map(keyExtractor).toArray()).toEqual(['a', 'b']);
+  });
+
+  it('passes the row key to renderItem', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={ROWS}
+        renderItem={({ item, key }) => renderers.renderRow(`${key}: ${item.get('text')}`)}
+        rowKey={(item) => item.get('id').toUpperCase()}
+      />,
+    );
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('keeps rows mounted when a row is inserted before them', () => {
+    const onUnmount = jest.fn();
+    class Row extends React.Component {
+      componentWillUnmount() {
+        const { id } = this.props; // eslint-disable-line react/prop-types
+        onUnmount(id);
+      }
+
+      render() {
+        return renderers.renderItem(this.props);
+      }
+    }
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList immutableData={ROWS} renderItem={(info) => <Row {...info} id={info.item.get('id')} />} rowKey={['id']} />,
+    );
+    tree.update(
+      <ImmutableVirtualizedList
+        immutableData={ROWS.unshift(Immutable.Map({ id: 'z', text: 'zeroth' }))}
+        renderItem={(info) => <Row {...info} id={info.item.get('id')} />}
+        rowKey={['id']}
+      />,
+    );
+    expect(onUnmount).not.toHaveBeenCalled();
+
+    // Stop the list from rendering any more batches after the test.
+    tree.unmount();
+  });
+
+  it('warns about duplicate keys', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    renderer.create(
+      <ImmutableVirtualizedList immutableData={ROWS.push(ROWS.first())} renderItem={renderers.renderItem} rowKey={['id']} />,
+    );
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('duplicate key "a"'));
+
+    console.warn.mockRestore();
+  });
+});
+
+describe('ImmutableVirtualizedList with onDataChange', () => {
+  it('reports the changes when the data changes', () => {
+    const onDataChange = jest.fn();
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        renderItem={renderers.renderItem}
+        onDataChange={onDataChange}
+      />,
+    );
+    expect(onDataChange).not.toHaveBeenCalled();
+
+    tree.update(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA.set(1, 'really are').push('!')}
+        renderItem={renderers.renderItem}
+        onDataChange={onDataChange}
+      />,
+    );
+    expect(onDataChange).toHaveBeenCalledWith({
+      inserted: [3], removed: [], moved: [], updated: [1],
+    });
+
+    tree.unmount();
+  });
+
+  it('doesn\'t report anything when the data is equal', () => {
+    const onDataChange = jest.fn();
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        renderItem={renderers.renderItem}
+        onDataChange={onDataChange}
+      />,
+    );
+    tree.update(
+      <ImmutableVirtualizedList
+        immutableData={Immutable.List(data.LIST_DATA.toArray())}
+        renderItem={renderers.renderItem}
+        onDataChange={onDataChange}
+      />,
+    );
+    expect(onDataChange).not.toHaveBeenCalled();
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableVirtualizedList with animateChanges', () => {
+  const ROWS = Immutable.fromJS([
+    { id: 'a', text: 'first' },
+    { id: 'b', text: 'second' },
+  ]);
+
+  const renderItem = ({ item }) => <Text>{item.get('text')}</Text>; // eslint-disable-line react/prop-types
+
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  const getStatuses = (tree) => tree.root.findAllByType(AnimatedRow).map((row) => row.props.status);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mocks.mockLayoutAnimation();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    LayoutAnimation.configureNext.mockRestore();
+  });
+
+  it('doesn\'t animate the initial items in', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList immutableData={ROWS} renderItem={renderItem} rowKey={['id']} animateChanges />,
+    );
+    expect(getStatuses(tree)).toEqual(['present', 'present']);
+  });
+
+  it('animates inserted items in', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList immutableData={ROWS} renderItem={renderItem} rowKey={['id']} animateChanges />,
+    );
+    tree.update(
+      <ImmutableVirtualizedList
+        immutableData={ROWS.unshift(Immutable.Map({ id: 'z', text: 'zeroth' }))}
+        renderItem={renderItem}
+        rowKey={['id']}
+        animateChanges
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['zeroth', 'first', 'second']);
+    expect(getStatuses(tree)).toEqual(['entering', 'present', 'present']);
+
+    renderer.act(() => jest.runAllTimers());
+    expect(getStatuses(tree)).toEqual(['present', 'present', 'present']);
+
+    tree.unmount();
+  });
+
+  it('keeps removed items until they\'ve been animated out', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList immutableData={ROWS} renderItem={renderItem} rowKey={['id']} animateChanges />,
+    );
+    tree.update(
+      <ImmutableVirtualizedList immutableData={ROWS.delete(0)} renderItem={renderItem} rowKey={['id']} animateChanges />,
+    );
+    expect(getTexts(tree)).toEqual(['first', 'second']);
+    expect(getStatuses(tree)).toEqual(['exiting', 'present']);
+
+    renderer.act(() => jest.runAllTimers());
+    expect(getTexts(tree)).toEqual(['second']);
+
+    tree.unmount();
+  });
+
+  it('can be unmounted while items are animating out', () => {
+    jest.spyOn(console, 'error');
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList immutableData={ROWS} renderItem={renderItem} rowKey={['id']} animateChanges />,
+    );
+    tree.update(
+      <ImmutableVirtualizedList immutableData={ROWS.delete(0)} renderItem={renderItem} rowKey={['id']} animateChanges />,
+    );
+    tree.unmount();
+    jest.runAllTimers();
+    expect(console.error).not.toHaveBeenCalled();
+
+    console.error.mockRestore();
+  });
+
+  it('animates items with per-item overrides', () => {
+    const rowAnimation = jest.fn(({ key }) => (key === 'z' ? null : { duration: 100 }));
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={ROWS}
+        renderItem={renderItem}
+        rowKey={['id']}
+        animateChanges
+        rowAnimation={rowAnimation}
+      />,
+    );
+    tree.update(
+      <ImmutableVirtualizedList
+        immutableData={ROWS.push(Immutable.Map({ id: 'z', text: 'last' }))}
+        renderItem={renderItem}
+        rowKey={['id']}
+        animateChanges
+        rowAnimation={rowAnimation}
+      />,
+    );
+
+    // Items that aren't animated are shown right away.
+    expect(getStatuses(tree)).toEqual(['present', 'present', 'present']);
+    expect(rowAnimation).toHaveBeenCalledWith({ item: ROWS.first(), key: 'a', status: 'present' });
+
+    tree.unmount();
+  });
+
+  it('animates the other items when items move', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList immutableData={ROWS} renderItem={renderItem} rowKey={['id']} animateChanges />,
+    );
+    tree.update(
+      <ImmutableVirtualizedList immutableData={ROWS.reverse()} renderItem={renderItem} rowKey={['id']} animateChanges />,
+    );
+    expect(getTexts(tree)).toEqual(['second', 'first']);
+    expect(LayoutAnimation.configureNext).toHaveBeenCalledTimes(1);
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableVirtualizedList with delayed rendering', () => {
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('renders basic List during interactions', () => {
+    // Mock this method to make sure it's not run.
+    jest.spyOn(InteractionManager, 'runAfterInteractions').mockImplementation(() => {});
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        rowsDuringInteraction={1}
+        renderItem={renderers.renderItem}
+      />,
+    ).toJSON();
+    expect(tree).toMatchSnapshot();
+
+    InteractionManager.runAfterInteractions.mockRestore();
+  });
+
+  it('renders basic List after interactions', () => {
+    // Mock this method to make sure it runs immediately.
+    jest.spyOn(InteractionManager, 'runAfterInteractions').mockImplementation((callback) => callback());
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        rowsDuringInteraction={1}
+        renderItem={renderers.renderItem}
+      />,
+    ).toJSON();
+    expect(tree).toMatchSnapshot();
+
+    InteractionManager.runAfterInteractions.mockRestore();
+  });
+
+  it('renders the rest of the rows in batches after interactions', () => {
+    jest.spyOn(InteractionManager, 'runAfterInteractions').mockImplementation((callback) => callback());
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={Immutable.Range(0, 6)}
+        rowsDuringInteraction={1}
+        rowsPerBatch={2}
+        renderItem={renderers.renderItem}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['0', '1', '2']);
+
+    renderer.act(() => jest.runOnlyPendingTimers());
+    expect(getTexts(tree)).toEqual(['0', '1', '2', '3', '4']);
+
+    renderer.act(() => jest.runOnlyPendingTimers());
+    expect(getTexts(tree)).toEqual(['0', '1', '2', '3', '4', '5']);
+
+    InteractionManager.runAfterInteractions.mockRestore();
+    tree.unmount();
+  });
+
+  it('stops rendering batches once unmounted', () => {
+    const cancel = jest.fn();
+    jest.spyOn(InteractionManager, 'runAfterInteractions').mockImplementation(() => ({ cancel }));
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        rowsDuringInteraction={1}
+        rowsPerBatch={1}
+        renderItem={renderers.renderItem}
+      />,
+    );
+    tree.unmount();
+    expect(cancel).toHaveBeenCalled();
+
+    InteractionManager.runAfterInteractions.mockRestore();
+  });
+});
+
+describe('ImmutableVirtualizedList with lazy Seqs', () => {
+  const getList = (tree) => tree.root.findByType(VirtualizedList);
+  const reachEnd = (tree) => renderer.act(() => getList(tree).props.onEndReached({ distanceFromEnd: 0 }));
+
+  it('only realizes the first batch of items', () => {
+    const double = jest.fn((value) => value * 2);
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={Immutable.Range(0, 100000).map(double)}
+        lazyBatchSize={5}
+        renderItem={renderers.renderItem}
+      />,
+    );
+    expect(getList(tree).props.data).toEqual(Immutable.List([0, 2, 4, 6, 8]));
+
+    // One extra item is realized to find out whether there are any more.
+    expect(double).toHaveBeenCalledTimes(6);
+  });
+
+  it('realizes more of an unbounded Seq each time the end is reached', () => {
+    const onEndReached = jest.fn();
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={Immutable.Range(0, Infinity)}
+        lazyBatchSize={5}
+        renderItem={renderers.renderItem}
+        onEndReached={onEndReached}
+      />,
+    );
+
+    reachEnd(tree);
+    expect(getList(tree).props.data.size).toBe(10);
+
+    reachEnd(tree);
+    expect(getList(tree).props.data.size).toBe(15);
+    expect(onEndReached).not.toHaveBeenCalled();
+
+    tree.unmount();
+  });
+
+  it('calls onEndReached once the whole Seq has been realized', () => {
+    const onEndReached = jest.fn();
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={Immutable.Range(0, 20).filter((value) => value % 3 === 0)}
+        lazyBatchSize={5}
+        renderItem={renderers.renderItem}
+        onEndReached={onEndReached}
+      />,
+    );
+
+    reachEnd(tree);
+    expect(getList(tree).props.data).toEqual(Immutable.List([0, 3, 6, 9, 12, 15, 18]));
+    expect(getList(tree).props.onEndReached).toBe(onEndReached);
+
+    tree.unmount();
+  });
+
+  it('keeps the keys of a keyed Seq', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={ORDERED_MAP_DATA.toSeq().filter((value) => value !== 'ay')}
+        renderItem={renderers.renderItem}
+      />,
+    );
+
+    const list = getList(tree);
+    expect(list.props.data).toEqual(Immutable.OrderedMap([['b', 'bee'], ['c', 'sea']]));
+    expect(list.props.keyExtractor(list.props.data.get('c'), 1)).toBe('c');
+  });
+
+  it('keeps the items it has already realized', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={Immutable.Range(0, Infinity).map((id) => ({ id }))}
+        lazyBatchSize={2}
+        renderItem={renderers.renderItem}
+      />,
+    );
+    const firstItem = getList(tree).props.data.first();
+
+    reachEnd(tree);
+    expect(getList(tree).props.data.first()).toBe(firstItem);
+
+    tree.unmount();
+  });
+
+  it('skips onDataChange and animateChanges for an unbounded Seq', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const onDataChange = jest.fn();
+
+    const renderList = (immutableData) => (
+      <ImmutableVirtualizedList
+        immutableData={immutableData}
+        lazyBatchSize={5}
+        renderItem={renderers.renderItem}
+        onDataChange={onDataChange}
+        animateChanges
+      />
+    );
+
+    const tree = renderer.create(renderList(Immutable.Range(0, Infinity)));
+    renderer.act(() => tree.update(renderList(Immutable.Range(1, Infinity))));
+
+    expect(getList(tree).props.data).toEqual(Immutable.List([1, 2, 3, 4, 5]));
+    expect(onDataChange).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(warn.mock.calls[0][0]).toMatch('onDataChange and animateChanges can\'t be used with a lazy Seq');
+
+    tree.unmount();
+    warn.mockRestore();
+  });
+});
+
+describe('ImmutableVirtualizedList with filter, sort, and search', () => {
+  const PEOPLE = Immutable.fromJS([
+    { id: 1, name: 'Bo' },
+    { id: 2, name: 'Al' },
+    { id: 3, name: 'Cy' },
+  ]);
+  // eslint-disable-next-line react/prop-types
+  const renderPerson = ({ item }) => <Text>{item.get('name')}</Text>;
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  it('renders the rows that match, in order', () => {
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={PEOPLE}
+        renderItem={renderPerson}
+        filter={(person) => person.get('id') !== 3}
+        sortBy={['name']}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['Al', 'Bo']);
+
+    tree.update(
+      <ImmutableVirtualizedList
+        immutableData={PEOPLE}
+        renderItem={renderPerson}
+        searchQuery="c"
+        searchKeys={['name']}
+      />,
+    );
+    expect(getTexts(tree)).toEqual(['Cy']);
+
+    tree.unmount();
+  });
+
+  it('doesn\'t derive the data again when the props are equal', () => {
+    const filter = (person) => person.get('id') !== 3;
+    const tree = renderer.create(
+      <ImmutableVirtualizedList immutableData={PEOPLE} renderItem={renderPerson} filter={filter} sortBy={['name']} />,
+    );
+    const { data: derivedData } = tree.root.findByType(VirtualizedList).props;
+
+    tree.update(
+      <ImmutableVirtualizedList
+        immutableData={Immutable.fromJS(PEOPLE.toJS())}
+        renderItem={renderPerson}
+        filter={filter}
+        sortBy={['name']}
+      />,
+    );
+    expect(tree.root.findByType(VirtualizedList).props.data).toBe(derivedData);
+  });
+
+  it('reports the changes to the derived data', () => {
+    const onDataChange = jest.fn();
+    const tree = renderer.create(
+      <ImmutableVirtualizedList immutableData={PEOPLE} renderItem={renderPerson} rowKey={['id']} onDataChange={onDataChange} />,
+    );
+
+    tree.update(
+      <ImmutableVirtualizedList
+        immutableData={PEOPLE}
+        renderItem={renderPerson}
+        rowKey={['id']}
+        onDataChange={onDataChange}
+        searchQuery="o"
+      />,
+    );
+    expect(onDataChange).toHaveBeenCalledWith({
+      inserted: [], removed: [2, 3], moved: [], updated: [],
+    });
+
+    tree.unmount();
+  });
+
+  it('tells the empty renderers whether the rows were filtered out', () => {
+    const renderEmpty = jest.fn(() => null);
+
+    renderer.create(
+      <ImmutableVirtualizedList immutableData={PEOPLE} renderItem={renderPerson} renderEmpty={renderEmpty} searchQuery="z" />,
+    );
+    expect(renderEmpty).toHaveBeenLastCalledWith(expect.anything(), { isFiltered: true });
+
+    renderer.create(
+      <ImmutableVirtualizedList immutableData={data.EMPTY_DATA} renderItem={renderPerson} renderEmpty={renderEmpty} />,
+    );
+    expect(renderEmpty).toHaveBeenLastCalledWith(expect.anything(), { isFiltered: false });
+  });
+});
+
+describe('ImmutableVirtualizedList with loadMore', () => {
+  const getList = (tree) => tree.root.findByType(VirtualizedList);
+  const reachEnd = (tree) => getList(tree).props.onEndReached({ distanceFromEnd: 0 });
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  // A promise that can be settled from the outside.
+  const defer = () => {
+    const deferred = {};
+    deferred.promise = new Promise((resolve, reject) => Object.assign(deferred, { resolve, reject }));
+    return deferred;
+  };
+
+  // Wait until the list has handled a request settling.
+  const settle = (deferred) => deferred.promise.then(() => {}, () => {});
+
+  const renderFooters = {
+    renderLoadingFooter: () => <Text>Loading</Text>,
+    // eslint-disable-next-line react/prop-types
+    renderErrorFooter: ({ error }) => <Text>{`Error: ${error.message}`}</Text>,
+    renderEndFooter: () => <Text>The end</Text>,
+  };
+
+  it('loads more when the end is reached, one request at a time', async () => {
+    const request = defer();
+    const loadMore = jest.fn(() => request.promise);
+    const onEndReached = jest.fn();
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        renderItem={renderers.renderItem}
+        loadMore={loadMore}
+        onEndReached={onEndReached}
+        {...renderFooters}
+      />,
+    );
+    expect(getTexts(tree)).not.toContain('Loading');
+
+    reachEnd(tree);
+    reachEnd(tree);
+    expect(loadMore).toHaveBeenCalledTimes(1);
+    expect(onEndReached).toHaveBeenCalledTimes(2);
+    expect(getTexts(tree)).toContain('Loading');
+
+    request.resolve();
+    await settle(request);
+    expect(getTexts(tree)).not.toContain('Loading');
+
+    reachEnd(tree);
+    expect(loadMore).toHaveBeenCalledTimes(2);
+
+    tree.unmount();
+  });
+
+  it('doesn\'t load more once there\'s nothing more', () => {
+    const loadMore = jest.fn(() => Promise.resolve());
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        renderItem={renderers.renderItem}
+        loadMore={loadMore}
+        hasMore={false}
+        {...renderFooters}
+      />,
+    );
+    reachEnd(tree);
+    expect(loadMore).not.toHaveBeenCalled();
+    expect(getTexts(tree)).toContain('The end');
+
+    tree.unmount();
+  });
+
+  it('renders the error footer until the request is retried', async () => {
+    const request = defer();
+    const loadMore = jest.fn(() => request.promise);
+    const renderErrorFooter = jest.fn(renderFooters.renderErrorFooter);
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        renderItem={renderers.renderItem}
+        loadMore={loadMore}
+        {...renderFooters}
+        renderErrorFooter={renderErrorFooter}
+      />,
+    );
+    reachEnd(tree);
+    request.reject(new Error('Offline'));
+    await settle(request);
+    expect(getTexts(tree)).toContain('Error: Offline');
+
+    // Reaching the end again doesn't repeat a failed request.
+    reachEnd(tree);
+    expect(loadMore).toHaveBeenCalledTimes(1);
+
+    renderErrorFooter.mock.calls[0][0].retry();
+    expect(loadMore).toHaveBeenCalledTimes(2);
+    expect(getTexts(tree)).toContain('Loading');
+
+    tree.unmount();
+  });
+
+  it('renders the default footers after any ListFooterComponent', async () => {
+    const request = defer();
+
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        renderItem={renderers.renderItem}
+        loadMore={() => request.promise}
+        ListFooterComponent={() => <Text>Footer</Text>}
+      />,
+    );
+    reachEnd(tree);
+    expect(tree.root.findAllByType(ActivityIndicator)).toHaveLength(1);
+
+    request.reject(new Error('Offline'));
+    await settle(request);
+    expect(getTexts(tree).slice(-2)).toEqual(['Footer', 'Couldn\'t load more. Tap to retry.']);
+
+    tree.unmount();
+  });
+
+  it('ignores requests that settle after unmounting', async () => {
+    const request = defer();
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        renderItem={renderers.renderItem}
+        loadMore={() => request.promise}
+      />,
+    );
+    reachEnd(tree);
+    tree.unmount();
+
+    jest.spyOn(console, 'error');
+    request.resolve();
+    await settle(request);
+    expect(console.error).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
+
+describe('ImmutableVirtualizedList with selection', () => {
+  const ROWS = Immutable.fromJS([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+
+  const getRenderedItems = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  /**
+   * Render a selectable list, along with a function to toggle an item by its ID as a user would.
+   */
+  const renderSelectable = (props) => {
+    const toggles = {};
+    const renderItem = jest.fn(({ item, isSelected, toggleSelected }) => {
+      toggles[item.get('id')] = toggleSelected;
+      return <Text>{`${item.get('id')}${isSelected ? ' ✓' : ''}`}</Text>;
+    });
+    const tree = renderer.create(
+      <ImmutableVirtualizedList immutableData={ROWS} rowKey={['id']} renderItem={renderItem} selectable {...props} />,
+    );
+    const toggle = (id) => renderer.act(() => toggles[id]());
+
+    return { tree, renderItem, toggle };
+  };
+
+  it('selects and deselects items', () => {
+    const onSelectionChange = jest.fn();
+    const { tree, toggle } = renderSelectable({ onSelectionChange });
+
+    toggle('a');
+    toggle('c');
+    expect(getRenderedItems(tree)).toEqual(['a ✓', 'b', 'c ✓']);
+    expect(onSelectionChange).toHaveBeenLastCalledWith(Immutable.Set(['a', 'c']));
+
+    toggle('a');
+    expect(getRenderedItems(tree)).toEqual(['a', 'b', 'c ✓']);
+    expect(onSelectionChange).toHaveBeenLastCalledWith(Immutable.Set(['c']));
+
+    tree.unmount();
+  });
+
+  it('only selects one item in single selection mode', () => {
+    const { tree, toggle } = renderSelectable({ selectionMode: 'single' });
+
+    toggle('a');
+    toggle('b');
+    expect(getRenderedItems(tree)).toEqual(['a', 'b ✓', 'c']);
+
+    tree.unmount();
+  });
+
+  it('only re-renders the items whose selection changed', () => {
+    const { tree, renderItem, toggle } = renderSelectable({ selectionMode: 'single' });
+    toggle('a');
+
+    renderItem.mockClear();
+    toggle('b');
+    expect(renderItem.mock.calls.map(([{ item }]) => item.get('id'))).toEqual(['a', 'b']);
+
+    tree.unmount();
+  });
+
+  it('leaves controlled selectedKeys to the parent', () => {
+    const onSelectionChange = jest.fn();
+    const { tree, toggle } = renderSelectable({ selectedKeys: Immutable.Set(['b']), onSelectionChange });
+    expect(getRenderedItems(tree)).toEqual(['a', 'b ✓', 'c']);
+
+    toggle('a');
+    expect(onSelectionChange).toHaveBeenCalledWith(Immutable.Set(['b', 'a']));
+    expect(getRenderedItems(tree)).toEqual(['a', 'b ✓', 'c']);
+
+    tree.unmount();
+  });
+
+  it('prunes the keys of removed items', () => {
+    const onSelectionChange = jest.fn();
+    const { tree, renderItem } = renderSelectable({ selectedKeys: Immutable.Set(['a', 'b']), onSelectionChange });
+
+    tree.update(
+      <ImmutableVirtualizedList
+        immutableData={ROWS.shift()}
+        rowKey={['id']}
+        renderItem={renderItem}
+        selectable
+        selectedKeys={Immutable.Set(['a', 'b'])}
+        onSelectionChange={onSelectionChange}
+      />,
+    );
+    expect(onSelectionChange).toHaveBeenCalledTimes(1);
+    expect(onSelectionChange).toHaveBeenCalledWith(Immutable.Set(['b']));
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableVirtualizedList with memoized items', () => {
+  const ROWS = Immutable.fromJS([{ id: 'a', count: 1 }, { id: 'b', count: 2 }, { id: 'c', count: 3 }]);
+
+  // eslint-disable-next-line react/prop-types
+  const renderItem = jest.fn(({ item, isActive }) => <Text>{`${item.get('id')}${isActive ? ' *' : ''}`}</Text>);
+
+  const getRenderedIds = () => renderItem.mock.calls.map(([{ item }]) => item.get('id'));
+
+  const renderList = (props) => (
+    <ImmutableVirtualizedList immutableData={ROWS} rowKey={['id']} renderItem={renderItem} {...props} />
+  );
+
+  beforeEach(() => {
+    renderItem.mockClear();
+  });
+
+  it('only re-renders the items that changed', () => {
+    const tree = renderer.create(renderList());
+
+    renderItem.mockClear();
+    tree.update(renderList({ immutableData: Immutable.fromJS(ROWS.toJS()) }));
+    expect(getRenderedIds()).toEqual([]);
+
+    tree.update(renderList({ immutableData: ROWS.setIn([1, 'count'], 20) }));
+    expect(getRenderedIds()).toEqual(['b']);
+
+    tree.unmount();
+  });
+
+  it('compares the items with itemHasChanged if it is set', () => {
+    const itemHasChanged = (prevItem, nextItem) => prevItem.get('id') !== nextItem.get('id');
+    const tree = renderer.create(renderList({ itemHasChanged }));
+
+    renderItem.mockClear();
+    tree.update(renderList({ itemHasChanged, immutableData: ROWS.setIn([1, 'count'], 20) }));
+    expect(getRenderedIds()).toEqual([]);
+
+    tree.unmount();
+  });
+
+  it('only re-renders the items whose getItemProps changed', () => {
+    const getItemProps = (activeId) => (item) => ({ isActive: item.get('id') === activeId });
+    const tree = renderer.create(renderList({ getItemProps: getItemProps('a') }));
+    expect(tree.root.findAllByType(Text).map((text) => text.props.children)).toEqual(['a *', 'b', 'c']);
+
+    renderItem.mockClear();
+    tree.update(renderList({ getItemProps: getItemProps('c') }));
+    expect(getRenderedIds()).toEqual(['a', 'c']);
+    expect(tree.root.findAllByType(Text).map((text) => text.props.children)).toEqual(['a', 'b', 'c *']);
+
+    tree.unmount();
+  });
+
+  it('re-renders every item when extraData changes', () => {
+    const tree = renderer.create(renderList({ extraData: 1 }));
+
+    renderItem.mockClear();
+    tree.update(renderList({ extraData: 2 }));
+    expect(getRenderedIds()).toEqual(['a', 'b', 'c']);
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableVirtualizedList with withRowContext', () => {
+  const ROWS = Immutable.fromJS([{ id: 'a', count: 1 }, { id: 'b', count: 2 }]);
+
+  const renderItem = jest.fn(({ item }) => <Text>{item.get('id')}</Text>);
+
+  const getRowContexts = () => renderItem.mock.calls.map(([{ rowContext }]) => rowContext);
+
+  const renderList = (props) => (
+    <ImmutableVirtualizedList immutableData={ROWS} rowKey={['id']} renderItem={renderItem} withRowContext {...props} />
+  );
+
+  beforeEach(() => {
+    renderItem.mockClear();
+  });
+
+  it('passes the position of each item to renderItem', () => {
+    const tree = renderer.create(renderList());
+
+    expect(getRowContexts()).toEqual([
+      expect.objectContaining({
+        index: 0, key: 0, isFirst: true, isLast: false, rowCount: 2,
+      }),
+      expect.objectContaining({
+        index: 1, key: 1, isFirst: false, isLast: true, rowCount: 2,
+      }),
+    ]);
+
+    tree.unmount();
+  });
+
+  it('only re-renders the items whose position changed', () => {
+    const tree = renderer.create(renderList());
+
+    renderItem.mockClear();
+    tree.update(renderList({ immutableData: ROWS.setIn([1, 'count'], 20) }));
+    expect(getRowContexts().map(({ index }) => index)).toEqual([1]);
+
+    renderItem.mockClear();
+    tree.update(renderList({ immutableData: ROWS.push(Immutable.Map({ id: 'c' })) }));
+    expect(getRowContexts().map(({ index, rowCount }) => [index, rowCount])).toEqual([[0, 3], [1, 3], [2, 3]]);
+
+    tree.unmount();
+  });
+
+  it('counts the visible rows of a tree', () => {
+    const tree = renderer.create(renderList({
+      immutableData: Immutable.fromJS([{ id: 'a', children: [{ id: 'b' }] }, { id: 'c' }]),
+      childrenKeyPath: ['children'],
+      expandedKeyPaths: Immutable.Set([Immutable.List(['a'])]),
+    }));
+
+    expect(getRowContexts().map(({ index, key, isLast }) => [index, key, isLast])).toEqual([
+      [0, 'a', false],
+      [1, 'b', false],
+      [2, 'c', true],
+    ]);
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableVirtualizedList with onRenderStats', () => {
+  const ROWS = Immutable.fromJS([{ id: 'a', count: 1 }, { id: 'b', count: 2 }, { id: 'c', count: 3 }]);
+
+  const renderItem = ({ item }) => <Text>{item.get('id')}</Text>; // eslint-disable-line react/prop-types
+
+  const renderList = (props) => (
+    <ImmutableVirtualizedList immutableData={ROWS} rowKey={['id']} renderItem={renderItem} {...props} />
+  );
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports how many items were mounted, re-rendered, and skipped on each update', () => {
+    const onRenderStats = jest.fn();
+    const tree = renderer.create(renderList({ onRenderStats }));
+    expect(onRenderStats).toHaveBeenLastCalledWith({
+      mountedRows: 3,
+      renderedRows: 0,
+      skippedRows: 0,
+      deriveTime: expect.any(Number),
+      rowCount: 3,
+      deferredRows: 0,
+      interactionTime: null,
+    });
+
+    tree.update(renderList({ onRenderStats, immutableData: ROWS.setIn([1, 'count'], 20) }));
+    expect(onRenderStats).toHaveBeenCalledTimes(2);
+    expect(onRenderStats).toHaveBeenLastCalledWith(expect.objectContaining({
+      mountedRows: 0, renderedRows: 1, skippedRows: 2,
+    }));
+
+    // Equal data isn't derived again, so there's nothing to report.
+    tree.update(renderList({ onRenderStats, immutableData: ROWS.setIn([1, 'count'], 20) }));
+    expect(onRenderStats).toHaveBeenCalledTimes(2);
+
+    tree.unmount();
+  });
+
+  it('counts each item once under StrictMode', () => {
+    const onRenderStats = jest.fn();
+    const tree = renderer.create(<React.StrictMode>{renderList({ onRenderStats })}</React.StrictMode>);
+
+    tree.update(
+      <React.StrictMode>
+        {renderList({ onRenderStats, immutableData: ROWS.setIn([1, 'count'], 20) })}
+      </React.StrictMode>,
+    );
+    expect(onRenderStats).toHaveBeenLastCalledWith(expect.objectContaining({
+      mountedRows: 0, renderedRows: 1, skippedRows: 2,
+    }));
+
+    tree.unmount();
+  });
+
+  it('reports the time spent deriving the data and waiting for interactions', () => {
+    let finishInteractions;
+    jest.spyOn(InteractionManager, 'runAfterInteractions').mockImplementation((callback) => {
+      finishInteractions = callback;
+    });
+    const now = jest.spyOn(utils, 'now').mockReturnValue(100);
+    const filter = () => {
+      now.mockReturnValue(112);
+      return true;
+    };
+
+    const onRenderStats = jest.fn();
+    const tree = renderer.create(renderList({ onRenderStats, filter, rowsDuringInteraction: 1 }));
+    expect(onRenderStats).toHaveBeenLastCalledWith(expect.objectContaining({
+      deriveTime: 12, rowCount: 3, deferredRows: 2, interactionTime: null,
+    }));
+
+    now.mockReturnValue(500);
+    renderer.act(() => finishInteractions());
+    expect(onRenderStats).toHaveBeenLastCalledWith(expect.objectContaining({
+      mountedRows: 2, deriveTime: 0, deferredRows: 0, interactionTime: 388,
+    }));
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableVirtualizedList with scrollToKey', () => {
+  const ROWS = Immutable.Range(0, 100).map((id) => Immutable.Map({ id: `row${id}` })).toList();
+
+  const renderScrollable = (props) => {
+    const listRef = React.createRef();
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        ref={listRef}
+        immutableData={ROWS}
+        rowKey={['id']}
+        renderItem={({ item }) => <Text>{item.get('id')}</Text>}
+        {...props}
+      />,
+    );
+
+    return { tree, list: listRef.current };
+  };
+
+  let scrollToIndex;
+  let scrollToOffset;
+
+  beforeEach(() => {
+    scrollToIndex = jest.spyOn(VirtualizedList.prototype, 'scrollToIndex');
+    scrollToOffset = jest.spyOn(VirtualizedList.prototype, 'scrollToOffset').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    scrollToIndex.mockRestore();
+    scrollToOffset.mockRestore();
+  });
+
+  it('scrolls to the item with the given key', async () => {
+    scrollToIndex.mockImplementation(() => {});
+    const { tree, list } = renderScrollable();
+
+    await list.scrollToKey('row42', { animated: false, viewPosition: 0.5 });
+    expect(scrollToIndex).toHaveBeenCalledWith({ animated: false, viewPosition: 0.5, index: 42 });
+    expect(scrollToOffset).not.toHaveBeenCalled();
+
+    tree.unmount();
+  });
+
+  it('scrolls near an unmeasured item before scrolling to it', async () => {
+    scrollToIndex
+      .mockImplementationOnce(function failToScroll({ index }) {
+        this.props.onScrollToIndexFailed({ index, highestMeasuredFrameIndex: 9, averageItemLength: 20 });
+      })
+      .mockImplementation(() => {});
+    const onScrollToIndexFailed = jest.fn();
+    const { tree, list } = renderScrollable({ onScrollToIndexFailed });
+
+    await list.scrollToKey('row42');
+    expect(scrollToOffset).toHaveBeenCalledWith({ offset: 840, animated: false });
+    expect(scrollToIndex).toHaveBeenCalledTimes(2);
+    expect(onScrollToIndexFailed).not.toHaveBeenCalled();
+
+    tree.unmount();
+  });
+
+  it('rejects when there is no item with the given key', async () => {
+    const { tree, list } = renderScrollable();
+
+    await expect(list.scrollToKey('row100')).rejects.toThrow('No item with that key is rendered');
+    expect(scrollToIndex).not.toHaveBeenCalled();
+
+    tree.unmount();
+  });
+
+  it('still calls onScrollToIndexFailed when scrolling by index', () => {
+    const onScrollToIndexFailed = jest.fn();
+    const { tree, list } = renderScrollable({ onScrollToIndexFailed });
+
+    list.scrollToIndex({ index: 42 });
+    expect(onScrollToIndexFailed).toHaveBeenCalledWith(expect.objectContaining({ index: 42 }));
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableVirtualizedList with itemHeight', () => {
+  const ROWS = Immutable.fromJS([{ id: 'a', lines: 1 }, { id: 'b', lines: 2 }, { id: 'c', lines: 1 }]);
+
+  const renderWithHeights = (props) => {
+    const listRef = React.createRef();
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        ref={listRef}
+        immutableData={ROWS}
+        rowKey={['id']}
+        renderItem={({ item }) => <Text>{item.get('id')}</Text>}
+        {...props}
+      />,
+    );
+    const { getItemLayout, data: listData } = listRef.current.getVirtualizedList().props;
+    const getLayouts = () => [0, 1, 2].map((index) => getItemLayout(listData, index));
+
+    return { tree, getLayouts };
+  };
+
+  it('computes getItemLayout from a fixed height and the separator height', () => {
+    const { tree, getLayouts } = renderWithHeights({ itemHeight: 40, separatorHeight: 1 });
+
+    expect(getLayouts()).toEqual([
+      { length: 41, offset: 0, index: 0 },
+      { length: 41, offset: 41, index: 1 },
+      { length: 40, offset: 82, index: 2 },
+    ]);
+
+    tree.unmount();
+  });
+
+  it('computes getItemLayout from the height of each item', () => {
+    const { tree, getLayouts } = renderWithHeights({ itemHeight: (item) => item.get('lines') * 20 });
+
+    expect(getLayouts().map(({ offset }) => offset)).toEqual([0, 20, 60]);
+
+    tree.unmount();
+  });
+
+  it('offsets every item by the header height', () => {
+    const { tree, getLayouts } = renderWithHeights({
+      itemHeight: 40,
+      headerHeight: 100,
+      ListHeaderComponent: <Text>Header</Text>,
+    });
+
+    expect(getLayouts().map(({ offset }) => offset)).toEqual([100, 140, 180]);
+
+    tree.unmount();
+  });
+
+  it('uses the measured heights in place of the estimate', () => {
+    const { tree, getLayouts } = renderWithHeights({ itemHeight: 20, measureItems: true });
+
+    const [, measuredItem] = tree.root.findAll((node) => node.type === View && node.props.onLayout);
+    measuredItem.props.onLayout({ nativeEvent: { layout: { width: 320, height: 55 } } });
+    expect(getLayouts().map(({ length }) => length)).toEqual([20, 55, 20]);
+    expect(getLayouts()[2].offset).toBe(75);
+
+    tree.unmount();
+  });
+
+  it('leaves getItemLayout to the prop if it is set', () => {
+    const getItemLayout = jest.fn();
+    const { tree } = renderWithHeights({ itemHeight: 40, getItemLayout });
+
+    expect(tree.root.findByType(VirtualizedList).props.getItemLayout).toBe(getItemLayout);
+
+    tree.unmount();
+  });
+});
+
+describe('ImmutableVirtualizedList with childrenKeyPath', () => {
+  const COMMENTS = Immutable.fromJS([
+    { id: 1, replies: [{ id: 2, replies: [{ id: 3 }] }] },
+    { id: 4 },
+  ]);
+
+  const getRenderedItems = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  /**
+   * Render a thread of comments, along with a function to expand or collapse a comment by its key path.
+   */
+  const renderTree = (props) => {
+    const toggles = {};
+    /* eslint-disable react/prop-types */
+    const renderItem = ({
+      item, depth, keyPath, hasChildren, isExpanded, toggleExpanded,
+    }) => {
+      toggles[keyPath.join('/')] = toggleExpanded;
+      const marker = hasChildren ? `${isExpanded ? '-' : '+'} ` : '';
+      return <Text>{`${'  '.repeat(depth)}${marker}${item.get('id')}`}</Text>;
+    };
+    /* eslint-enable react/prop-types */
+    const tree = renderer.create(
+      <ImmutableVirtualizedList
+        immutableData={COMMENTS}
+        rowKey={['id']}
+        childrenKeyPath={['replies']}
+        renderItem={renderItem}
+        {...props}
+      />,
+    );
+    const toggle = (keyPath) => renderer.act(() => toggles[keyPath]());
+
+    return { tree, toggle };
+  };
+
+  it('renders the top-level rows at first', () => {
+    const { tree } = renderTree();
+
+    expect(getRenderedItems(tree)).toEqual(['+ 1', '4']);
+
+    tree.unmount();
+  });
+
+  it('expands and collapses rows', () => {
+    const onToggleExpanded = jest.fn();
+    const { tree, toggle } = renderTree({ onToggleExpanded });
+
+    toggle('1');
+    toggle('1/2');
+    expect(getRenderedItems(tree)).toEqual(['- 1', '  - 2', '    3', '4']);
+    expect(onToggleExpanded).toHaveBeenLastCalledWith(
+      Immutable.List([1, 2]),
+      Immutable.Set([Immutable.List([1]), Immutable.List([1, 2])]),
+    );
+
+    toggle('1');
+    expect(getRenderedItems(tree)).toEqual(['+ 1', '4']);
+
+    tree.unmount();
+  });
+
+  it('leaves controlled expandedKeyPaths to the parent', () => {
+    const onToggleExpanded = jest.fn();
+    const { tree, toggle } = renderTree({
+      expandedKeyPaths: Immutable.Set([Immutable.List([1])]),
+      onToggleExpanded,
+    });
+    expect(getRenderedItems(tree)).toEqual(['- 1', '  + 2', '4']);
+
+    toggle('1');
+    expect(onToggleExpanded).toHaveBeenCalledWith(Immutable.List([1]), Immutable.Set());
+    expect(getRenderedItems(tree)).toEqual(['- 1', '  + 2', '4']);
+
+    tree.unmount();
+  });
 });
 
 describe('ImmutableVirtualizedList with renderEmpty', () => {
@@ -122,3 +1387,52 @@ describe('ImmutableVirtualizedList with renderEmptyInList', () => {
     expect(tree.toJSON()).toMatchSnapshot();
   });
 });
+
+describe('ImmutableVirtualizedList with isLoading and error', () => {
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+  const renderList = (props) => (
+    <ImmutableVirtualizedList
+      immutableData={data.EMPTY_DATA}
+      renderItem={renderers.renderItem}
+      renderEmptyInList="No items"
+      {...props}
+    />
+  );
+
+  it('renders the loading placeholder while loading', () => {
+    expect(getTexts(renderer.create(renderList({ isLoading: true })))).toEqual(['Loading...']);
+    expect(getTexts(renderer.create(renderList({ isLoading: true, renderLoading: 'Hold on' })))).toEqual(['Hold on']);
+  });
+
+  it('renders the error placeholder with the error', () => {
+    const error = new Error('Offline');
+    const renderErrorInList = jest.fn((props, { message }) => <Text>{message}</Text>);
+
+    const tree = renderer.create(renderList({ error, renderErrorInList }));
+    expect(getTexts(tree)).toEqual(['Offline']);
+    expect(renderErrorInList).toHaveBeenCalledWith(expect.objectContaining({ error }), error);
+  });
+
+  it('prefers loading over an error, and an error over being empty', () => {
+    const tree = renderer.create(renderList({ isLoading: true, error: new Error('Offline') }));
+    expect(getTexts(tree)).toEqual(['Loading...']);
+
+    tree.update(renderList({ error: new Error('Offline') }));
+    expect(getTexts(tree)).toEqual(['Couldn\'t load data.']);
+
+    tree.update(renderList({}));
+    expect(getTexts(tree)).toEqual(['No items']);
+  });
+
+  it('renders the items when there are some, even while loading', () => {
+    const tree = renderer.create(renderList({ immutableData: data.LIST_DATA, isLoading: true, error: new Error('Offline') }));
+    expect(getTexts(tree)).not.toContain('Loading...');
+    expect(getTexts(tree)).not.toContain('Couldn\'t load data.');
+  });
+
+  it('keeps the list props in the list', () => {
+    const onRefresh = jest.fn();
+    const tree = renderer.create(renderList({ isLoading: true, refreshing: false, onRefresh }));
+    expect(tree.root.findByType(EmptyVirtualizedList).props.onRefresh).toBe(onRefresh);
+  });
+});
@@ -0,0 +1,60 @@
+import PropTypes from 'prop-types';
+import React, { PureComponent } from 'react';
+import { View, Text, ViewPropTypes } from 'react-native';
+
+import styles from '../styles';
+
+/**
+ * Displays the latest stats reported by a list's `onRenderStats` prop over the top of the screen,
+ * for seeing how a list renders while developing it.
+ *
+ * @example
+ * <ImmutableVirtualizedList onRenderStats={(renderStats) => this.setState({ renderStats })} ... />
+ * {__DEV__ && <RenderStatsOverlay stats={this.state.renderStats} />}
+ */
+class RenderStatsOverlay extends PureComponent {
+  static propTypes = {
+    /** The stats passed to `onRenderStats`. Nothing is displayed until there are some. */
+    stats: PropTypes.shape({
+      mountedRows: PropTypes.number.isRequired,
+      renderedRows: PropTypes.number.isRequired,
+      skippedRows: PropTypes.number.isRequired,
+      deriveTime: PropTypes.number.isRequired,
+      rowCount: PropTypes.number.isRequired,
+      deferredRows: PropTypes.number.isRequired,
+      interactionTime: PropTypes.number,
+    }),
+
+    style: ViewPropTypes.style,
+  };
+
+  render() {
+    const { stats, style } = this.props;
+
+    if (!stats) return null;
+
+    const {
+      mountedRows, renderedRows, skippedRows, deriveTime, rowCount, deferredRows, interactionTime,
+    } = stats;
+
+    return (
+      <View style={[styles.statsOverlay, style]} pointerEvents="none">
+        <Text style={styles.statsText}>
+          {`${mountedRows} mounted, ${renderedRows} re-rendered, ${skippedRows} skipped`}
+        </Text>
+        <Text style={styles.statsText}>
+          {`${rowCount} rows, derived in ${deriveTime.toFixed(1)} ms`}
+        </Text>
+        {(deferredRows > 0 || interactionTime != null) && (
+          <Text style={styles.statsText}>
+            {`${deferredRows} deferred, interactions ${interactionTime == null
+              ? 'pending'
+              : `took ${interactionTime.toFixed(0)} ms`}`}
+          </Text>
+        )}
+      </View>
+    );
+  }
+}
+
+export default RenderStatsOverlay;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Text } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import RenderStatsOverlay from '../RenderStatsOverlay';
+
+const STATS = {
+  mountedRows: 10,
+  renderedRows: 2,
+  skippedRows: 8,
+  deriveTime: 1.25,
+  rowCount: 120,
+  deferredRows: 0,
+  interactionTime: null,
+};
+
+describe('RenderStatsOverlay', () => {
+  it('renders nothing until there are some stats', () => {
+    const tree = renderer.create(<RenderStatsOverlay />);
+    expect(tree.toJSON()).toBe(null);
+  });
+
+  it('renders the stats', () => {
+    const tree = renderer.create(<RenderStatsOverlay stats={STATS} />);
+    expect(tree.toJSON()).toMatchSnapshot();
+  });
+
+  it('renders the interaction deferral once there is any', () => {
+    const getLines = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+    const tree = renderer.create(<RenderStatsOverlay stats={{ ...STATS, deferredRows: 100 }} />);
+    expect(getLines(tree)[2]).toBe('100 deferred, interactions pending');
+
+    tree.update(<RenderStatsOverlay stats={{ ...STATS, interactionTime: 350.4 }} />);
+    expect(getLines(tree)[2]).toBe('0 deferred, interactions took 350 ms');
+  });
+
+  it('renders stats without an interactionTime', () => {
+    const { interactionTime, ...stats } = STATS;
+
+    const tree = renderer.create(<RenderStatsOverlay stats={stats} />);
+    expect(tree.root.findAllByType(Text)).toHaveLength(2);
+
+    tree.update(<RenderStatsOverlay stats={{ ...stats, deferredRows: 5 }} />);
+    expect(tree.root.findAllByType(Text)[2].props.children).toBe('5 deferred, interactions pending');
+  });
+});
@@ -0,0 +1,3 @@
+import RenderStatsOverlay from './RenderStatsOverlay';
+
+export { RenderStatsOverlay };
@@ -0,0 +1,33 @@
+import PropTypes from 'prop-types';
+import { Component } from 'react';
+
+/**
+ * Renders the result of its `render` prop, but only re-renders it when `shouldUpdate` returns true.
+ * It's rendered by `StaticRenderer`, which finds out after each update whether this re-rendered.
+ */
+class StaticContent extends Component {
+  static propTypes = {
+    shouldUpdate: PropTypes.func.isRequired,
+
+    render: PropTypes.func.isRequired,
+
+    onRender: PropTypes.func.isRequired,
+  };
+
+  shouldComponentUpdate(nextProps) {
+    const { shouldUpdate } = this.props;
+    return shouldUpdate(this.props, nextProps);
+  }
+
+  componentDidUpdate() {
+    const { onRender } = this.props;
+    onRender();
+  }
+
+  render() {
+    const { render } = this.props;
+    return render();
+  }
+}
+
+export default StaticContent;
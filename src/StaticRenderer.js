@@ -0,0 +1,56 @@
+import PropTypes from 'prop-types';
+import React, { Component } from 'react';
+
+import StaticContent from './StaticContent';
+
+/**
+ * Renders the result of its `render` prop, but only re-renders when `shouldUpdate` returns true.
+ * This mimics the `StaticRenderer` that ListView wraps its rows in, so that rows are only
+ * re-rendered when their data has changed according to `rowHasChanged`.
+ */
+class StaticRenderer extends Component {
+  static propTypes = {
+    /**
+     * A function taking (prevProps, nextProps) and returning true if the row should re-render.
+     */
+    shouldUpdate: PropTypes.func.isRequired,
+
+    render: PropTypes.func.isRequired,
+
+    onMount: PropTypes.func,
+
+    /**
+     * Called after each update with whether the row was re-rendered, or skipped since `shouldUpdate` returned false.
+     */
+    onUpdate: PropTypes.func,
+
+    onUnmount: PropTypes.func,
+  };
+
+  componentDidMount() {
+    const { onMount } = this.props;
+    if (onMount) onMount();
+  }
+
+  componentDidUpdate() {
+    const { onUpdate } = this.props;
+
+    if (onUpdate) onUpdate(this.isRendered);
+    this.isRendered = false;
+  }
+
+  componentWillUnmount() {
+    const { onUnmount } = this.props;
+    if (onUnmount) onUnmount();
+  }
+
+  onContentRender = () => {
+    this.isRendered = true;
+  };
+
+  render() {
+    return <StaticContent {...this.props} onRender={this.onContentRender} />;
+  }
+}
+
+export default StaticRenderer;
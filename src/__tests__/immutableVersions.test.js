@@ -0,0 +1,211 @@
+/* eslint-disable global-require */
+
+// Each major version of Immutable.js that the library supports, installed under an alias.
+const IMMUTABLE_PACKAGES = ['immutable-v3', 'immutable-v4', 'immutable-v5'];
+
+describe.each(IMMUTABLE_PACKAGES)('With %s', (immutablePackage) => {
+  let Immutable;
+  let React;
+  let renderer;
+  let Text;
+  let VirtualizedList;
+  let data;
+  let renderers;
+  let utils;
+  let ImmutableListView;
+  let ImmutableVirtualizedList;
+  let ImmutableSectionList;
+
+  const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+  beforeAll(() => {
+    // Load everything afresh so that the library and its fixtures all use this version of Immutable.
+    jest.resetModules();
+    jest.doMock('immutable', () => jest.requireActual(immutablePackage));
+
+    Immutable = require('immutable');
+    React = require('react');
+    renderer = require('react-test-renderer');
+    ({ Text, VirtualizedList } = require('react-native'));
+    ({ data, renderers } = require('../test-utils'));
+    utils = require('../utils').default;
+    ({ ImmutableListView } = require('../ImmutableListView'));
+    ({ ImmutableVirtualizedList } = require('../ImmutableVirtualizedList'));
+    ({ ImmutableSectionList } = require('../ImmutableSectionList'));
+  });
+
+  afterAll(() => {
+    jest.dontMock('immutable');
+  });
+
+  it('uses the expected version', () => {
+    const { version } = jest.requireActual(`${immutablePackage}/package.json`);
+    expect(version.split('.')[0]).toBe(immutablePackage.slice(-1));
+  });
+
+  describe('utils', () => {
+    it('detects collections', () => {
+      const Row = Immutable.Record({ id: null });
+
+      expect(utils.isImmutableIterable(Immutable.List())).toBe(true);
+      expect(utils.isImmutableIterable(Immutable.Seq([1, 2]))).toBe(true);
+      expect(utils.isImmutableIterable(Immutable.Range(0, 3))).toBe(true);
+      expect(utils.isImmutableIterable(new Row())).toBe(true);
+      expect(utils.isImmutableIterable([])).toBe(false);
+      expect(utils.isImmutableIterable({})).toBe(false);
+      expect(utils.isImmutableIterable(null)).toBe(false);
+    });
+
+    it('detects keyed, indexed, and ordered collections', () => {
+      const Row = Immutable.Record({ id: null });
+      const record = new Row();
+
+      expect(utils.isImmutableKeyed(Immutable.Map())).toBe(true);
+      expect(utils.isImmutableKeyed(record)).toBe(true);
+      expect(utils.isImmutableKeyed(Immutable.List())).toBe(false);
+
+      expect(utils.isImmutableIndexed(Immutable.List())).toBe(true);
+      expect(utils.isImmutableIndexed(Immutable.Map())).toBe(false);
+
+      expect(utils.isImmutableOrdered(Immutable.OrderedMap())).toBe(true);
+      expect(utils.isImmutableOrdered(record)).toBe(true);
+      expect(utils.isImmutableOrdered(Immutable.Set())).toBe(false);
+    });
+
+    it('detects Records', () => {
+      const Row = Immutable.Record({ id: null });
+
+      expect(utils.isImmutableRecord(new Row())).toBe(true);
+      expect(utils.isImmutableRecord(Immutable.Map())).toBe(false);
+    });
+
+    it('determines whether each fixture is empty', () => {
+      Object.keys(data).forEach((dataType) => {
+        expect(utils.isEmptyListView(data[dataType])).toBe(data[dataType] === data.EMPTY_DATA);
+      });
+    });
+
+    it('determines whether a Record of sections is empty', () => {
+      const Sections = Immutable.Record({ first: Immutable.List(), second: Immutable.List() });
+
+      expect(utils.isEmptyListView(new Sections())).toBe(true);
+      expect(utils.isEmptyListView(new Sections({ second: Immutable.List(['row']) }))).toBe(false);
+      expect(utils.isEmptySectionList(new Sections())).toBe(true);
+    });
+
+    it('gets the keys of Records', () => {
+      const Row = Immutable.Record({ id: null, name: '' });
+      const rows = Immutable.List([new Row({ id: 'a' }), new Row({ id: 'b' })]);
+
+      expect(utils.getKeys(new Row())).toEqual(['id', 'name']);
+      expect(utils.getRowKeys(rows, ['id'])).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('rendering the test-utils fixtures', () => {
+    const SECTIONED_FIXTURES = ['MAP_DATA_LIST_ROWS', 'MAP_DATA_MAP_ROWS'];
+
+    it('renders each fixture with ImmutableVirtualizedList', () => {
+      Object.keys(data).forEach((dataType) => {
+        const tree = renderer.create(
+          <ImmutableVirtualizedList immutableData={data[dataType]} renderItem={renderers.renderItem} />,
+        );
+        expect(getTexts(tree)).toMatchSnapshot(dataType);
+        tree.unmount();
+      });
+    });
+
+    it('renders each fixture with ImmutableListView', () => {
+      Object.keys(data).forEach((dataType) => {
+        const tree = renderer.create(
+          <ImmutableListView immutableData={data[dataType]} renderRow={renderers.renderRow} />,
+        );
+        expect(getTexts(tree)).toMatchSnapshot(dataType);
+        tree.unmount();
+      });
+    });
+
+    it('renders each sectioned fixture with ImmutableListView section headers', () => {
+      SECTIONED_FIXTURES.forEach((dataType) => {
+        const tree = renderer.create(
+          <ImmutableListView
+            immutableData={data[dataType]}
+            renderRow={renderers.renderRow}
+            renderSectionHeader={renderers.renderSectionHeader}
+          />,
+        );
+        expect(getTexts(tree)).toMatchSnapshot(dataType);
+        tree.unmount();
+      });
+    });
+
+    it('renders each sectioned fixture with ImmutableSectionList', () => {
+      SECTIONED_FIXTURES.forEach((dataType) => {
+        const tree = renderer.create(
+          <ImmutableSectionList
+            immutableData={data[dataType]}
+            renderItem={renderers.renderItem}
+            renderSectionHeader={renderers.renderSectionListHeader}
+          />,
+        );
+        expect(getTexts(tree)).toMatchSnapshot(dataType);
+        tree.unmount();
+      });
+    });
+  });
+
+  describe('rendering Records', () => {
+    const renderRecordRow = (row) => <Text>{row.get('name')}</Text>;
+
+    it('renders a List of Records with a rowKey', () => {
+      const Row = Immutable.Record({ id: null, name: '' });
+      const rows = Immutable.List([new Row({ id: 'a', name: 'Ada' }), new Row({ id: 'b', name: 'Bob' })]);
+
+      const tree = renderer.create(
+        <ImmutableVirtualizedList
+          immutableData={rows}
+          rowKey={['id']}
+          renderItem={({ item }) => renderRecordRow(item)}
+        />,
+      );
+      expect(getTexts(tree)).toEqual(['Ada', 'Bob']);
+      expect(tree.root.findByType(VirtualizedList).props.keyExtractor(rows.get(1), 1)).toBe('b');
+      tree.unmount();
+    });
+
+    it('renders a Record of sections', () => {
+      const Row = Immutable.Record({ name: '' });
+      const Sections = Immutable.Record({ first: Immutable.List(), second: Immutable.List() });
+      const sections = new Sections({
+        first: Immutable.List([new Row({ name: 'Ada' })]),
+        second: Immutable.List([new Row({ name: 'Bob' }), new Row({ name: 'Cy' })]),
+      });
+
+      // Records aren't expected to fail prop validation.
+      jest.spyOn(console, 'error');
+
+      const listViewTree = renderer.create(
+        <ImmutableListView
+          immutableData={sections}
+          renderRow={renderRecordRow}
+          renderSectionHeader={(sectionData, category) => <Text>{category}</Text>}
+        />,
+      );
+      expect(getTexts(listViewTree)).toEqual(['first', 'Ada', 'second', 'Bob', 'Cy']);
+      listViewTree.unmount();
+
+      const sectionListTree = renderer.create(
+        <ImmutableSectionList
+          immutableData={sections}
+          renderItem={({ item }) => renderRecordRow(item)}
+          renderSectionHeader={({ section }) => <Text>{section.sectionKey}</Text>}
+        />,
+      );
+      expect(getTexts(sectionListTree)).toEqual(['first', 'Ada', 'second', 'Bob', 'Cy']);
+      sectionListTree.unmount();
+
+      expect(console.error).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import Immutable from 'immutable';
+
+import { mergePage, getRowDiff, getSectionDiff } from '..';
+
+describe('Package exports', () => {
+  it('exports mergePage', () => {
+    const page1 = Immutable.fromJS([{ id: 1 }, { id: 2 }]);
+    const page2 = Immutable.fromJS([{ id: 2, isRead: true }, { id: 3 }]);
+    expect(mergePage(page1, page2, ['id']).toJS()).toEqual([
+      { id: 1 }, { id: 2, isRead: true }, { id: 3 },
+    ]);
+  });
+
+  it('exports getRowDiff and getSectionDiff', () => {
+    const prevRows = Immutable.fromJS([{ id: 1 }, { id: 2 }]);
+    const nextRows = Immutable.fromJS([{ id: 2 }, { id: 3 }]);
+    const rowDiff = {
+      inserted: [3], removed: [1], moved: [], updated: [],
+    };
+    expect(getRowDiff(prevRows, nextRows, ['id'])).toEqual(rowDiff);
+    expect(getSectionDiff(Immutable.Map({ s1: prevRows }), Immutable.Map({ s1: nextRows }), ['id']))
+      .toEqual({ s1: rowDiff });
+  });
+});
@@ -31,3 +31,588 @@ describe('Utils', () => {
     expect(isEmpty).toBe(true);
   });
 });
+
+describe('Utils for SectionList', () => {
+  it('determines that a Map with empty sections is empty', () => {
+    expect(utils.isEmptySectionList(EMPTY_MAP)).toBe(true);
+  });
+
+  it('determines that a List with empty sections is empty', () => {
+    expect(utils.isEmptySectionList(Immutable.List([Immutable.List()]))).toBe(true);
+  });
+
+  it('determines that a Map with some rows is NOT empty', () => {
+    expect(utils.isEmptySectionList(data.MAP_DATA_LIST_ROWS)).toBe(false);
+  });
+
+  it('renders loading placeholders over error placeholders over empty placeholders', () => {
+    const renderers = {
+      renderEmpty: 'Empty', renderErrorInList: 'Error', renderLoading: 'Loading',
+    };
+    expect(utils.getPlaceholderType({ ...renderers, isLoading: true, error: new Error() })).toBe('loading');
+    expect(utils.getPlaceholderType({ ...renderers, error: new Error() })).toBe('error');
+    expect(utils.getPlaceholderType(renderers)).toBe('empty');
+    expect(utils.getPlaceholderType({ renderEmpty: 'Empty', isLoading: true })).toBe(null);
+  });
+
+  it('gets the sections of a Map of Maps', () => {
+    const sections = utils.getSectionListSections(data.MAP_DATA_MAP_ROWS);
+    expect(sections.map(({ key, data: rows, rowKeys }) => ({ key, rows, rowKeys }))).toEqual([
+      { key: 'first', rows: ['data 1', 'data 2'], rowKeys: ['row1', 'row2'] },
+      { key: 'second', rows: [], rowKeys: [] },
+    ]);
+  });
+});
+
+describe('Utils for rowKey', () => {
+  const ROWS = Immutable.fromJS([
+    { id: 'a', meta: { uuid: 'x' } },
+    { id: 'b', meta: { uuid: 'y' } },
+  ]);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  it('gets row keys from a key path', () => {
+    expect(utils.getRowKeys(ROWS, ['id'])).toEqual(['a', 'b']);
+    expect(utils.getRowKeys(ROWS, ['meta', 'uuid'])).toEqual(['x', 'y']);
+  });
+
+  it('gets row keys from a function', () => {
+    expect(utils.getRowKeys(ROWS, (rowData, key) => `${key}-${rowData.get('id')}`)).toEqual(['0-a', '1-b']);
+  });
+
+  it('gets row keys from plain objects within the data', () => {
+    expect(utils.getRowKeys(Immutable.List([{ id: 1 }, { id: 2 }]), ['id'])).toEqual([1, 2]);
+  });
+
+  it('uses the data keys without a rowKey', () => {
+    expect(utils.getRowKeys(ROWS)).toEqual([0, 1]);
+  });
+
+  it('falls back to the data key and warns about missing keys', () => {
+    expect(utils.getRowKeys(ROWS.push(Immutable.Map()), ['id'], true)).toEqual(['a', 'b', 2]);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('warns about duplicate keys', () => {
+    utils.getRowKeys(ROWS.push(ROWS.first()), ['id'], true);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('doesn\'t warn unless asked to', () => {
+    utils.getRowKeys(ROWS.push(ROWS.first()), ['id']);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('gets row identities per section', () => {
+    const sections = Immutable.Map({ first: ROWS, second: ROWS.take(1) });
+    expect(utils.getRowIdentities(sections, ['id'])).toEqual([['a', 'b'], ['a']]);
+  });
+
+  it('compares key paths by value', () => {
+    expect(utils.isSameRowKey(['meta', 'uuid'], ['meta', 'uuid'])).toBe(true);
+    expect(utils.isSameRowKey(['meta'], ['meta', 'uuid'])).toBe(false);
+    expect(utils.isSameRowKey(undefined, undefined)).toBe(true);
+  });
+
+  it('only uses the keys of keyed data or a rowKey', () => {
+    expect(utils.hasMeaningfulKeys(ROWS, ['id'])).toBe(true);
+    expect(utils.hasMeaningfulKeys(Immutable.OrderedMap({ a: 1 }))).toBe(true);
+    expect(utils.hasMeaningfulKeys(ROWS)).toBe(false);
+    expect(utils.hasMeaningfulKeys(Immutable.Set(['a']))).toBe(false);
+    expect(utils.hasMeaningfulKeys(null)).toBe(false);
+  });
+});
+
+describe('Utils for diffs', () => {
+  const ROWS = Immutable.fromJS([
+    { id: 'a', text: 'first' },
+    { id: 'b', text: 'second' },
+    { id: 'c', text: 'third' },
+  ]);
+
+  const getIds = (rows) => rows.map((row) => row.get('id')).toArray();
+
+  it('finds inserted and removed rows', () => {
+    const nextRows = ROWS.delete(1).unshift(Immutable.Map({ id: 'z' }));
+    expect(utils.getRowDiff(ROWS, nextRows, ['id'])).toEqual({
+      inserted: ['z'], removed: ['b'], moved: [], updated: [],
+    });
+  });
+
+  it('finds moved rows', () => {
+    const nextRows = Immutable.List([ROWS.get(2), ROWS.get(0), ROWS.get(1)]);
+    expect(getIds(nextRows)).toEqual(['c', 'a', 'b']);
+    expect(utils.getRowDiff(ROWS, nextRows, ['id'])).toEqual({
+      inserted: [], removed: [], moved: ['c'], updated: [],
+    });
+  });
+
+  it('finds updated rows', () => {
+    const nextRows = ROWS.setIn([1, 'text'], 'changed');
+    expect(utils.getRowDiff(ROWS, nextRows, ['id'])).toEqual({
+      inserted: [], removed: [], moved: [], updated: ['b'],
+    });
+  });
+
+  it('doesn\'t find changes in equal data', () => {
+    const diff = utils.getRowDiff(ROWS, Immutable.fromJS(ROWS.toJS()), ['id']);
+    expect(utils.isEmptyRowDiff(diff)).toBe(true);
+  });
+
+  it('matches rows by their key in a Map', () => {
+    const prevRows = Immutable.OrderedMap({ a: 1, b: 2, c: 3 });
+    const nextRows = Immutable.OrderedMap({ b: 2, c: 4, a: 1 });
+    expect(utils.getRowDiff(prevRows, nextRows)).toEqual({
+      inserted: [], removed: [], moved: ['a'], updated: ['c'],
+    });
+  });
+
+  it('treats missing data as empty', () => {
+    expect(utils.getRowDiff(null, ROWS, ['id'])).toEqual({
+      inserted: ['a', 'b', 'c'], removed: [], moved: [], updated: [],
+    });
+  });
+
+  it('finds the changes in each section', () => {
+    const prevSections = Immutable.Map({ first: ROWS, second: ROWS.take(1), third: ROWS });
+    const nextSections = Immutable.Map({ first: ROWS, second: ROWS.take(2), fourth: ROWS.take(1) });
+    expect(utils.getSectionDiff(prevSections, nextSections, ['id'])).toEqual({
+      second: {
+        inserted: ['b'], removed: [], moved: [], updated: [],
+      },
+      third: {
+        inserted: [], removed: ['a', 'b', 'c'], moved: [], updated: [],
+      },
+      fourth: {
+        inserted: ['a'], removed: [], moved: [], updated: [],
+      },
+    });
+  });
+});
+
+describe('Utils for animated rows', () => {
+  const getRows = (statuses) => Object.keys(statuses).map((key) => ({ key, item: key, status: statuses[key] }));
+
+  it('doesn\'t animate the first rows', () => {
+    expect(utils.getAnimatedRows(null, ['a', 'b'], ['a', 'b'])).toEqual(getRows({ a: 'present', b: 'present' }));
+  });
+
+  it('marks inserted rows as entering', () => {
+    const prevRows = getRows({ a: 'present', b: 'present' });
+    expect(utils.getAnimatedRows(prevRows, ['z', 'a', 'b'], ['z', 'a', 'b']))
+      .toEqual(getRows({ z: 'entering', a: 'present', b: 'present' }));
+  });
+
+  it('keeps removed rows next to the row before them', () => {
+    const prevRows = getRows({
+      a: 'present', b: 'present', c: 'present', d: 'present',
+    });
+    expect(utils.getAnimatedRows(prevRows, ['c', 'a'], ['c', 'a'])).toEqual(getRows({
+      c: 'present', d: 'exiting', a: 'present', b: 'exiting',
+    }));
+  });
+
+  it('keeps removed rows at the start when there\'s no row before them', () => {
+    const prevRows = getRows({ a: 'present', b: 'present' });
+    expect(utils.getAnimatedRows(prevRows, ['b'], ['b'])).toEqual(getRows({ a: 'exiting', b: 'present' }));
+  });
+
+  it('animates exiting rows back in when they are re-inserted', () => {
+    const prevRows = getRows({ a: 'exiting', b: 'present' });
+    expect(utils.getAnimatedRows(prevRows, ['a', 'b'], ['a', 'b'])).toEqual(getRows({ a: 'entering', b: 'present' }));
+  });
+
+  it('finishes animating rows', () => {
+    const rows = getRows({ a: 'entering', b: 'exiting', c: 'present' });
+    expect(utils.finishRowAnimation(rows, 'a', 'entering')).toEqual(getRows({ a: 'present', b: 'exiting', c: 'present' }));
+    expect(utils.finishRowAnimation(rows, 'b', 'exiting')).toEqual(getRows({ a: 'entering', c: 'present' }));
+    expect(utils.finishRowAnimation(rows, 'c', 'exiting')).toBe(rows);
+  });
+});
+
+describe('Utils for derived data', () => {
+  const PEOPLE = Immutable.fromJS([
+    { id: 1, name: 'Bo', address: { city: 'Oslo' } },
+    { id: 2, name: 'Al', address: { city: 'Lima' } },
+    { id: 3, name: 'Cy', address: { city: 'Bern' } },
+  ]);
+  const getIds = (immutableData) => immutableData.map((person) => person.get('id')).toArray();
+
+  it('returns the data itself when there\'s nothing to derive', () => {
+    expect(utils.getDerivedData({ immutableData: PEOPLE })).toBe(PEOPLE);
+    expect(utils.getDerivedData({ immutableData: PEOPLE, searchQuery: '  ' })).toBe(PEOPLE);
+  });
+
+  it('filters rows', () => {
+    const filter = (person) => person.get('id') !== 2;
+    expect(getIds(utils.getDerivedData({ immutableData: PEOPLE, filter }))).toEqual([1, 3]);
+  });
+
+  it('searches the given keys and key paths, ignoring case', () => {
+    expect(getIds(utils.getDerivedData({ immutableData: PEOPLE, searchQuery: 'b', searchKeys: ['name'] })))
+      .toEqual([1]);
+    expect(getIds(utils.getDerivedData({
+      immutableData: PEOPLE, searchQuery: 'B', searchKeys: ['name', ['address', 'city']],
+    }))).toEqual([1, 3]);
+  });
+
+  it('searches plain values and the values of each row by default', () => {
+    expect(utils.getDerivedData({ immutableData: data.LIST_DATA, searchQuery: 'RE' }))
+      .toEqual(Immutable.List(['are', 'great']));
+    expect(getIds(utils.getDerivedData({ immutableData: PEOPLE, searchQuery: 'cy' }))).toEqual([3]);
+  });
+
+  it('sorts rows by a key path or a function', () => {
+    expect(getIds(utils.getDerivedData({ immutableData: PEOPLE, sortBy: ['name'] }))).toEqual([2, 1, 3]);
+    const sortBy = (person) => person.getIn(['address', 'city']);
+    expect(getIds(utils.getDerivedData({ immutableData: PEOPLE, sortBy }))).toEqual([3, 2, 1]);
+  });
+
+  it('sorts rows with a comparator', () => {
+    const comparator = (a, b) => b.get('id') - a.get('id');
+    expect(getIds(utils.getDerivedData({ immutableData: PEOPLE, comparator }))).toEqual([3, 2, 1]);
+    expect(getIds(utils.getDerivedData({
+      immutableData: PEOPLE, sortBy: ['name'], comparator: (a, b) => b.localeCompare(a),
+    }))).toEqual([3, 1, 2]);
+  });
+
+  it('keeps the keys of keyed data', () => {
+    const immutableData = Immutable.OrderedMap([['b', 'bee'], ['a', 'ay'], ['c', 'sea']]);
+    const derivedData = utils.getDerivedData({ immutableData, sortBy: (value) => value });
+    expect(derivedData.keySeq().toArray()).toEqual(['a', 'b', 'c']);
+  });
+
+  it('derives the data within each section', () => {
+    const derivedData = utils.getDerivedSectionData({ immutableData: data.MAP_DATA_LIST_ROWS, searchQuery: 'a' });
+    expect(derivedData.toJS()).toEqual({
+      first: ['a'], second: [], third: [], fourth: ['bar'],
+    });
+    expect(utils.getDerivedSectionData({ immutableData: data.MAP_DATA_LIST_ROWS })).toBe(data.MAP_DATA_LIST_ROWS);
+  });
+
+  it('compares the derivation props by value', () => {
+    const props = { immutableData: PEOPLE, searchKeys: ['name', ['address', 'city']], sortBy: ['name'] };
+
+    expect(utils.isSameDerivation(props, {
+      immutableData: Immutable.fromJS(PEOPLE.toJS()),
+      searchKeys: ['name', ['address', 'city']],
+      sortBy: ['name'],
+    })).toBe(true);
+    expect(utils.isSameDerivation(props, { ...props, sortBy: ['id'] })).toBe(false);
+    expect(utils.isSameDerivation(props, { ...props, filter: () => true })).toBe(false);
+    expect(utils.isSameDerivation(props, { ...props, immutableData: PEOPLE.pop() })).toBe(false);
+  });
+
+  it('only compares Seqs by reference', () => {
+    const props = { immutableData: Immutable.Range(0, Infinity) };
+    expect(utils.isSameDerivation(props, props)).toBe(true);
+    expect(utils.isSameDerivation(props, { immutableData: Immutable.Range(0, Infinity) })).toBe(false);
+  });
+});
+
+describe('Utils for grouped data', () => {
+  const TASKS = Immutable.fromJS([
+    { id: 1, status: 'todo' },
+    { id: 2, status: 'done' },
+    { id: 3, status: 'todo' },
+  ]);
+  const getGroups = (groupedData) => groupedData.map((rows) => rows.map((row) => row.get('id'))).toJS();
+
+  it('groups rows by a key path, in the order of each group\'s first row', () => {
+    const groupedData = utils.getGroupedData({ immutableData: TASKS, groupBy: ['status'] });
+    expect(groupedData.keySeq().toArray()).toEqual(['todo', 'done']);
+    expect(getGroups(groupedData)).toEqual({ todo: [1, 3], done: [2] });
+  });
+
+  it('groups rows by a function', () => {
+    const groupedData = utils.getGroupedData({ immutableData: TASKS, groupBy: (task) => task.get('id') % 2 });
+    expect(getGroups(groupedData)).toEqual({ 1: [1, 3], 0: [2] });
+  });
+
+  it('sorts the groups with sectionOrder', () => {
+    const groupedData = utils.getGroupedData({
+      immutableData: TASKS, groupBy: ['status'], sectionOrder: (a, b) => a.localeCompare(b),
+    });
+    expect(groupedData.keySeq().toArray()).toEqual(['done', 'todo']);
+  });
+
+  it('keeps the keys of keyed rows', () => {
+    const immutableData = Immutable.OrderedMap([['row1', 'ant'], ['row2', 'bee'], ['row3', 'ape']]);
+    const groupedData = utils.getGroupedData({ immutableData, groupBy: (word) => word[0] });
+    expect(groupedData.get('a').keySeq().toArray()).toEqual(['row1', 'row3']);
+  });
+
+  it('returns no groups without data', () => {
+    expect(utils.getGroupedData({ immutableData: null, groupBy: ['status'] }).size).toBe(0);
+  });
+});
+
+describe('Utils for pagination', () => {
+  const PAGE_1 = Immutable.fromJS([{ id: 1 }, { id: 2 }]);
+  const PAGE_2 = Immutable.fromJS([{ id: 2, isRead: true }, { id: 3 }]);
+
+  it('appends the rows of a page, replacing the rows that are already there', () => {
+    expect(utils.mergePage(PAGE_1, PAGE_2, ['id']).toJS()).toEqual([
+      { id: 1 }, { id: 2, isRead: true }, { id: 3 },
+    ]);
+  });
+
+  it('dedupes rows within a page', () => {
+    const page = Immutable.fromJS([{ id: 3 }, { id: 3, isRead: true }]);
+    expect(utils.mergePage(PAGE_1, page, (row) => row.get('id')).toJS()).toEqual([
+      { id: 1 }, { id: 2 }, { id: 3, isRead: true },
+    ]);
+  });
+
+  it('appends every row of a List without a rowKey', () => {
+    expect(utils.mergePage(PAGE_1, PAGE_2).size).toBe(4);
+  });
+
+  it('merges keyed data by its own keys or by rowKey', () => {
+    const immutableData = Immutable.OrderedMap([['a', 'ay'], ['b', 'bee']]);
+    const page = Immutable.OrderedMap([['b', 'BEE'], ['c', 'sea']]);
+    expect(utils.mergePage(immutableData, page).toArray()).toEqual(['ay', 'BEE', 'sea']);
+
+    const byId = Immutable.fromJS({ x: { id: 1 } }).toOrderedMap();
+    const merged = utils.mergePage(byId, Immutable.fromJS({ y: { id: 1, isRead: true } }), ['id']);
+    expect(merged.toJS()).toEqual({ x: { id: 1, isRead: true } });
+  });
+
+  it('handles missing data', () => {
+    expect(utils.mergePage(null, PAGE_1, ['id'])).toBe(PAGE_1);
+    expect(utils.mergePage(PAGE_1, null, ['id'])).toBe(PAGE_1);
+  });
+});
+
+describe('Utils for selection', () => {
+  it('toggles keys in multiple selection mode', () => {
+    const selectedKeys = Immutable.Set(['a']);
+
+    expect(utils.toggleSelection(selectedKeys, 'b', 'multiple')).toEqual(Immutable.Set(['a', 'b']));
+    expect(utils.toggleSelection(selectedKeys, 'a', 'multiple')).toEqual(Immutable.Set());
+  });
+
+  it('replaces the selection in single selection mode', () => {
+    const selectedKeys = Immutable.Set(['a']);
+
+    expect(utils.toggleSelection(selectedKeys, 'b', 'single')).toEqual(Immutable.Set(['b']));
+    expect(utils.toggleSelection(selectedKeys, 'a', 'single')).toEqual(Immutable.Set());
+  });
+
+  it('prunes keys that are no longer in the data', () => {
+    const rows = Immutable.fromJS([{ id: 'a' }, { id: 'c' }]);
+    const selectedKeys = Immutable.Set(['a', 'b']);
+
+    expect(utils.pruneSelection(selectedKeys, rows, ['id'])).toEqual(Immutable.Set(['a']));
+    expect(utils.pruneSelection(selectedKeys, null, ['id'])).toEqual(Immutable.Set());
+  });
+
+  it('prunes keys from every section', () => {
+    const selectedKeys = Immutable.Set(['row1', 'row3']);
+
+    expect(utils.pruneSelection(selectedKeys, data.MAP_DATA_MAP_ROWS, null, true)).toEqual(Immutable.Set(['row1']));
+  });
+
+  it('prunes the keys of List sections by their section and index', () => {
+    const sections = Immutable.fromJS({ first: ['a', 'b'], second: ['c'] });
+    const selectedKeys = Immutable.Set([Immutable.List(['first', 1]), Immutable.List(['second', 1])]);
+
+    expect(utils.getSelectionKey(0, sections.get('second'), 'second')).toEqual(Immutable.List(['second', 0]));
+    expect(utils.getSelectionKey(0, sections.get('second'), undefined)).toBe(0);
+    expect(utils.pruneSelection(selectedKeys, sections, null, true))
+      .toEqual(Immutable.Set([Immutable.List(['first', 1])]));
+  });
+
+  it('returns the same Set when nothing is pruned', () => {
+    const selectedKeys = Immutable.Set([0, 2]);
+
+    expect(utils.pruneSelection(selectedKeys, data.LIST_DATA)).toBe(selectedKeys);
+  });
+});
+
+describe('Utils for item layouts', () => {
+  it('gets item heights from a number or a function', () => {
+    expect(utils.getItemHeight(20, 'item', 0)).toBe(20);
+    expect(utils.getItemHeight((item, key) => item.length * 10 + key, 'item', 1)).toBe(41);
+  });
+
+  it('computes the offset of each item from the lengths before it', () => {
+    expect(utils.getItemLayouts([10, 20, 10])).toEqual([
+      { length: 10, offset: 0, index: 0 },
+      { length: 20, offset: 10, index: 1 },
+      { length: 10, offset: 30, index: 2 },
+    ]);
+    expect(utils.getItemLayouts([])).toEqual([]);
+  });
+
+  it('starts the first item at the initial offset', () => {
+    expect(utils.getItemLayouts([10, 20], 50)).toEqual([
+      { length: 10, offset: 50, index: 0 },
+      { length: 20, offset: 60, index: 1 },
+    ]);
+  });
+});
+
+describe('Utils for trees', () => {
+  const TREE = Immutable.fromJS([
+    { id: 'docs', children: [{ id: 'a.txt' }, { id: 'drafts', children: [{ id: 'b.txt' }] }] },
+    { id: 'photos', children: [{ id: 'c.jpg' }] },
+    { id: 'empty', children: [] },
+  ]);
+
+  const getKeyPaths = (treeRows) => treeRows.map((row) => row.keyPath.join('/'));
+
+  it('only includes the children of expanded rows', () => {
+    const expandedKeyPaths = Immutable.Set([Immutable.List(['docs']), Immutable.List(['docs', 'drafts'])]);
+    const treeRows = utils.getTreeRows(TREE, ['children'], expandedKeyPaths, ['id']);
+
+    expect(getKeyPaths(treeRows)).toEqual(['docs', 'docs/a.txt', 'docs/drafts', 'docs/drafts/b.txt', 'photos', 'empty']);
+    expect(treeRows.map((row) => row.depth)).toEqual([0, 1, 1, 2, 0, 0]);
+    expect(treeRows[2]).toMatchObject({ key: 'drafts', hasChildren: true, isExpanded: true });
+    expect(treeRows[5]).toMatchObject({ key: 'empty', hasChildren: false, isExpanded: false });
+  });
+
+  it('hides the descendants of collapsed rows', () => {
+    const expandedKeyPaths = Immutable.Set([Immutable.List(['docs', 'drafts'])]);
+
+    expect(getKeyPaths(utils.getTreeRows(TREE, ['children'], expandedKeyPaths, ['id']))).toEqual([
+      'docs', 'photos', 'empty',
+    ]);
+  });
+
+  it('reuses the rows of the subtrees that did not change', () => {
+    const cache = new WeakMap();
+    const docsKeyPaths = Immutable.Set([Immutable.List(['docs']), Immutable.List(['photos'])]);
+    const treeRows = utils.getTreeRows(TREE, ['children'], docsKeyPaths, ['id'], cache);
+
+    const nextTreeRows = utils.getTreeRows(
+      TREE, ['children'], docsKeyPaths.add(Immutable.List(['docs', 'drafts'])), ['id'], cache,
+    );
+    expect(getKeyPaths(nextTreeRows)).toContain('docs/drafts/b.txt');
+    // The photos were expanded both times, so their rows are the same.
+    expect(nextTreeRows[nextTreeRows.length - 2]).toBe(treeRows[treeRows.length - 2]);
+  });
+});
+
+describe('Utils for memoizing items', () => {
+  it('compares item props with Immutable.is', () => {
+    const onPress = () => {};
+
+    expect(utils.isSameItemProps(null, null)).toBe(true);
+    expect(utils.isSameItemProps({ tags: Immutable.List(['a']), onPress }, { tags: Immutable.List(['a']), onPress }))
+      .toBe(true);
+    expect(utils.isSameItemProps({ isActive: true }, { isActive: false })).toBe(false);
+    expect(utils.isSameItemProps({ isActive: true }, { isActive: true, count: 1 })).toBe(false);
+    expect(utils.isSameItemProps({ isActive: true }, null)).toBe(false);
+  });
+});
+
+describe('Utils for comparison strategies', () => {
+  const row = Immutable.fromJS({ id: 'a', version: 1, meta: { seenAt: 100 } });
+  const equalRow = Immutable.fromJS(row.toJS());
+
+  it('compares by identity', () => {
+    const hasChanged = utils.getHasChanged('identity');
+
+    expect(hasChanged(row, row)).toBe(false);
+    expect(hasChanged(row, equalRow)).toBe(true);
+  });
+
+  it('compares deeply', () => {
+    const hasChanged = utils.getHasChanged('deep');
+
+    expect(hasChanged(row, equalRow)).toBe(false);
+    expect(hasChanged(row, row.setIn(['meta', 'seenAt'], 200))).toBe(true);
+  });
+
+  it('compares the values at a key path', () => {
+    const hasChanged = utils.getHasChanged(['version']);
+
+    expect(hasChanged(row, row.setIn(['meta', 'seenAt'], 200))).toBe(false);
+    expect(hasChanged(row, row.set('version', 2))).toBe(true);
+  });
+
+  it('uses a function as is, and rejects anything else', () => {
+    const hasChanged = () => true;
+
+    expect(utils.getHasChanged(hasChanged)).toBe(hasChanged);
+    expect(() => utils.getHasChanged('shallow')).toThrow('Invalid comparison strategy "shallow"');
+  });
+});
+
+describe('Utils for row contexts', () => {
+  it('gets the position of each row of flat data', () => {
+    const rowContexts = utils.getRowContexts(Immutable.OrderedMap({ a: 'ay', b: 'bee' }));
+
+    expect(rowContexts).toEqual([[
+      {
+        index: 0,
+        key: 'a',
+        sectionKey: null,
+        sectionIndex: 0,
+        indexInSection: 0,
+        isFirst: true,
+        isLast: false,
+        isFirstInSection: true,
+        isLastInSection: false,
+        rowCount: 2,
+        sectionCount: 1,
+        sectionRowCount: 2,
+      },
+      {
+        index: 1,
+        key: 'b',
+        sectionKey: null,
+        sectionIndex: 0,
+        indexInSection: 1,
+        isFirst: false,
+        isLast: true,
+        isFirstInSection: false,
+        isLastInSection: true,
+        rowCount: 2,
+        sectionCount: 1,
+        sectionRowCount: 2,
+      },
+    ]]);
+  });
+
+  it('gets the position of each row within its section', () => {
+    const rowContexts = utils.getRowContexts(Immutable.fromJS({ a: ['x', 'y'], b: [], c: ['z'] }), true);
+
+    expect(rowContexts.map((sectionContexts) => sectionContexts.length)).toEqual([2, 0, 1]);
+    expect(rowContexts[2][0]).toEqual({
+      index: 2,
+      key: 0,
+      sectionKey: 'c',
+      sectionIndex: 2,
+      indexInSection: 0,
+      isFirst: false,
+      isLast: true,
+      isFirstInSection: true,
+      isLastInSection: true,
+      rowCount: 3,
+      sectionCount: 3,
+      sectionRowCount: 1,
+    });
+  });
+
+  it('handles missing data', () => {
+    expect(utils.getRowContexts(null)).toEqual([[]]);
+    expect(utils.getRowContextsFromKeys([], [])).toEqual([]);
+  });
+});
+
+describe('Utils for render stats', () => {
+  it('counts the rows of flat and sectioned data', () => {
+    expect(utils.getRowCount(data.LIST_DATA)).toBe(3);
+    expect(utils.getRowCount(Immutable.fromJS({ a: ['x', 'y'], b: null, c: ['z'] }), true)).toBe(3);
+    expect(utils.getRowCount(null)).toBe(0);
+  });
+});
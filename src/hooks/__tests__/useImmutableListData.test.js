@@ -0,0 +1,125 @@
+import Immutable from 'immutable';
+import React from 'react';
+import {
+  Text, FlatList, SectionList, VirtualizedList,
+} from 'react-native';
+import renderer from 'react-test-renderer';
+
+import { data } from '../../test-utils';
+
+import { useImmutableListData } from '..';
+
+const PEOPLE = Immutable.fromJS([
+  { id: 'a', name: 'Bo', team: 'red' },
+  { id: 'b', name: 'Al', team: 'blue' },
+  { id: 'c', name: 'Cy', team: 'red' },
+]);
+
+// eslint-disable-next-line react/prop-types
+const renderPerson = ({ item }) => <Text>{item.get('name')}</Text>;
+
+const getTexts = (tree) => tree.root.findAllByType(Text).map((text) => text.props.children);
+
+/**
+ * Render a component calling the hook, and return the renderer along with a function returning the latest result.
+ */
+function renderHook(immutableData, options) {
+  let result;
+  // eslint-disable-next-line react/prop-types
+  const TestComponent = ({ immutableData: hookData, options: hookOptions }) => {
+    result = useImmutableListData(hookData, hookOptions);
+    return null;
+  };
+
+  const tree = renderer.create(<TestComponent immutableData={immutableData} options={options} />);
+  const update = (nextImmutableData, nextOptions) => tree.update(
+    <TestComponent immutableData={nextImmutableData} options={nextOptions} />,
+  );
+
+  return { getResult: () => result, update };
+}
+
+describe('useImmutableListData', () => {
+  it('returns the props for a VirtualizedList', () => {
+    const ListOfPeople = () => (
+      <VirtualizedList
+        {...useImmutableListData(PEOPLE, { rowKey: ['id'], sortBy: ['name'] })}
+        renderItem={renderPerson}
+      />
+    );
+
+    const tree = renderer.create(<ListOfPeople />);
+    expect(getTexts(tree)).toEqual(['Al', 'Bo', 'Cy']);
+    expect(tree.root.findByType(VirtualizedList).props.keyExtractor(null, 0)).toBe('b');
+  });
+
+  it('returns the items for a FlatList', () => {
+    const ListOfPeople = () => {
+      const { items, keyExtractor } = useImmutableListData(PEOPLE, { rowKey: ['id'], searchQuery: 'y' });
+      return <FlatList data={items} keyExtractor={keyExtractor} renderItem={renderPerson} />;
+    };
+
+    const tree = renderer.create(<ListOfPeople />);
+    expect(getTexts(tree)).toEqual(['Cy']);
+    expect(tree.root.findByType(FlatList).props.keyExtractor(null, 0)).toBe('c');
+  });
+
+  it('returns the sections for a SectionList', () => {
+    const ListOfTeams = () => {
+      const { sections } = useImmutableListData(PEOPLE, { rowKey: ['id'], groupBy: ['team'] });
+      return (
+        <SectionList
+          sections={sections}
+          renderItem={renderPerson}
+          // eslint-disable-next-line react/prop-types
+          renderSectionHeader={({ section }) => <Text>{section.sectionKey}</Text>}
+        />
+      );
+    };
+
+    const tree = renderer.create(<ListOfTeams />);
+    expect(getTexts(tree)).toEqual(['red', 'Bo', 'Cy', 'blue', 'Al']);
+  });
+
+  it('returns the sections of sectioned data', () => {
+    const { getResult } = renderHook(data.MAP_DATA_MAP_ROWS, { sectioned: true });
+    const { sections } = getResult();
+
+    expect(sections.map((section) => section.key)).toEqual(['first', 'second']);
+    expect(sections[0].keyExtractor(null, 0)).toBe('row1');
+    expect(getResult().items).toBeUndefined();
+  });
+
+  it('uses the keys of keyed data', () => {
+    const { getResult } = renderHook(Immutable.OrderedMap([['b', 'bee'], ['a', 'ay']]));
+    const { data: listData, getItem, getItemCount, keyExtractor } = getResult();
+
+    expect(getItemCount(listData)).toBe(2);
+    expect(getItem(listData, 1)).toBe('ay');
+    expect(keyExtractor('ay', 1)).toBe('a');
+  });
+
+  it('only derives the data again when its inputs change in value', () => {
+    const { getResult, update } = renderHook(PEOPLE, { rowKey: ['id'], sortBy: ['name'] });
+    const result = getResult();
+
+    update(Immutable.fromJS(PEOPLE.toJS()), { rowKey: ['id'], sortBy: ['name'] });
+    expect(getResult()).toBe(result);
+
+    update(PEOPLE, { rowKey: ['name'], sortBy: ['name'] });
+    expect(getResult()).not.toBe(result);
+    expect(getResult().data).toBe(result.data);
+    expect(getResult().keyExtractor(null, 0)).toBe('Al');
+
+    update(PEOPLE.pop(), { rowKey: ['name'], sortBy: ['name'] });
+    expect(getResult().items).toHaveLength(2);
+  });
+
+  it('handles missing data', () => {
+    const { getResult } = renderHook(null);
+    expect(getResult().items).toEqual([]);
+    expect(getResult().getItemCount(getResult().data)).toBe(0);
+
+    expect(renderHook(null, { sectioned: true }).getResult().sections).toEqual([]);
+  });
+});
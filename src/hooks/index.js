@@ -0,0 +1,3 @@
+import useImmutableListData from './useImmutableListData';
+
+export { useImmutableListData };
@@ -0,0 +1,86 @@
+import { useRef } from 'react';
+
+import utils from '../utils';
+
+/**
+ * Like `useMemo`, but only computes the value again when `isSame` says the input has changed,
+ * so that inputs can be compared by value (e.g. a `rowKey={['id']}` written inline) rather than by reference.
+ */
+function useValueMemo(input, isSame, compute) {
+  const memo = useRef(null);
+
+  if (!memo.current || !isSame(memo.current.input, input)) {
+    memo.current = { input, value: compute(input) };
+  }
+
+  return memo.current.value;
+}
+
+const isSameListData = (prevInput, nextInput) => (
+  prevInput.isSectioned === nextInput.isSectioned && utils.isSameDerivation(prevInput, nextInput)
+);
+
+const isSameListProps = (prevInput, nextInput) => (
+  prevInput.listData === nextInput.listData && prevInput.isSectioned === nextInput.isSectioned
+  && utils.isSameRowKey(prevInput.rowKey, nextInput.rowKey)
+);
+
+/**
+ * Derive everything needed to render Immutable data in a `FlatList`, `SectionList`, or `VirtualizedList`,
+ * using the same helpers as the Immutable list components:
+ *
+ * - `data`: `immutableData` as filtered, searched, sorted, and grouped by the options.
+ * - `getItem`, `getItemCount`, and `keyExtractor`: for rendering `data` in a `VirtualizedList`.
+ * - `items`: the rows of `data` as an array, for a `FlatList` (along with `keyExtractor`).
+ * - `sections`: the sections of `data` as expected by a `SectionList`, each with its own `keyExtractor`.
+ *
+ * For sectioned data, only `data` and `sections` are set.
+ * Everything is memoized, and only derived again when `immutableData` or the options change in value.
+ *
+ * @param {Immutable.Iterable} immutableData
+ * @param {Object} [options]
+ * @param {Array|Function} [options.rowKey] Gives the key of each row; see `utils.getRowKey`.
+ * @param {Boolean} [options.sectioned] Whether `immutableData` is a collection of sections, as for a SectionList.
+ * @param {Function} [options.filter] See `utils.getDerivedData`, as are `searchQuery`, `searchKeys`, `sortBy`,
+ *   and `comparator`.
+ * @param {Array|Function} [options.groupBy] Groups flat data into sections; see `utils.getGroupedData`,
+ *   as is `sectionOrder`.
+ * @returns {Object}
+ */
+function useImmutableListData(immutableData, options = {}) {
+  const { rowKey, sectioned } = options;
+  const isSectioned = !!(sectioned || options.groupBy);
+
+  const listData = useValueMemo(
+    { ...utils.getDerivationProps(options), immutableData, isSectioned },
+    isSameListData,
+    (input) => (input.immutableData ? utils.getListData(input, isSectioned) : input.immutableData),
+  );
+
+  return useValueMemo({ listData, rowKey, isSectioned }, isSameListProps, () => {
+    if (isSectioned) {
+      const sections = (listData
+        ? utils.getSectionListSections(listData, rowKey).map((section) => (
+          { ...section, keyExtractor: utils.getSectionKeyExtractor(section, rowKey) }
+        ))
+        : []);
+
+      return { data: listData, sections };
+    }
+
+    const rowKeys = listData ? utils.getRowKeys(listData, rowKey, __DEV__) : [];
+    // Rows can be looked up directly by their index in e.g. a List, but keyed data needs its own keys.
+    const itemKeys = (listData && !utils.isImmutableIndexed(listData) ? utils.getKeys(listData) : null);
+    const hasMeaningfulKeys = utils.hasMeaningfulKeys(listData, rowKey);
+
+    return {
+      data: listData,
+      items: listData ? utils.toCollection(listData).valueSeq().toArray() : [],
+      getItem: (items, index) => utils.getValueFromKey(itemKeys ? itemKeys[index] : index, items),
+      getItemCount: (items) => (itemKeys ? itemKeys.length : ((items && items.size) || 0)),
+      keyExtractor: (item, index) => String(hasMeaningfulKeys ? rowKeys[index] : index),
+    };
+  });
+}
+
+export default useImmutableListData;
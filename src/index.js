@@ -1,3 +1,5 @@
+import utils from './utils';
+
 export {
   default as ImmutableListView,
   EmptyListView,
@@ -6,4 +8,19 @@ export {
 export {
   default as ImmutableVirtualizedList,
   EmptyVirtualizedList,
-} from './ImmutableVirtualizedList';
\ No newline at end of file
+} from './ImmutableVirtualizedList';
+
+export {
+  ImmutableSectionList,
+  EmptySectionList,
+} from './ImmutableSectionList';
+
+export { RenderStatsOverlay } from './RenderStatsOverlay';
+
+export { useImmutableListData } from './hooks';
+
+export const mergePage = utils.mergePage.bind(utils);
+
+export const getRowDiff = utils.getRowDiff.bind(utils);
+
+export const getSectionDiff = utils.getSectionDiff.bind(utils);
@@ -0,0 +1,57 @@
+/** How long to wait for the rows near the target to be rendered and measured before trying again. */
+const RETRY_DELAY = 50;
+
+const MAX_ATTEMPTS = 10;
+
+/**
+ * Scroll a list to a row whose position may not have been measured yet, e.g. because it hasn't been rendered.
+ *
+ * `scroll` is called to scroll straight to the row. If the row's position is unknown, it should return
+ * the info that the list passed to `onScrollToIndexFailed` (`{ index, averageItemLength }`), in which case
+ * `scrollNear` is called with that info to scroll to the row's estimated position. Once the rows around there
+ * have been rendered and measured, the scroll is tried again.
+ *
+ * @param {Function} scroll Scrolls to the row, returning the info about the failure if it couldn't.
+ *   It may throw, e.g. if there's no such row, which rejects the promise.
+ * @param {Function} scrollNear Takes the info about the failure and scrolls to the row's estimated position.
+ * @returns {Promise} Resolves once the list has scrolled to the row, or rejects if it couldn't be reached.
+ */
+function scrollToRow(scroll, scrollNear) {
+  return new Promise((resolve, reject) => {
+    let attempts = 0;
+
+    const attempt = () => {
+      attempts += 1;
+
+      let failure;
+      try {
+        failure = scroll();
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      if (!failure) {
+        // Give the list a frame to render the rows that are now on screen.
+        requestAnimationFrame(() => resolve());
+      } else if (attempts >= MAX_ATTEMPTS) {
+        reject(new Error(`Couldn't scroll to the row at index ${failure.index}: Its position was never measured.`));
+      } else {
+        scrollNear(failure);
+        setTimeout(attempt, RETRY_DELAY);
+      }
+    };
+
+    attempt();
+  });
+}
+
+/**
+ * Fail the same way VirtualizedList does when it can't scroll to an index and there's no `onScrollToIndexFailed`.
+ */
+export function throwScrollToIndexError() {
+  throw new Error('scrollToIndex should be used in conjunction with getItemLayout or onScrollToIndexFailed, '
+    + 'otherwise there is no way to know the location of offscreen indices or handle failures.');
+}
+
+export default scrollToRow;
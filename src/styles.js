@@ -5,4 +5,19 @@ export default StyleSheet.create({
     padding: 8,
     textAlign: 'center',
   },
+  footer: {
+    padding: 8,
+  },
+  statsOverlay: {
+    position: 'absolute',
+    top: 8,
+    right: 8,
+    padding: 4,
+    borderRadius: 4,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+  },
+  statsText: {
+    color: 'white',
+    fontSize: 10,
+  },
 });
@@ -1,97 +1,20 @@
 /* eslint-disable import/no-extraneous-dependencies */
+import util from 'util';
 import Immutable from 'immutable';
 import React from 'react';
-import { Text } from 'react-native';
-import { ListView } from 'deprecated-react-native-listview';
+import { LayoutAnimation } from 'react-native';
 import renderer from 'react-test-renderer';
 /* eslint-enable */
 
 import { ImmutableListView } from './ImmutableListView';
 import { ImmutableVirtualizedList } from './ImmutableVirtualizedList';
-
-/**
- * Some common types of data you may want to render with ImmutableListView.
- * @see https://facebook.github.io/react-native/docs/listviewdatasource.html#constructor
- */
-const data = {
-  EMPTY_DATA: Immutable.List(),
-
-  LIST_DATA: Immutable.List([
-    'lists',
-    'are',
-    'great',
-  ]),
-
-  LIST_DATA_NESTED: Immutable.List([
-    [
-      'so',
-      'are',
-    ],
-    [
-      'nested',
-      'lists',
-    ],
-  ]),
-
-  MAP_DATA_LIST_ROWS: Immutable.fromJS({
-    first: [
-      'm',
-      'a',
-      'p',
-    ],
-    second: [
-      'foo',
-    ],
-    third: [
-    ],
-    fourth: [
-      'bar',
-    ],
-  }),
-
-  MAP_DATA_MAP_ROWS: Immutable.fromJS({
-    first: {
-      row1: 'data 1',
-      row2: 'data 2',
-    },
-    second: {},
-  }),
-
-  SET_DATA: Immutable.Set([
-    'one',
-    'two',
-    'three',
-  ]),
-
-  RANGE_DATA: Immutable.Range(3, 10, 3),
-};
-
-const renderers = {
-  /**
-   * @param {*} rowData
-   */
-  renderRow(rowData) {
-    return <Text>{JSON.stringify(rowData)}</Text>;
-  },
-
-  // eslint-disable-next-line react/prop-types
-  renderItem({ item }) {
-    return <Text>{JSON.stringify(item)}</Text>;
-  },
-
-  /**
-   * @param {Immutable.Iterable} sectionData
-   * @param {String} category
-   */
-  renderSectionHeader(sectionData, category) {
-    return <Text header>{`${category} (${sectionData.size} items)`}</Text>;
-  },
-};
+import { ImmutableSectionList } from './ImmutableSectionList';
+import { data, renderers } from './testing';
 
 const mocks = {
   /**
-   * Mock ScrollView so that it doesn't contain any props when rendered by ListView.
-   * This is useful for comparison between ListView and ImmutableListView.
+   * Mock ScrollView so that it doesn't contain any props when rendered by a list.
+   * This is useful for comparison between the underlying lists and ImmutableListView.
    *
    * @returns {ImmutableListView}
    */
@@ -105,9 +28,46 @@ const mocks = {
     // eslint-disable-next-line global-require
     return require('./ImmutableListView').ImmutableListView;
   },
+
+  /**
+   * Mock `LayoutAnimation.configureNext`, since the native module that it uses isn't available in tests.
+   * Restore it afterwards with `LayoutAnimation.configureNext.mockRestore()`.
+   */
+  mockLayoutAnimation() {
+    jest.spyOn(LayoutAnimation, 'configureNext').mockImplementation(() => {});
+  },
 };
 
+/** The components of this library, which shouldn't cause any StrictMode warnings. */
+const LIBRARY_COMPONENT_NAMES = [
+  'ImmutableListView', 'ImmutableVirtualizedList', 'ImmutableSectionList',
+  'EmptyListView', 'EmptyVirtualizedList', 'EmptySectionList', 'StaticRenderer', 'StaticContent', 'AnimatedRow',
+];
+
 const expectors = {
+  /**
+   * Render the element inside `React.StrictMode`, expecting no warnings about any of this library's components.
+   * React Native's own components (e.g. ScrollView) still use legacy lifecycles, so warnings about them are ignored.
+   *
+   * @param {React.Element} element
+   * @returns {Object} The test renderer, whose `update` also renders inside `React.StrictMode`.
+   */
+  expectToRenderInStrictMode(element) {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const tree = renderer.create(<React.StrictMode>{element}</React.StrictMode>);
+    const { update } = tree;
+    tree.update = (nextElement) => update(<React.StrictMode>{nextElement}</React.StrictMode>);
+
+    const warnings = consoleError.mock.calls
+      .map((args) => util.format(...args))
+      .filter((warning) => LIBRARY_COMPONENT_NAMES.some((name) => warning.includes(name)));
+    consoleError.mockRestore();
+
+    expect(warnings).toEqual([]);
+    return tree;
+  },
+
   expectToMatchSnapshotWithData(immutableData, shouldRenderSectionHeaders) {
     const renderSectionHeaderProps = shouldRenderSectionHeaders
       ? { renderSectionHeader: renderers.renderSectionHeader }
@@ -133,13 +93,21 @@ const expectors = {
     expect(tree).toMatchSnapshot();
   },
 
-  expectToMatchListViewWithData(immutableData, shouldRenderSectionHeaders) {
-    const MockedImmutableListView = mocks.getImmutableListViewWithoutProps();
+  expectSectionListToMatchSnapshotWithData(immutableData) {
+    const tree = renderer.create(
+      <ImmutableSectionList
+        immutableData={immutableData}
+        renderItem={renderers.renderItem}
+        renderSectionHeader={renderers.renderSectionListHeader}
+      />,
+    ).toJSON();
+    expect(tree).toMatchSnapshot();
+  },
 
-    const dataSource = new ListView.DataSource({
-      rowHasChanged: (r1, r2) => r1 !== r2,
-      sectionHeaderHasChanged: (s1, s2) => s1 !== s2,
-    });
+  expectToMatchListWithData(immutableData, shouldRenderSectionHeaders) {
+    const MockedImmutableListView = mocks.getImmutableListViewWithoutProps();
+    // eslint-disable-next-line global-require
+    const { FlatList: MockedFlatList, SectionList: MockedSectionList } = require('react-native');
 
     const renderSectionHeaderProps = shouldRenderSectionHeaders
       ? { renderSectionHeader: renderers.renderSectionHeader }
@@ -154,16 +122,28 @@ const expectors = {
       />,
     ).toJSON();
 
-    const updatedDataSource = dataSource.cloneWithRows(immutableData.toJS());
-    const regularTree = renderer.create(
-      <ListView
-        dataSource={updatedDataSource}
-        renderRow={renderers.renderRow}
-        {...renderSectionHeaderProps}
-      />,
-    ).toJSON();
-
-    expect(immutableTree).toEqual(regularTree);
+    const mutableData = immutableData.toJS();
+    const regularTree = renderer.create(shouldRenderSectionHeaders
+      ? (
+        <MockedSectionList
+          sections={Object.keys(mutableData).map((key) => ({ key, data: Object.values(mutableData[key]) }))}
+          renderItem={({ item }) => renderers.renderRow(item)}
+          // eslint-disable-next-line react/prop-types
+          renderSectionHeader={({ section }) => (
+            renderers.renderSectionHeader(Immutable.List(section.data), section.key)
+          )}
+        />
+      )
+      : (
+        <MockedFlatList
+          data={Object.values(mutableData)}
+          renderItem={({ item }) => renderers.renderRow(item)}
+          keyExtractor={(item, index) => String(index)}
+        />
+      )).toJSON();
+
+    // Each list creates its own event handlers, so compare everything except the functions.
+    expect(JSON.stringify(immutableTree)).toEqual(JSON.stringify(regularTree));
   },
 };
 
@@ -0,0 +1,146 @@
+import path from 'path';
+import Immutable from 'immutable';
+import React from 'react';
+import { Text } from 'react-native';
+import renderer from 'react-test-renderer';
+
+import packageJson from '../../../package.json';
+import testingPackageJson from '../../../testing/package.json';
+
+import { ImmutableListView } from '../../ImmutableListView';
+import { ImmutableVirtualizedList } from '../../ImmutableVirtualizedList';
+import { ImmutableSectionList } from '../../ImmutableSectionList';
+
+import {
+  data, renderers, render, getRowByKey, getVisibleKeys, getSectionHeaders, scrollToEnd,
+} from '..';
+
+const LONG_DATA = Immutable.Range(0, 50).map((id) => Immutable.Map({ id: `row${id}` })).toList();
+
+const getText = (instance) => instance.findByType(Text).props.children;
+
+describe('testing render', () => {
+  it('lays out every row of a long list', () => {
+    const element = <ImmutableVirtualizedList immutableData={LONG_DATA} renderItem={renderers.renderItem} />;
+
+    expect(getVisibleKeys(renderer.create(element))).toHaveLength(10);
+    expect(getVisibleKeys(render(element))).toHaveLength(50);
+  });
+
+  it('lays out every row of a ListView without waiting for interactions', () => {
+    const tree = render(
+      <ImmutableListView
+        immutableData={LONG_DATA}
+        rowKey={['id']}
+        rowsDuringInteraction={5}
+        renderRow={renderers.renderRow}
+      />,
+    );
+
+    expect(getVisibleKeys(tree)).toEqual(LONG_DATA.map((row) => row.get('id')).toArray());
+    tree.unmount();
+  });
+
+  it('keeps laying out every row when updated', () => {
+    const tree = render(<ImmutableVirtualizedList immutableData={data.LIST_DATA} renderItem={renderers.renderItem} />);
+    tree.update(<ImmutableVirtualizedList immutableData={LONG_DATA} renderItem={renderers.renderItem} />);
+
+    expect(getVisibleKeys(tree)).toHaveLength(50);
+    tree.unmount();
+  });
+
+  it('only renders the lists of this library', () => {
+    expect(() => render(<Text>Not a list</Text>)).toThrow();
+  });
+});
+
+describe('testing queries', () => {
+  it('finds rows by key', () => {
+    const tree = render(
+      <ImmutableVirtualizedList immutableData={LONG_DATA} rowKey={['id']} renderItem={renderers.renderItem} />,
+    );
+
+    expect(getText(getRowByKey(tree, 'row42'))).toBe(JSON.stringify({ id: 'row42' }));
+    expect(() => getRowByKey(tree, 'row50')).toThrow('No row was rendered with key "row50"');
+  });
+
+  it('finds rows and headers of sections', () => {
+    const tree = render(
+      <ImmutableSectionList
+        immutableData={data.MAP_DATA_MAP_ROWS}
+        renderItem={renderers.renderItem}
+        renderSectionHeader={renderers.renderSectionListHeader}
+      />,
+    );
+
+    expect(getVisibleKeys(tree)).toEqual(['row1', 'row2']);
+    expect(getText(getRowByKey(tree, 'row2', 'first'))).toBe('"data 2"');
+    expect(() => getRowByKey(tree, 'row2', 'second')).toThrow();
+    expect(getSectionHeaders(tree).map(getText)).toEqual(['first (2 items)', 'second (0 items)']);
+  });
+
+  it('finds rows and headers of a ListView with sections', () => {
+    const tree = render(
+      <ImmutableListView
+        immutableData={data.MAP_DATA_LIST_ROWS}
+        renderRow={renderers.renderRow}
+        renderSectionHeader={renderers.renderSectionHeader}
+      />,
+    );
+
+    expect(getVisibleKeys(tree)).toEqual(['0', '1', '2', '0', '0']);
+    expect(getText(getRowByKey(tree, 0, 'fourth'))).toBe('"bar"');
+    expect(getSectionHeaders(tree).map(getText)).toEqual([
+      'first (3 items)', 'second (1 items)', 'third (0 items)', 'fourth (1 items)',
+    ]);
+  });
+
+  it('only finds the rows of the outermost list', () => {
+    const tree = render(
+      <ImmutableVirtualizedList
+        immutableData={data.LIST_DATA}
+        renderItem={() => (
+          <ImmutableVirtualizedList immutableData={data.SET_DATA} renderItem={renderers.renderItem} />
+        )}
+      />,
+    );
+
+    expect(getVisibleKeys(tree)).toEqual(['0', '1', '2']);
+  });
+});
+
+describe('testing scrollToEnd', () => {
+  it('loads more rows', () => {
+    const loadMore = jest.fn(() => new Promise(() => {}));
+    const tree = render(
+      <ImmutableVirtualizedList immutableData={data.LIST_DATA} loadMore={loadMore} renderItem={renderers.renderItem} />,
+    );
+
+    scrollToEnd(tree);
+    expect(loadMore).toHaveBeenCalledTimes(1);
+    tree.unmount();
+  });
+
+  it('calls onEndReached', () => {
+    const onEndReached = jest.fn();
+    const tree = render(
+      <ImmutableListView immutableData={data.LIST_DATA} onEndReached={onEndReached} renderRow={renderers.renderRow} />,
+    );
+
+    scrollToEnd(tree);
+    expect(onEndReached).toHaveBeenCalledWith({ distanceFromEnd: 0 });
+    tree.unmount();
+  });
+});
+
+describe('testing package entry', () => {
+  it('points at the copy of the testing entry that is built before packing', () => {
+    const rootDir = path.resolve(__dirname, '../../..');
+    const entry = path.relative(rootDir, path.resolve(rootDir, 'testing', testingPackageJson.main));
+
+    expect(entry).toBe(path.join('lib', 'testing', 'index.js'));
+    expect(packageJson.scripts.build).toContain('babel src --out-dir lib');
+    expect(packageJson.scripts.prepack).toContain('build');
+    expect(packageJson.files).toEqual(expect.arrayContaining(['lib', 'testing']));
+  });
+});
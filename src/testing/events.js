@@ -0,0 +1,21 @@
+import renderer from 'react-test-renderer';
+
+import { getList } from './queries';
+
+/**
+ * Simulate scrolling to the end of the list, calling its `onEndReached` (and so `loadMore`)
+ * the same way the list does once the user scrolls close enough to the end.
+ *
+ * @param {Object} tree A test renderer, e.g. from `render`.
+ * @param {Number} [distanceFromEnd]
+ */
+function scrollToEnd(tree, distanceFromEnd = 0) {
+  const { onEndReached } = getList(tree).props;
+  if (!onEndReached) return;
+
+  renderer.act(() => {
+    onEndReached({ distanceFromEnd });
+  });
+}
+
+export { scrollToEnd };
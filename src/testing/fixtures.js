@@ -0,0 +1,90 @@
+import Immutable from 'immutable';
+import React from 'react';
+import { Text } from 'react-native';
+
+/**
+ * Some common types of data you may want to render with ImmutableListView.
+ * @see https://facebook.github.io/react-native/docs/listviewdatasource.html#constructor
+ */
+const data = {
+  EMPTY_DATA: Immutable.List(),
+
+  LIST_DATA: Immutable.List([
+    'lists',
+    'are',
+    'great',
+  ]),
+
+  LIST_DATA_NESTED: Immutable.List([
+    [
+      'so',
+      'are',
+    ],
+    [
+      'nested',
+      'lists',
+    ],
+  ]),
+
+  MAP_DATA_LIST_ROWS: Immutable.fromJS({
+    first: [
+      'm',
+      'a',
+      'p',
+    ],
+    second: [
+      'foo',
+    ],
+    third: [
+    ],
+    fourth: [
+      'bar',
+    ],
+  }),
+
+  MAP_DATA_MAP_ROWS: Immutable.fromJS({
+    first: {
+      row1: 'data 1',
+      row2: 'data 2',
+    },
+    second: {},
+  }),
+
+  SET_DATA: Immutable.Set([
+    'one',
+    'two',
+    'three',
+  ]),
+
+  RANGE_DATA: Immutable.Range(3, 10, 3),
+};
+
+/** Simple renderers for each kind of list, which show the data of each row as JSON. */
+const renderers = {
+  /**
+   * @param {*} rowData
+   */
+  renderRow(rowData) {
+    return <Text>{JSON.stringify(rowData)}</Text>;
+  },
+
+  // eslint-disable-next-line react/prop-types
+  renderItem({ item }) {
+    return <Text>{JSON.stringify(item)}</Text>;
+  },
+
+  /**
+   * @param {Immutable.Iterable} sectionData
+   * @param {String} category
+   */
+  renderSectionHeader(sectionData, category) {
+    return <Text header>{`${category} (${sectionData.size} items)`}</Text>;
+  },
+
+  // eslint-disable-next-line react/prop-types
+  renderSectionListHeader({ section }) {
+    return renderers.renderSectionHeader(section.sectionData, section.sectionKey);
+  },
+};
+
+export { data, renderers };
@@ -0,0 +1,14 @@
+import { data, renderers } from './fixtures';
+import render from './render';
+import { getRowByKey, getVisibleKeys, getSectionHeaders } from './queries';
+import { scrollToEnd } from './events';
+
+export {
+  data,
+  renderers,
+  render,
+  getRowByKey,
+  getVisibleKeys,
+  getSectionHeaders,
+  scrollToEnd,
+};
@@ -0,0 +1,132 @@
+import { VirtualizedList } from 'react-native';
+
+/**
+ * Return the outermost `VirtualizedList` rendered by the tree, which every list in this library renders through.
+ *
+ * @param {Object} tree A test renderer, e.g. from `render`.
+ * @returns {Object} The list's test instance.
+ */
+function getList(tree) {
+  const [list] = tree.root.findAllByType(VirtualizedList);
+  if (!list) throw new Error('No list was rendered.');
+  return list;
+}
+
+/**
+ * Return the key of each item in the list's data, as given by its `keyExtractor`, mapped to the item's index.
+ *
+ * @param {Object} list The list's test instance, from `getList`.
+ * @returns {Map<String, Number>}
+ */
+function getItemIndicesByKey(list) {
+  const {
+    data, getItem, getItemCount, keyExtractor,
+  } = list.props;
+
+  const indices = new Map();
+  for (let index = 0; index < getItemCount(data); index += 1) {
+    indices.set(keyExtractor(getItem(data, index), index), index);
+  }
+  return indices;
+}
+
+/**
+ * Describe each cell that the list has rendered: a row, or a section's header or footer.
+ * The list renders its scroll component with a child for each cell, keyed by the `keyExtractor` of its item,
+ * so the cells are found by those children rather than by the list's internal components.
+ * The cells of a SectionList are keyed by `${sectionKey}:${rowKey}`, so the row keys are taken from there.
+ *
+ * @param {Object} tree
+ * @returns {Array} Objects with the `type` of cell, its row `key` (if a row), its `section` (if any), and the `cell`.
+ */
+function getCells(tree) {
+  const list = getList(tree);
+  const { sections } = list.props;
+  const itemIndices = getItemIndicesByKey(list);
+
+  // Spacers and the list's own header and footer are also children, but aren't keyed by any item.
+  const [scrollComponent] = list.children;
+  const cellKeysByProps = new Map([].concat(scrollComponent.props.children)
+    .filter((child) => child && itemIndices.has(child.key))
+    .map((child) => [child.props, child.key]));
+
+  // Each child is rendered with its own props, so this doesn't reach the cells of any lists nested within it.
+  const cells = list.findAll((node) => cellKeysByProps.has(node.props), { deep: false });
+
+  return cells.map((cell) => {
+    const cellKey = cellKeysByProps.get(cell.props);
+    if (!sections) return { type: 'row', key: cellKey, cell };
+
+    // Each section adds a cell for its header before its rows, and one for its footer after them.
+    let indexInSection = itemIndices.get(cellKey);
+    const sectionIndex = sections.findIndex((section) => {
+      if (indexInSection < section.data.length + 2) return true;
+      indexInSection -= section.data.length + 2;
+      return false;
+    });
+    const section = sections[sectionIndex];
+
+    if (indexInSection === 0) return { type: 'header', section, cell };
+    if (indexInSection === section.data.length + 1) return { type: 'footer', section, cell };
+
+    const sectionPrefix = `${section.key || sectionIndex}:`;
+    return {
+      type: 'row', key: cellKey.slice(sectionPrefix.length), section, cell,
+    };
+  });
+}
+
+/**
+ * Return the keys of the rows that are currently rendered, in order.
+ * With `render`, that's every row of the list.
+ *
+ * @param {Object} tree
+ * @returns {Array<String>}
+ */
+function getVisibleKeys(tree) {
+  return getCells(tree)
+    .filter(({ type }) => type === 'row')
+    .map(({ key }) => key);
+}
+
+/**
+ * Return the rendered row with the given key (as a string, like the list's `keyExtractor`),
+ * throwing if there isn't one. Keys only need to be unique within a section,
+ * so the row's `sectionKey` can be given too.
+ *
+ * @param {Object} tree
+ * @param {*} key
+ * @param {*} [sectionKey]
+ * @returns {Object} The test instance of the row's cell.
+ */
+function getRowByKey(tree, key, sectionKey) {
+  const row = getCells(tree).find((cellInfo) => (
+    cellInfo.type === 'row' && cellInfo.key === String(key)
+    && (sectionKey === undefined || cellInfo.section.key === String(sectionKey))
+  ));
+
+  if (!row) {
+    throw new Error(`No row was rendered with key ${JSON.stringify(key)}. Rendered keys: ${getVisibleKeys(tree)}`);
+  }
+
+  return row.cell;
+}
+
+/**
+ * Return the rendered section headers, in order.
+ *
+ * @param {Object} tree
+ * @returns {Array} The test instance of each header's cell.
+ */
+function getSectionHeaders(tree) {
+  return getCells(tree)
+    .filter(({ type }) => type === 'header')
+    .map(({ cell }) => cell);
+}
+
+export {
+  getList,
+  getRowByKey,
+  getVisibleKeys,
+  getSectionHeaders,
+};
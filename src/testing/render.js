@@ -0,0 +1,51 @@
+import React from 'react';
+import renderer from 'react-test-renderer';
+
+import { ImmutableListView, EmptyListView } from '../ImmutableListView';
+import { ImmutableVirtualizedList, EmptyVirtualizedList } from '../ImmutableVirtualizedList';
+import { ImmutableSectionList, EmptySectionList } from '../ImmutableSectionList';
+
+/** Nothing is ever laid out in tests, so the lists are told to render this many rows up front instead. */
+const ALL_ROWS = Number.MAX_SAFE_INTEGER;
+
+const LIST_TYPES = [
+  ImmutableListView, EmptyListView, ImmutableVirtualizedList, EmptyVirtualizedList,
+  ImmutableSectionList, EmptySectionList,
+];
+
+/**
+ * Return the element with props that make its list render every row at once, without virtualization.
+ *
+ * @param {React.Element} element
+ * @returns {React.Element}
+ */
+function withoutVirtualization(element) {
+  if (!element || !LIST_TYPES.includes(element.type)) {
+    throw new Error('Only the lists of react-native-immutable-list-view can be rendered without virtualization.');
+  }
+
+  // Render every row straight away, rather than in batches once interactions have finished.
+  const props = { disableVirtualization: true, rowsDuringInteraction: undefined };
+
+  return React.cloneElement(element, element.type === ImmutableListView || element.type === EmptyListView
+    ? { ...props, initialListSize: ALL_ROWS }
+    : { ...props, initialNumToRender: ALL_ROWS });
+}
+
+/**
+ * Render one of the lists with `react-test-renderer`, laying out every row without virtualization,
+ * so that tests can find any row no matter how long the list is.
+ *
+ * @param {React.Element} element An ImmutableListView, ImmutableVirtualizedList, or ImmutableSectionList.
+ * @returns {Object} The test renderer, whose `update` also renders every row.
+ */
+function render(element) {
+  const tree = renderer.create(withoutVirtualization(element));
+
+  const { update } = tree;
+  tree.update = (nextElement) => update(withoutVirtualization(nextElement));
+
+  return tree;
+}
+
+export default render;
@@ -1,14 +1,113 @@
 import Immutable from 'immutable';
 
-const isImmutableIterable = Immutable.Iterable.isIterable;
+// Immutable 4+ has top-level predicates in place of the `Iterable` ones from Immutable 3.8, which are gone in 5.
+const isCollection = Immutable.isCollection || Immutable.Iterable.isIterable;
+const isKeyed = Immutable.isKeyed || Immutable.Iterable.isKeyed;
+const isOrdered = Immutable.isOrdered || Immutable.Iterable.isOrdered;
+
+// Records are keyed collections of their fields in Immutable 3.8, but not collections at all in Immutable 4+.
+const isImmutableRecord = Immutable.isRecord || ((maybeRecord) => maybeRecord instanceof Immutable.Record);
+
+// Check for collections with these predicates rather than `instanceof Immutable.Collection` (e.g. to validate props),
+// because different imports of Immutable.js across files have different class prototypes,
+// and Immutable.js 3.8 names it Immutable.Iterable instead.
+const isImmutableIterable = (maybeIterable) => isCollection(maybeIterable) || isImmutableRecord(maybeIterable);
+const isImmutableKeyed = (maybeKeyed) => isKeyed(maybeKeyed) || isImmutableRecord(maybeKeyed);
+const isImmutableIndexed = Immutable.isIndexed || Immutable.Iterable.isIndexed;
+const isImmutableOrdered = (maybeOrdered) => isOrdered(maybeOrdered) || isImmutableRecord(maybeOrdered);
+const isImmutableSeq = Immutable.isSeq || Immutable.Seq.isSeq;
+
+/**
+ * Return the data as a collection, so that Records can be treated like any other keyed data.
+ *
+ * @param {Immutable.Collection|Immutable.Record} immutableData
+ * @returns {Immutable.Collection}
+ */
+function toCollection(immutableData) {
+  return isImmutableRecord(immutableData) && !isCollection(immutableData) ? immutableData.toSeq() : immutableData;
+}
+
+/** The props that `utils.getDerivedData` and `utils.getGroupedData` derive the data from. */
+const DERIVATION_PROPS = [
+  'immutableData', 'filter', 'searchQuery', 'searchKeys', 'sortBy', 'comparator', 'groupBy', 'sectionOrder',
+];
+
+/**
+ * Returns true if two derivation props are equal in value. Plain arrays such as key paths are compared by value too,
+ * but Seqs are only compared by reference, since comparing e.g. two unbounded Seqs would never finish.
+ */
+function isSameDerivationProp(prevValue, nextValue) {
+  if (prevValue === nextValue) return true;
+  if (isImmutableSeq(prevValue) || isImmutableSeq(nextValue)) return false;
+
+  return (Array.isArray(prevValue) && Array.isArray(nextValue)
+    ? Immutable.is(Immutable.fromJS(prevValue), Immutable.fromJS(nextValue))
+    : Immutable.is(prevValue, nextValue));
+}
+
+/**
+ * Return the keys that can stay where they are when going from their previous order to the given order,
+ * i.e. the longest subsequence of keys whose previous indices are increasing. All other keys have moved.
+ *
+ * @param {Array} keys The keys in their new order.
+ * @param {Map} prevIndices The previous index of each key.
+ * @returns {Set}
+ */
+function getUnmovedKeys(keys, prevIndices) {
+  // tails[length - 1] is the position in `keys` of the smallest tail of any increasing subsequence of that length.
+  const tails = [];
+  const predecessors = [];
+
+  keys.forEach((key, position) => {
+    const prevIndex = prevIndices.get(key);
+
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (prevIndices.get(keys[tails[middle]]) < prevIndex) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    predecessors[position] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = position;
+  });
+
+  const unmovedKeys = new Set();
+  let position = tails.length ? tails[tails.length - 1] : -1;
+  while (position >= 0) {
+    unmovedKeys.add(keys[position]);
+    position = predecessors[position];
+  }
+
+  return unmovedKeys;
+}
 
 const utils = {
 
   /** Contains exactly one item. */
   UNITARY_LIST: Immutable.List(['empty_list']),
 
+  /** Contains exactly one section, which contains exactly one item. */
+  UNITARY_SECTION_LIST: Immutable.List([Immutable.List(['empty_list'])]),
+
   isImmutableIterable,
 
+  isImmutableKeyed,
+
+  isImmutableIndexed,
+
+  isImmutableOrdered,
+
+  isImmutableRecord,
+
+  isImmutableSeq,
+
+  toCollection,
+
   /**
    * Return the keys from a set of data.
    *
@@ -24,7 +123,84 @@ const utils = {
       console.warn(`Can't get keys: Data is not Immutable: ${JSON.stringify(immutableData)}`);
     }
 
-    return immutableData.keySeq().toArray();
+    return toCollection(immutableData).keySeq().toArray();
+  },
+
+  /**
+   * Return the key of a single row as specified by a `rowKey` prop.
+   *
+   * @example
+   * - getRowKey(['meta', 'uuid'], { meta: { uuid: 'abc' } }, 0) will return 'abc'.
+   * - getRowKey((rowData, key) => `${key}-${rowData.id}`, { id: 5 }, 0) will return '0-5'.
+   *
+   * @param {Array|Function} rowKey A key path into the row data, or a function taking (rowData, key).
+   * @param {*} rowData
+   * @param {String|Number} key The key of the row within its data, e.g. its index in a List.
+   * @returns {*} The row's key, or undefined if it has none.
+   */
+  getRowKey(rowKey, rowData, key) {
+    if (typeof rowKey === 'function') {
+      return rowKey(rowData, key);
+    }
+
+    return this.getValueFromKeyPath(rowKey, rowData);
+  },
+
+  /**
+   * Return the keys from a set of data as specified by a `rowKey` prop, or the data's own keys if there's no `rowKey`.
+   * Rows without a key of their own fall back to their key within the data.
+   *
+   * @example
+   * - getRowKeys([{ id: 'a' }, { id: 'b' }], ['id']) will return ['a', 'b'].
+   * - getRowKeys([{ id: 'a' }, {}], ['id']) will return ['a', 1].
+   *
+   * @param {Immutable.Iterable} immutableData
+   * @param {Array|Function} [rowKey]
+   * @param {Boolean} [shouldWarn] Whether to warn about rows with missing or duplicate keys.
+   * @returns {Array} An array of keys for the data.
+   */
+  getRowKeys(immutableData, rowKey, shouldWarn) {
+    if (!rowKey) {
+      return this.getKeys(immutableData);
+    }
+
+    const seenRowKeys = new Set();
+
+    return toCollection(immutableData).entrySeq().map(([key, rowData]) => {
+      const rowKeyValue = this.getRowKey(rowKey, rowData, key);
+
+      if (shouldWarn) {
+        if (rowKeyValue == null) {
+          console.warn(`Row ${JSON.stringify(key)} has no key; using its position instead. Check the rowKey prop.`);
+        } else if (seenRowKeys.has(rowKeyValue)) {
+          console.warn(`Rows have a duplicate key ${JSON.stringify(rowKeyValue)}. Check the rowKey prop.`);
+        }
+      }
+      seenRowKeys.add(rowKeyValue);
+
+      return rowKeyValue == null ? key : rowKeyValue;
+    }).toArray();
+  },
+
+  /**
+   * Returns true if two `rowKey` props will produce the same keys,
+   * so that e.g. `rowKey={['id']}` doesn't cause keys to be recomputed on every render.
+   */
+  isSameRowKey(rowKey, otherRowKey) {
+    if (Array.isArray(rowKey) && Array.isArray(otherRowKey)) {
+      return rowKey.length === otherRowKey.length && rowKey.every((key, index) => key === otherRowKey[index]);
+    }
+
+    return rowKey === otherRowKey;
+  },
+
+  /**
+   * Returns true if the rows of `immutableData` should be keyed by their keys from `getRowKeys` rather than
+   * by their index, i.e. if there's a `rowKey` or the data is keyed.
+   */
+  hasMeaningfulKeys(immutableData, rowKey) {
+    // Set "keys" are the values themselves, so only keyed data has a meaningful key to use.
+    return Boolean(rowKey) || isImmutableKeyed(immutableData);
   },
 
   /**
@@ -35,15 +211,711 @@ const utils = {
    *   will return [[0, 1], [0]].
    *
    * @param {Immutable.Iterable} immutableSectionData
+   * @param {Array|Function} [rowKey] Used to get the row keys; see `getRowKeys`.
    * @returns {Array}
    */
-  getRowIdentities(immutableSectionData) {
+  getRowIdentities(immutableSectionData, rowKey) {
     if (__DEV__ && !isImmutableIterable(immutableSectionData)) {
       console.warn(`Can't get row identities: Data is not Immutable: ${JSON.stringify(immutableSectionData)}`);
     }
 
-    const sectionRowKeys = immutableSectionData.map(this.getKeys);
-    return sectionRowKeys.valueSeq().toArray();
+    return toCollection(immutableSectionData).valueSeq()
+      .map((sectionData) => this.getRowKeys(sectionData, rowKey))
+      .toArray();
+  },
+
+  /**
+   * Return the position of each row within a set of data, as passed to renderers as their `rowContext`,
+   * from the keys given by `getKeys`. Data without sections is treated as a single section with a null key.
+   *
+   * @example
+   * - getRowContexts({ a: ['x', 'y'], b: ['z'] }, true)[1][0] will return {
+   *     index: 2, key: 0, sectionKey: 'b', sectionIndex: 1, indexInSection: 0,
+   *     isFirst: false, isLast: true, isFirstInSection: true, isLastInSection: true,
+   *     rowCount: 3, sectionCount: 2, sectionRowCount: 1,
+   *   }.
+   *
+   * @param {Immutable.Iterable} [immutableData]
+   * @param {Boolean} [isSectioned] Whether the data is a collection of sections, each a collection of rows.
+   * @returns {Array<Array<Object>>} The context of each row, by section index and then by index within the section.
+   */
+  getRowContexts(immutableData, isSectioned) {
+    if (!immutableData) return [[]];
+    if (!isSectioned) return this.getRowContextsFromKeys([null], [this.getKeys(immutableData)]);
+
+    const sections = toCollection(immutableData).entrySeq().toArray();
+    return this.getRowContextsFromKeys(
+      sections.map(([sectionKey]) => sectionKey),
+      sections.map(([, sectionData]) => (sectionData ? this.getKeys(sectionData) : [])),
+    );
+  },
+
+  /**
+   * Return the context of each row as in `getRowContexts`, given the keys of the sections and of their rows,
+   * e.g. for rows that aren't simply the keys of the data, such as the visible rows of a tree.
+   *
+   * @param {Array} sectionKeys
+   * @param {Array<Array>} rowKeysBySection The keys of the rows of each section.
+   * @returns {Array<Array<Object>>}
+   */
+  getRowContextsFromKeys(sectionKeys, rowKeysBySection) {
+    const rowCount = rowKeysBySection.reduce((count, rowKeys) => count + rowKeys.length, 0);
+    const sectionCount = sectionKeys.length;
+
+    let index = 0;
+    return rowKeysBySection.map((rowKeys, sectionIndex) => rowKeys.map((key, indexInSection) => {
+      const rowContext = {
+        index,
+        key,
+        sectionKey: sectionKeys[sectionIndex],
+        sectionIndex,
+        indexInSection,
+        isFirst: index === 0,
+        isLast: index === rowCount - 1,
+        isFirstInSection: indexInSection === 0,
+        isLastInSection: indexInSection === rowKeys.length - 1,
+        rowCount,
+        sectionCount,
+        sectionRowCount: rowKeys.length,
+      };
+      index += 1;
+      return rowContext;
+    }));
+  },
+
+  /**
+   * Return the changes between two versions of a set of data, matching up rows by their keys
+   * (as given by `rowKey`, or else the data's own keys).
+   *
+   * Moved rows are those that changed position relative to the other rows that were kept,
+   * so inserting or removing a row doesn't count as moving the rows after it.
+   * Updated rows are those that were kept but whose data isn't `Immutable.is` its previous data.
+   *
+   * @example
+   * - getRowDiff(['a', 'b', 'c'], ['c', 'a', 'b', 'd']) will return
+   *   { inserted: [3], removed: [], moved: [], updated: [0, 1, 2] }, since rows are matched up by index.
+   * - getRowDiff([{ id: 1 }, { id: 2 }], [{ id: 2 }, { id: 1 }], ['id']) will return
+   *   { inserted: [], removed: [], moved: [1], updated: [] }.
+   *
+   * @param {Immutable.Iterable} [prevImmutableData]
+   * @param {Immutable.Iterable} [nextImmutableData]
+   * @param {Array|Function} [rowKey]
+   * @returns {{ inserted: Array, removed: Array, moved: Array, updated: Array }} The keys of the changed rows.
+   */
+  getRowDiff(prevImmutableData, nextImmutableData, rowKey) {
+    const prevKeys = prevImmutableData ? this.getRowKeys(prevImmutableData, rowKey) : [];
+    const nextKeys = nextImmutableData ? this.getRowKeys(nextImmutableData, rowKey) : [];
+    const prevRows = prevImmutableData ? toCollection(prevImmutableData).valueSeq().toArray() : [];
+    const nextRows = nextImmutableData ? toCollection(nextImmutableData).valueSeq().toArray() : [];
+
+    const prevIndices = new Map(prevKeys.map((key, index) => [key, index]));
+    const nextIndices = new Map(nextKeys.map((key, index) => [key, index]));
+
+    const keptKeys = nextKeys.filter((key) => prevIndices.has(key));
+    const unmovedKeys = getUnmovedKeys(keptKeys, prevIndices);
+
+    return {
+      inserted: nextKeys.filter((key) => !prevIndices.has(key)),
+      removed: prevKeys.filter((key) => !nextIndices.has(key)),
+      moved: keptKeys.filter((key) => !unmovedKeys.has(key)),
+      updated: keptKeys.filter((key) => !Immutable.is(prevRows[prevIndices.get(key)], nextRows[nextIndices.get(key)])),
+    };
+  },
+
+  /**
+   * Return the changes between two versions of sectioned data, as an object containing
+   * the row changes (see `getRowDiff`) of each section that has changed.
+   * The rows of added or removed sections are reported as inserted or removed.
+   *
+   * @example
+   * - getSectionDiff({ s1: ['a'], s2: ['b'] }, { s1: ['a'], s2: ['b', 'c'] }) will return
+   *   { s2: { inserted: [1], removed: [], moved: [], updated: [] } }.
+   *
+   * @param {Immutable.Iterable} [prevImmutableSectionData]
+   * @param {Immutable.Iterable} [nextImmutableSectionData]
+   * @param {Array|Function} [rowKey]
+   * @returns {Object}
+   */
+  getSectionDiff(prevImmutableSectionData, nextImmutableSectionData, rowKey) {
+    const sectionKeys = Immutable.OrderedSet(prevImmutableSectionData ? this.getKeys(prevImmutableSectionData) : [])
+      .union(nextImmutableSectionData ? this.getKeys(nextImmutableSectionData) : []);
+
+    return sectionKeys.reduce((diff, sectionKey) => {
+      const prevSectionData = prevImmutableSectionData && prevImmutableSectionData.get(sectionKey);
+      const nextSectionData = nextImmutableSectionData && nextImmutableSectionData.get(sectionKey);
+      if (prevSectionData === nextSectionData) return diff;
+
+      const rowDiff = this.getRowDiff(prevSectionData, nextSectionData, rowKey);
+      return this.isEmptyRowDiff(rowDiff) ? diff : { ...diff, [sectionKey]: rowDiff };
+    }, {});
+  },
+
+  /**
+   * Returns true if a diff from `getRowDiff` contains no changes.
+   */
+  isEmptyRowDiff(rowDiff) {
+    return !rowDiff.inserted.length && !rowDiff.removed.length && !rowDiff.moved.length && !rowDiff.updated.length;
+  },
+
+  /**
+   * Return the rows to render when animating changes: the given rows, each marked as entering if it's new,
+   * along with any previous rows that have been removed, marked as exiting so that they can be animated out.
+   * Exiting rows stay next to the row that preceded them.
+   *
+   * @example
+   * - getAnimatedRows([{ key: 'a', item: 1, status: 'present' }, { key: 'b', item: 2, status: 'present' }],
+   *   ['b', 'c'], [2, 3]) will return [{ key: 'a', item: 1, status: 'exiting' },
+   *   { key: 'b', item: 2, status: 'present' }, { key: 'c', item: 3, status: 'entering' }].
+   *
+   * @param {Array} [prevAnimatedRows] The rows previously returned, or nothing if the rows are being shown
+   *   for the first time (in which case none of them are entering).
+   * @param {Array} rowKeys The key of each row, e.g. from `getRowKeys`.
+   * @param {Array} items The data of each row.
+   * @returns {Array} An array of `{ key, item, status }`, where `status` is 'entering', 'present', or 'exiting'.
+   */
+  getAnimatedRows(prevAnimatedRows, rowKeys, items) {
+    const prevStatuses = new Map((prevAnimatedRows || []).map((row) => [row.key, row.status]));
+    const nextKeys = new Set(rowKeys);
+
+    // Group the removed rows by the key of the remaining row before them (or null if there isn't one).
+    const exitingRows = new Map();
+    let precedingKey = null;
+    (prevAnimatedRows || []).forEach((row) => {
+      if (nextKeys.has(row.key)) {
+        precedingKey = row.key;
+      } else {
+        exitingRows.set(precedingKey, [...(exitingRows.get(precedingKey) || []), { ...row, status: 'exiting' }]);
+      }
+    });
+
+    return rowKeys.reduce((animatedRows, key, index) => {
+      const prevStatus = prevStatuses.get(key);
+      const isEntering = prevAnimatedRows && (!prevStatus || prevStatus !== 'present');
+      animatedRows.push({ key, item: items[index], status: isEntering ? 'entering' : 'present' });
+      animatedRows.push(...(exitingRows.get(key) || []));
+      return animatedRows;
+    }, [...(exitingRows.get(null) || [])]);
+  },
+
+  /**
+   * Return the rows from `getAnimatedRows` after the row with the given key has finished animating:
+   * an entering row is now present, and an exiting row is removed.
+   * Returns the same array if there's no such row.
+   *
+   * @param {Array} animatedRows
+   * @param {*} key
+   * @param {String} status The status of the row when it started animating: 'entering' or 'exiting'.
+   * @returns {Array}
+   */
+  finishRowAnimation(animatedRows, key, status) {
+    const index = animatedRows.findIndex((row) => row.key === key && row.status === status);
+    if (index < 0) {
+      return animatedRows;
+    }
+
+    const nextAnimatedRows = animatedRows.slice();
+    if (status === 'exiting') {
+      nextAnimatedRows.splice(index, 1);
+    } else {
+      nextAnimatedRows[index] = { ...animatedRows[index], status: 'present' };
+    }
+
+    return nextAnimatedRows;
+  },
+
+  /**
+   * Return an array of sections in the format expected by SectionList.
+   * Each section contains its key and index, and its rows both as given and as the array SectionList requires,
+   * along with the key of each row.
+   *
+   * @example
+   * - getSectionListSections({ section1: ['row1', 'row2'] }) will return [{
+   *     key: 'section1', sectionKey: 'section1', sectionIndex: 0, sectionData, data: ['row1', 'row2'], rowKeys: [0, 1],
+   *   }].
+   *
+   * @param {Immutable.Iterable} immutableSectionData
+   * @param {Array|Function} [rowKey] Used to get the row keys; see `getRowKeys`.
+   * @returns {Array}
+   */
+  getSectionListSections(immutableSectionData, rowKey) {
+    if (__DEV__ && !isImmutableIterable(immutableSectionData)) {
+      console.warn(`Can't get sections: Data is not Immutable: ${JSON.stringify(immutableSectionData)}`);
+    }
+
+    return toCollection(immutableSectionData).entrySeq().map(([sectionKey, sectionData], sectionIndex) => ({
+      key: String(sectionKey),
+      sectionKey,
+      sectionIndex,
+      sectionData,
+      data: sectionData ? toCollection(sectionData).valueSeq().toArray() : [],
+      // Keys only need to be unique within a section, so check them per section.
+      rowKeys: sectionData ? this.getRowKeys(sectionData, rowKey, __DEV__) : [],
+    })).toArray();
+  },
+
+  /**
+   * Return the default `keyExtractor` for a section made by `getSectionListSections`:
+   * the row's key as given by `rowKey`, or else its key within the section.
+   *
+   * @param {Object} section
+   * @param {Array|Function} [rowKey]
+   * @returns {Function} Takes (item, index) and returns the item's key as a string.
+   */
+  getSectionKeyExtractor(section, rowKey) {
+    return (this.hasMeaningfulKeys(section.sectionData, rowKey)
+      ? (item, index) => String(section.rowKeys[index])
+      : (item, index) => String(index));
+  },
+
+  /**
+   * Return the data to render given the `filter`, `searchQuery`, `searchKeys`, `sortBy`, and `comparator` props:
+   * the rows that pass `filter` and match `searchQuery`, sorted by `sortBy` and/or `comparator`.
+   * Returns `immutableData` itself if none of them are given.
+   *
+   * @example
+   * - getDerivedData({ immutableData: [{ name: 'Bo' }, { name: 'Al' }], sortBy: ['name'] })
+   *   will return [{ name: 'Al' }, { name: 'Bo' }].
+   * - getDerivedData({ immutableData: [{ name: 'Bo' }, { name: 'Al' }], searchQuery: 'al', searchKeys: ['name'] })
+   *   will return [{ name: 'Al' }].
+   *
+   * @param {Object} props
+   * @param {Immutable.Iterable} props.immutableData
+   * @param {Function} [props.filter] Takes (rowData, key) and returns true to keep the row.
+   * @param {String} [props.searchQuery] Only rows with a value containing this text (ignoring case) are kept.
+   * @param {Array} [props.searchKeys] The keys or key paths of the values to search; by default, the row itself
+   *   if it's a plain value, or else each of its values.
+   * @param {Array|Function} [props.sortBy] A key path into each row, or a function taking (rowData, key),
+   *   giving the value to sort the row by.
+   * @param {Function} [props.comparator] Takes two rows (or their `sortBy` values) and returns a number, like `sort`.
+   * @returns {Immutable.Iterable}
+   */
+  getDerivedData({
+    immutableData, filter, searchQuery, searchKeys, sortBy, comparator,
+  }) {
+    if (!immutableData) return immutableData;
+
+    let derivedData = toCollection(immutableData);
+
+    if (filter) {
+      derivedData = derivedData.filter((rowData, key) => filter(rowData, key));
+    }
+
+    const query = searchQuery == null ? '' : String(searchQuery).trim().toLowerCase();
+    if (query) {
+      derivedData = derivedData.filter((rowData) => this.matchesSearch(rowData, query, searchKeys));
+    }
+
+    if (sortBy) {
+      const getSortValue = (typeof sortBy === 'function'
+        ? (rowData, key) => sortBy(rowData, key)
+        : (rowData) => this.getValueFromKeyPath(sortBy, rowData));
+      derivedData = derivedData.sortBy(getSortValue, comparator);
+    } else if (comparator) {
+      derivedData = derivedData.sort(comparator);
+    }
+
+    return derivedData === toCollection(immutableData) ? immutableData : derivedData;
+  },
+
+  /**
+   * Return the data to render given the same props as `getDerivedData`, applying them within each section.
+   * Returns `immutableSectionData` itself if no section has changed.
+   *
+   * @param {Object} props
+   * @param {Immutable.Iterable} props.immutableData The data, as a collection of sections.
+   * @returns {Immutable.Iterable}
+   */
+  getDerivedSectionData(props) {
+    const { immutableData: immutableSectionData } = props;
+    if (!immutableSectionData) return immutableSectionData;
+
+    // The fields of a Record can't be mapped to other types of value, so map the sections as an OrderedMap instead.
+    const sections = (isImmutableRecord(immutableSectionData)
+      ? toCollection(immutableSectionData).toOrderedMap()
+      : immutableSectionData);
+    const derivedSections = sections.map((sectionData) => (
+      sectionData && this.getDerivedData({ ...props, immutableData: sectionData })
+    ));
+
+    return (sections.every((sectionData, sectionKey) => derivedSections.get(sectionKey) === sectionData)
+      ? immutableSectionData
+      : derivedSections);
+  },
+
+  /**
+   * Return flat data grouped into sections by the `groupBy` prop: an OrderedMap from each group's key to its rows,
+   * with the groups in the order of their first row, or sorted by their keys with the `sectionOrder` prop.
+   * Each group is the same type of collection as the data, so e.g. the rows of a Map keep their keys.
+   *
+   * @example
+   * - getGroupedData({ immutableData: ['ant', 'bee', 'ape'], groupBy: (word) => word[0] })
+   *   will return { a: ['ant', 'ape'], b: ['bee'] }.
+   *
+   * @param {Object} props
+   * @param {Immutable.Iterable} props.immutableData
+   * @param {Array|Function} props.groupBy A key path into each row, or a function taking (rowData, key),
+   *   giving the key of the group the row belongs to.
+   * @param {Function} [props.sectionOrder] Takes two group keys and returns a number, like `sort`.
+   * @returns {Immutable.OrderedMap}
+   */
+  getGroupedData({ immutableData, groupBy, sectionOrder }) {
+    if (!immutableData) return Immutable.OrderedMap();
+
+    const getGroupKey = (typeof groupBy === 'function'
+      ? (rowData, key) => groupBy(rowData, key)
+      : (rowData) => this.getValueFromKeyPath(groupBy, rowData));
+    const groups = toCollection(immutableData).groupBy(getGroupKey).toOrderedMap();
+
+    return sectionOrder ? groups.sortBy((rows, groupKey) => groupKey, sectionOrder) : groups;
+  },
+
+  /**
+   * Returns true if the props that `getDerivedData` and `getGroupedData` depend on are equal in value,
+   * so that the previously derived data can be reused and the list doesn't re-render.
+   */
+  isSameDerivation(prevProps, nextProps) {
+    return DERIVATION_PROPS.every((propName) => isSameDerivationProp(prevProps[propName], nextProps[propName]));
+  },
+
+  /**
+   * Return the data to render: `immutableData` as filtered, searched, and sorted by the props,
+   * and then grouped into sections by `groupBy` if it's sectioned, or else within each of its sections.
+   *
+   * @param {Object} props See `getDerivedData` and `getGroupedData`.
+   * @param {Boolean} isSectioned Whether to render the data in sections.
+   * @returns {Immutable.Iterable}
+   */
+  getListData(props, isSectioned) {
+    if (isSectioned && props.groupBy) {
+      return this.getGroupedData({ ...props, immutableData: this.getDerivedData(props) });
+    }
+
+    return (isSectioned ? this.getDerivedSectionData(props) : this.getDerivedData(props));
+  },
+
+  /**
+   * Return just the props that `getDerivedData` and `getGroupedData` depend on.
+   */
+  getDerivationProps(props) {
+    return DERIVATION_PROPS.reduce((derivationProps, propName) => (
+      { ...derivationProps, [propName]: props[propName] }
+    ), {});
+  },
+
+  /**
+   * Returns true if a row has a value containing the (lowercase) search query, ignoring case.
+   *
+   * @param {*} rowData
+   * @param {String} query
+   * @param {Array} [searchKeys] The keys or key paths of the values to search; see `getDerivedData`.
+   * @returns {Boolean}
+   */
+  matchesSearch(rowData, query, searchKeys) {
+    let values;
+    if (searchKeys) {
+      values = searchKeys.map((searchKey) => this.getValueFromKeyPath([].concat(searchKey), rowData));
+    } else if (isImmutableIterable(rowData)) {
+      values = toCollection(rowData).valueSeq().toArray();
+    } else if (rowData && typeof rowData === 'object') {
+      values = Object.values(rowData);
+    } else {
+      values = [rowData];
+    }
+
+    return values.some((value) => (
+      value != null && !isImmutableIterable(value) && typeof value !== 'object'
+      && String(value).toLowerCase().includes(query)
+    ));
+  },
+
+  /**
+   * Merge a page of rows (e.g. one fetched by `loadMore`) onto the end of the existing data.
+   * A row whose key is already in the data replaces the existing row where it is instead of being added again,
+   * so overlapping pages don't produce duplicate rows.
+   *
+   * @example
+   * - mergePage([{ id: 1 }, { id: 2 }], [{ id: 2, read: true }, { id: 3 }], ['id'])
+   *   will return [{ id: 1 }, { id: 2, read: true }, { id: 3 }].
+   *
+   * @param {Immutable.Iterable} immutableData The existing rows, e.g. a List or an OrderedMap.
+   * @param {Immutable.Iterable} page The rows to add.
+   * @param {Array|Function} [rowKey] Gives the key of each row; see `getRowKey`. Without it, keyed data
+   *   is merged by its own keys, and the rows of a List are simply appended.
+   * @returns {Immutable.Iterable} The merged data, of the same type as `immutableData`.
+   */
+  mergePage(immutableData, page, rowKey) {
+    if (!immutableData) return page;
+    if (!page) return immutableData;
+
+    const pageEntries = toCollection(page).entrySeq();
+    const isKeyedData = isImmutableKeyed(immutableData);
+
+    if (!isKeyedData && !(rowKey && isImmutableIndexed(immutableData))) {
+      return immutableData.concat(pageEntries.map(([, rowData]) => rowData));
+    }
+
+    // Where each row key already is in the data: its index in a List, or its key in keyed data.
+    const positions = new Map();
+    if (rowKey) {
+      toCollection(immutableData).forEach((rowData, key) => {
+        const rowKeyValue = this.getRowKey(rowKey, rowData, key);
+        if (rowKeyValue != null && !positions.has(rowKeyValue)) positions.set(rowKeyValue, key);
+      });
+    }
+
+    return immutableData.withMutations((rows) => {
+      pageEntries.forEach(([key, rowData]) => {
+        const rowKeyValue = rowKey ? this.getRowKey(rowKey, rowData, key) : key;
+
+        if (rowKeyValue != null && positions.has(rowKeyValue)) {
+          rows.set(positions.get(rowKeyValue), rowData);
+        } else if (isKeyedData) {
+          if (rowKeyValue != null) positions.set(rowKeyValue, key);
+          rows.set(key, rowData);
+        } else {
+          if (rowKeyValue != null) positions.set(rowKeyValue, rows.size);
+          rows.push(rowData);
+        }
+      });
+    });
+  },
+
+  /**
+   * Return the selected keys after selecting or deselecting a row: a selected row is deselected,
+   * and any other row is selected, replacing the rest of the selection in "single" mode.
+   *
+   * @example
+   * - toggleSelection(Set(['a']), 'b', 'multiple') will return Set(['a', 'b']).
+   * - toggleSelection(Set(['a']), 'b', 'single') will return Set(['b']).
+   *
+   * @param {Immutable.Set} selectedKeys
+   * @param {*} key
+   * @param {String} selectionMode Either "single" or "multiple".
+   * @returns {Immutable.Set}
+   */
+  toggleSelection(selectedKeys, key, selectionMode) {
+    if (selectedKeys.has(key)) return selectedKeys.remove(key);
+    return selectionMode === 'single' ? Immutable.Set([key]) : selectedKeys.add(key);
+  },
+
+  /**
+   * Return the key that a row is selected by: its key as given by `getRowKeys`, unless it's in an indexed section
+   * (e.g. a List) and there's no `rowKey`. Its key is then its index, which every section has,
+   * so it's selected by an `Immutable.List` of its section's key and its index instead.
+   *
+   * @example
+   * - getSelectionKey(0, List(['x', 'y']), 'Section A') will return List(['Section A', 0]).
+   * - getSelectionKey('row1', Map({ row1: 'x' }), 'Section A') will return 'row1'.
+   *
+   * @param {*} key
+   * @param {Immutable.Iterable} sectionData The rows of the row's section.
+   * @param {*} [sectionKey] The key of the row's section, or undefined for data without sections.
+   * @param {Array|Function} [rowKey]
+   * @returns {*}
+   */
+  getSelectionKey(key, sectionData, sectionKey, rowKey) {
+    const isKeyedByIndex = !rowKey && isImmutableIndexed(sectionData);
+    return sectionKey !== undefined && isKeyedByIndex ? Immutable.List([sectionKey, key]) : key;
+  },
+
+  /**
+   * Return the selected keys without those that are no longer in the data, e.g. after rows are removed.
+   * Returns the same Set if every key is still there.
+   *
+   * @param {Immutable.Set} selectedKeys
+   * @param {Immutable.Iterable} immutableData
+   * @param {Array|Function} [rowKey] Gives the key of each row; see `getRowKeys`.
+   * @param {Boolean} [isSectioned] Whether the data is a collection of sections, whose rows are all checked.
+   *   The rows are then selected by the keys given by `getSelectionKey`.
+   * @returns {Immutable.Set}
+   */
+  pruneSelection(selectedKeys, immutableData, rowKey, isSectioned) {
+    if (selectedKeys.isEmpty()) return selectedKeys;
+
+    const selectionKeys = [];
+    if (immutableData) {
+      const sections = isSectioned ? toCollection(immutableData).entrySeq().toArray() : [[undefined, immutableData]];
+      sections.forEach(([sectionKey, rows]) => {
+        if (!rows) return;
+        this.getRowKeys(rows, rowKey).forEach((key) => {
+          selectionKeys.push(this.getSelectionKey(key, rows, sectionKey, rowKey));
+        });
+      });
+    }
+    const rowKeySet = Immutable.Set(selectionKeys);
+
+    const prunedKeys = selectedKeys.filter((key) => rowKeySet.has(key));
+    return prunedKeys.size === selectedKeys.size ? selectedKeys : prunedKeys;
+  },
+
+  /**
+   * Flatten nested data into the rows that are visible in a tree: each top-level row, followed by the visible rows
+   * of its children if it's expanded, and so on. A row's children are the Immutable collection at `childrenKeyPath`.
+   *
+   * Each row is `{ item, key, keyPath, depth, hasChildren, isExpanded }`, where `key` is given by `rowKey`,
+   * and `keyPath` is an `Immutable.List` of the keys of the row's ancestors and then its own,
+   * as found in `expandedKeyPaths`.
+   *
+   * @example
+   * - getTreeRows(fromJS([{ id: 'a', children: [{ id: 'b' }] }]), ['children'], Set([List(['a'])]), ['id'])
+   *   will return [
+   *     { item: Map({ id: 'a', ... }), key: 'a', keyPath: List(['a']), depth: 0, hasChildren: true, ... },
+   *     { item: Map({ id: 'b' }), key: 'b', keyPath: List(['a', 'b']), depth: 1, hasChildren: false, ... },
+   *   ].
+   *
+   * @param {Immutable.Iterable} immutableData The top-level rows.
+   * @param {Array} childrenKeyPath A key path into each row, giving the collection of its children.
+   * @param {Immutable.Set} expandedKeyPaths The key paths of the expanded rows.
+   * @param {Array|Function} [rowKey] Gives the key of each row; see `getRowKeys`.
+   * @param {WeakMap} [cache] Caches the rows of each subtree by its collection of rows, so that only the subtrees
+   *   whose rows or expanded descendants have changed are flattened again. Pass the same WeakMap on every call.
+   * @returns {Array<Object>}
+   */
+  getTreeRows(immutableData, childrenKeyPath, expandedKeyPaths, rowKey, cache) {
+    const flatten = (rows, parentKeyPath) => {
+      const depth = parentKeyPath.size;
+      // Only the expanded rows under these ones affect them.
+      const subtreeKeyPaths = (depth
+        ? expandedKeyPaths.filter((keyPath) => Immutable.is(keyPath.take(depth), parentKeyPath))
+        : expandedKeyPaths);
+
+      const cached = cache && cache.get(rows);
+      if (cached && Immutable.is(cached.parentKeyPath, parentKeyPath)
+        && Immutable.is(cached.subtreeKeyPaths, subtreeKeyPaths)) {
+        return cached.treeRows;
+      }
+
+      const rowKeys = this.getRowKeys(rows, rowKey);
+      const treeRows = [];
+      toCollection(rows).valueSeq().forEach((item, index) => {
+        const key = rowKeys[index];
+        const keyPath = parentKeyPath.push(key);
+        const children = isImmutableIterable(item) ? item.getIn(childrenKeyPath) : undefined;
+        const hasChildren = isImmutableIterable(children) && !toCollection(children).isEmpty();
+        const isExpanded = hasChildren && subtreeKeyPaths.has(keyPath);
+
+        treeRows.push({
+          item, key, keyPath, depth, hasChildren, isExpanded,
+        });
+        if (isExpanded) treeRows.push(...flatten(children, keyPath));
+      });
+
+      if (cache) cache.set(rows, { parentKeyPath, subtreeKeyPaths, treeRows });
+      return treeRows;
+    };
+
+    return immutableData ? flatten(immutableData, Immutable.List()) : [];
+  },
+
+  /**
+   * Returns true if two objects of props for an item have the same keys, with values that are equal
+   * according to `Immutable.is`, so that e.g. an item's props can be computed on every render
+   * without re-rendering the item.
+   *
+   * @param {Object} [prevItemProps]
+   * @param {Object} [nextItemProps]
+   * @returns {Boolean}
+   */
+  isSameItemProps(prevItemProps, nextItemProps) {
+    if (prevItemProps === nextItemProps) return true;
+    if (!prevItemProps || !nextItemProps) return false;
+
+    const propNames = Object.keys(prevItemProps);
+    return propNames.length === Object.keys(nextItemProps).length
+      && propNames.every((propName) => Immutable.is(prevItemProps[propName], nextItemProps[propName]));
+  },
+
+  /**
+   * Return a function taking (prevValue, nextValue) and returning true if the value has changed,
+   * according to a comparison strategy:
+   *
+   * - "identity": compares the values by reference, which is quickest, since unchanged Immutable data
+   *   keeps the same references.
+   * - "deep": compares the values with `Immutable.is`.
+   * - A key path such as `['version']`: compares only the values at that key path with `Immutable.is`,
+   *   e.g. a version number or `updatedAt` that changes whenever the rest of the row does.
+   * - A function taking (prevValue, nextValue) is returned as is.
+   *
+   * @param {String|Array|Function} strategy
+   * @returns {Function}
+   */
+  getHasChanged(strategy) {
+    if (typeof strategy === 'function') return strategy;
+    if (Array.isArray(strategy)) {
+      return (prevValue, nextValue) => !Immutable.is(
+        this.getValueFromKeyPath(strategy, prevValue),
+        this.getValueFromKeyPath(strategy, nextValue),
+      );
+    }
+    if (strategy === 'identity') return (prevValue, nextValue) => prevValue !== nextValue;
+    if (strategy === 'deep') return (prevValue, nextValue) => !Immutable.is(prevValue, nextValue);
+
+    throw new Error(`Invalid comparison strategy ${JSON.stringify(strategy)}: `
+      + 'Must be "identity", "deep", a key path, or a function.');
+  },
+
+  /**
+   * Return the height of an item from an `itemHeight` prop: either a number, or a function of the item and its key.
+   *
+   * @param {Number|Function} itemHeight
+   * @param {*} item
+   * @param {*} key
+   * @returns {Number}
+   */
+  getItemHeight(itemHeight, item, key) {
+    return typeof itemHeight === 'function' ? itemHeight(item, key) : itemHeight;
+  },
+
+  /**
+   * Return the layout of each item as expected from a list's `getItemLayout`, given the length of each one
+   * (its height, or its width in a horizontal list). This should include any separator after the item,
+   * since the separator is rendered in the same cell as the item before it. The first item starts
+   * at `initialOffset`, which is the length of the list's `ListHeaderComponent` if it has one.
+   *
+   * @example
+   * - getItemLayouts([10, 20, 10]) will return [
+   *     { length: 10, offset: 0, index: 0 },
+   *     { length: 20, offset: 10, index: 1 },
+   *     { length: 10, offset: 30, index: 2 },
+   *   ].
+   *
+   * @param {Array<Number>} itemLengths
+   * @param {Number} [initialOffset]
+   * @returns {Array<Object>} The `length`, `offset`, and `index` of each item.
+   */
+  getItemLayouts(itemLengths, initialOffset = 0) {
+    let offset = initialOffset;
+    return itemLengths.map((length, index) => {
+      const layout = { length, offset, index };
+      offset += length;
+      return layout;
+    });
+  },
+
+  /**
+   * Return the number of rows in a set of data, counting the rows of each section if it's sectioned.
+   *
+   * @param {Immutable.Iterable} [immutableData]
+   * @param {Boolean} [isSectioned]
+   * @returns {Number}
+   */
+  getRowCount(immutableData, isSectioned) {
+    if (!immutableData) return 0;
+    if (!isSectioned) return toCollection(immutableData).count();
+
+    return toCollection(immutableData).reduce((count, sectionData) => (
+      count + (sectionData ? toCollection(sectionData).count() : 0)
+    ), 0);
+  },
+
+  /**
+   * Return the current time in milliseconds, as precisely as the platform allows, for timing how long work takes.
+   *
+   * @returns {Number}
+   */
+  now() {
+    const { performance } = global;
+    return performance && performance.now ? performance.now() : Date.now();
   },
 
   /**
@@ -55,20 +927,72 @@ const utils = {
     return data.get ? data.get(key) : data[key];
   },
 
+  /**
+   * @param {Array} keyPath
+   * @param {Immutable.Iterable|Object|Array} data
+   * @returns {*} The value at the given key path, or undefined if there's nothing there.
+   */
+  getValueFromKeyPath(keyPath, data) {
+    return keyPath.reduce((value, key) => (
+      value == null ? undefined : this.getValueFromKey(key, value)
+    ), data);
+  },
+
   /**
    * Returns true if the data would render as empty in a ListView: that is,
    * if it either has no items, or only section headers with no section data.
    */
   isEmptyListView(immutableData, enableEmptySections) {
-    if (!immutableData || immutableData.isEmpty()) {
+    if (!immutableData || toCollection(immutableData).isEmpty()) {
       return true;
     }
 
-    if (!Immutable.Map.isMap(immutableData) || enableEmptySections) {
+    if (!(Immutable.Map.isMap(immutableData) || isImmutableRecord(immutableData)) || enableEmptySections) {
       return false;
     }
 
-    return immutableData.every((item) => !item || item.isEmpty());
+    return toCollection(immutableData).every((item) => !item || toCollection(item).isEmpty());
+  },
+
+  /**
+   * Returns true if the data would render as empty in a SectionList: that is,
+   * if it either has no sections, or only sections with no rows.
+   * Unlike in a ListView, a List of sections is treated the same as a Map of sections.
+   */
+  isEmptySectionList(immutableSectionData) {
+    if (!immutableSectionData || toCollection(immutableSectionData).isEmpty()) {
+      return true;
+    }
+
+    return toCollection(immutableSectionData).every((section) => !section || toCollection(section).isEmpty());
+  },
+
+  /**
+   * Return which pair of placeholder props to render when the list is empty: 'loading' while `isLoading`,
+   * 'error' when there's an `error`, or else 'empty'. Returns null if neither prop of that pair is given.
+   *
+   * @param {Object} props
+   * @returns {?String}
+   */
+  getPlaceholderType({
+    isLoading, error, renderLoading, renderLoadingInList, renderError, renderErrorInList,
+    renderEmpty, renderEmptyInList,
+  }) {
+    // Loading takes precedence over an error, e.g. while retrying, and either of them over being empty.
+    if (isLoading) return renderLoading || renderLoadingInList ? 'loading' : null;
+    if (error) return renderError || renderErrorInList ? 'error' : null;
+    return renderEmpty || renderEmptyInList ? 'empty' : null;
+  },
+
+  /**
+   * Return the single item of an empty list's data, made from the props that affect how it's rendered.
+   * Update the data with it to make sure the list re-renders if any of the relevant props have changed.
+   *
+   * @param {Object} props
+   * @returns {Immutable.List}
+   */
+  getEmptyItem({ renderEmpty, renderEmptyInList, emptyText }) {
+    return Immutable.fromJS([renderEmpty, renderEmptyInList, emptyText]);
   },
 
 };
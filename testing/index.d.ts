@@ -0,0 +1,30 @@
+import * as React from 'react'
+import * as Immutable from 'immutable'
+import { ReactTestInstance, ReactTestRenderer } from 'react-test-renderer'
+
+export declare const data: {
+  EMPTY_DATA: Immutable.List<any>,
+  LIST_DATA: Immutable.List<string>,
+  LIST_DATA_NESTED: Immutable.List<string[]>,
+  MAP_DATA_LIST_ROWS: Immutable.Map<string, Immutable.List<string>>,
+  MAP_DATA_MAP_ROWS: Immutable.Map<string, Immutable.Map<string, string>>,
+  SET_DATA: Immutable.Set<string>,
+  RANGE_DATA: Immutable.Seq.Indexed<number>,
+}
+
+export declare const renderers: {
+  renderRow: (rowData: any) => React.ReactElement,
+  renderItem: (info: { item: any }) => React.ReactElement,
+  renderSectionHeader: (sectionData: any, category: any) => React.ReactElement,
+  renderSectionListHeader: (info: { section: any }) => React.ReactElement,
+}
+
+export declare function render(element: React.ReactElement): ReactTestRenderer;
+
+export declare function getVisibleKeys(tree: ReactTestRenderer): string[];
+
+export declare function getRowByKey(tree: ReactTestRenderer, key: any, sectionKey?: any): ReactTestInstance;
+
+export declare function getSectionHeaders(tree: ReactTestRenderer): ReactTestInstance[];
+
+export declare function scrollToEnd(tree: ReactTestRenderer, distanceFromEnd?: number): void;